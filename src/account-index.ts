@@ -0,0 +1,37 @@
+'use strict'
+
+import StoreWrapper from './store-wrapper'
+
+const ACCOUNTS = 'plugin:accounts'
+
+// Lists the accounts which have had a channel, so that they can be found
+// again after a restart. The store itself can't list its keys.
+export default class AccountIndex {
+  private _store: StoreWrapper
+
+  constructor (store: StoreWrapper) {
+    this._store = store
+  }
+
+  async load (): Promise<void> {
+    await this._store.loadObject(ACCOUNTS)
+  }
+
+  getAccounts (): string[] {
+    return (this._store.getObject(ACCOUNTS) || []) as string[]
+  }
+
+  has (account: string): boolean {
+    return this.getAccounts().indexOf(account) !== -1
+  }
+
+  add (account: string) {
+    if (this.has(account)) return
+    this._store.set(ACCOUNTS, this.getAccounts().concat([ account ]))
+  }
+
+  remove (account: string) {
+    if (!this.has(account)) return
+    this._store.set(ACCOUNTS, this.getAccounts().filter(a => a !== account))
+  }
+}
@@ -1,8 +1,13 @@
 'use strict'
 
+import { EventEmitter } from 'events'
 import { RippleAPI } from 'ripple-lib'
 import BigNumber from 'bignumber.js'
 import StoreWrapper from './store-wrapper'
+import Journal, { JournalCause, JournalField, JournalRef } from './journal'
+import { InvalidStateError } from './errors'
+import { Discrepancy, DiscrepancyType } from './reconciliation'
+import { AccountSnapshot } from './snapshot'
 import {
   Claim,
   Paychan
@@ -17,7 +22,16 @@ const CLIENT_CHANNEL = (a: string) => a + ':client_channel'
 const OUTGOING_BALANCE = (a: string) => a + ':outgoing_balance'
 const OWED_BALANCE = (a: string) => a + ':owed_balance'
 const LAST_CLAIMED = (a: string) => a + ':last_claimed'
-// TODO: the channels to accounts map
+const LAST_CLAIM_TIME = (a: string) => a + ':last_claim_time'
+const CLIENT_CHANNEL_CLOSING = (a: string) => a + ':client_channel_closing'
+const LAST_SETTLEMENT = (a: string) => a + ':last_settlement'
+const MAX_BALANCE = (a: string) => a + ':max_balance'
+const MAX_PACKET_AMOUNT = (a: string) => a + ':max_packet_amount'
+const MIN_INCOMING_CHANNEL_AMOUNT = (a: string) => a + ':min_incoming_channel_amount'
+const MAX_PACKETS_PER_SECOND = (a: string) => a + ':max_packets_per_second'
+const MAX_THROUGHPUT = (a: string) => a + ':max_throughput'
+const MAX_OUTGOING_CHANNEL_AMOUNT = (a: string) => a + ':max_outgoing_channel_amount'
+const MAX_OWED_BALANCE = (a: string) => a + ':max_owed_balance'
 
 const RETRY_DELAY = 2000
 const DEFAULT_BLOCK_REASON = 'channel must be re-established'
@@ -25,11 +39,51 @@ const DEFAULT_BLOCK_REASON = 'channel must be re-established'
 export interface AccountParams {
   account: string
   store: StoreWrapper
+  journal: Journal
   api: RippleAPI
   currencyScale: number,
   log: any
 }
 
+export interface AccountLimits {
+  maxBalance?: string | null
+  maxPacketAmount?: string | null
+  minIncomingChannelAmount?: string | null
+  maxPacketsPerSecond?: string | null
+  maxThroughput?: string | null
+  maxOutgoingChannelAmount?: string | null
+  maxOwedBalance?: string | null
+}
+
+const LIMIT_KEYS = {
+  maxBalance: MAX_BALANCE,
+  maxPacketAmount: MAX_PACKET_AMOUNT,
+  minIncomingChannelAmount: MIN_INCOMING_CHANNEL_AMOUNT,
+  maxPacketsPerSecond: MAX_PACKETS_PER_SECOND,
+  maxThroughput: MAX_THROUGHPUT,
+  maxOutgoingChannelAmount: MAX_OUTGOING_CHANNEL_AMOUNT,
+  maxOwedBalance: MAX_OWED_BALANCE
+}
+
+export interface AccountInfo {
+  account: string
+  state: string
+  balance: string
+  incomingClaim: Claim | null
+  lastClaimedAmount: string
+  channel: string | null
+  paychan: Paychan | null
+  clientChannel: string | null
+  clientPaychan: Paychan | null
+  clientChannelClosing: boolean
+  outgoingBalance: string
+  owedBalance: string
+  lastSettlement: string | null
+  blocked: boolean
+  blockReason: string | null
+  limits: AccountLimits
+}
+
 export enum ReadyState {
   INITIAL = 0,
   LOADING_CHANNEL = 1,
@@ -56,8 +110,9 @@ function stateToString (state: ReadyState): string {
   }
 }
 
-export class Account {
+export class Account extends EventEmitter {
   private _store: StoreWrapper
+  private _journal: Journal
   private _account: string
   private _api: RippleAPI // TODO: rippleAPI type?
   private _currencyScale: number
@@ -65,12 +120,14 @@ export class Account {
   private _clientPaychan?: Paychan
   private _clientChannel?: string
   private _funding: boolean
-  private _claimIntervalId?: NodeJS.Timer
+  private _clientChannelCloseTimeout?: NodeJS.Timer
   private _log: any
   private _state: ReadyState
 
   constructor (opts: AccountParams) {
+    super()
     this._store = opts.store
+    this._journal = opts.journal
     this._account = opts.account
     this._api = opts.api
     this._currencyScale = opts.currencyScale
@@ -97,12 +154,12 @@ export class Account {
     return this._clientPaychan
   }
 
-  setClaimIntervalId (claimIntervalId: NodeJS.Timer) {
-    this._claimIntervalId = claimIntervalId
+  setClientChannelCloseTimeout (timeout: NodeJS.Timer) {
+    this._clientChannelCloseTimeout = timeout
   }
 
-  getClaimIntervalId (): NodeJS.Timer | void {
-    return this._claimIntervalId
+  getClientChannelCloseTimeout (): NodeJS.Timer | void {
+    return this._clientChannelCloseTimeout
   }
 
   getLastClaimedAmount (): string {
@@ -113,6 +170,15 @@ export class Account {
     this._store.set(LAST_CLAIMED(this._account), amount)
   }
 
+  getLastClaimTime (): number | void {
+    const lastClaimTime = this._store.get(LAST_CLAIM_TIME(this._account))
+    return lastClaimTime ? Number(lastClaimTime) : undefined
+  }
+
+  setLastClaimTime (time: number) {
+    this._store.set(LAST_CLAIM_TIME(this._account), String(time))
+  }
+
   isFunding (): boolean {
     return this._funding
   }
@@ -123,7 +189,19 @@ export class Account {
 
   async connect (): Promise<void> {
     this._assertState(ReadyState.INITIAL)
+    await this.load()
+
+    if (this._store.get(IS_BLOCKED(this._account)) === 'true') {
+      this._state = ReadyState.BLOCKED
+      return
+    }
+
+    this._state = ReadyState.LOADING_CHANNEL
+    return this._connectChannel()
+  }
 
+  // loads the account's stored fields without looking at the ledger
+  async load (): Promise<void> {
     await Promise.all([
       this._store.load(BALANCE(this._account)),
       this._store.loadObject(INCOMING_CLAIM(this._account)),
@@ -132,16 +210,20 @@ export class Account {
       this._store.load(BLOCK_REASON(this._account)),
       this._store.load(CLIENT_CHANNEL(this._account)),
       this._store.load(OUTGOING_BALANCE(this._account)),
-      this._store.load(LAST_CLAIMED(this._account))
+      this._store.load(LAST_CLAIMED(this._account)),
+      this._store.load(LAST_CLAIM_TIME(this._account)),
+      this._store.load(CLIENT_CHANNEL_CLOSING(this._account)),
+      this._store.load(LAST_SETTLEMENT(this._account)),
+      this._store.load(MAX_BALANCE(this._account)),
+      this._store.load(MAX_PACKET_AMOUNT(this._account)),
+      this._store.load(MIN_INCOMING_CHANNEL_AMOUNT(this._account)),
+      this._store.load(MAX_PACKETS_PER_SECOND(this._account)),
+      this._store.load(MAX_THROUGHPUT(this._account)),
+      this._store.load(MAX_OUTGOING_CHANNEL_AMOUNT(this._account)),
+      this._store.load(MAX_OWED_BALANCE(this._account)),
+      this._store.load(OWED_BALANCE(this._account)),
+      this._journal.load(this._account)
     ])
-
-    if (this._store.get(IS_BLOCKED(this._account)) === 'true') {
-      this._state = ReadyState.BLOCKED
-      return
-    }
-
-    this._state = ReadyState.LOADING_CHANNEL
-    return this._connectChannel()
   }
 
   async _connectChannel (): Promise<void> {
@@ -161,7 +243,7 @@ export class Account {
         if (e.name === 'RippledError' && e.message === 'entryNotFound') {
           this._log.error('removing channel because it has been deleted')
           this.block(true, 'channel cannot be loaded. channelId=' + channelId)
-          this.deleteChannel()
+          this.deleteChannel({ cause: JournalCause.LEDGER, reference: channelId })
           return // TODO: do we need to do anything with the client channel still?
         } else if (e.name === 'TimeoutError') {
           // TODO: should this apply for all other errors too?
@@ -183,13 +265,24 @@ export class Account {
       try {
         this._clientPaychan = await this._api.getPaymentChannel(clientChannelId) as Paychan
         if (this.getOutgoingBalance().lt(this.xrpToBase(this._clientPaychan.balance))) {
-          this.setOutgoingBalance(this.xrpToBase(this._clientPaychan.balance))
+          this.setOutgoingBalance(this.xrpToBase(this._clientPaychan.balance),
+            { cause: JournalCause.LEDGER, reference: clientChannelId })
+        }
+
+        // channels from before settlements were tracked are idle from now on
+        if (!this.getLastSettlement()) {
+          this.setLastSettlement(Date.now())
         }
 
         this._state = ReadyState.READY
       } catch (e) {
         this._log.error('failed to load client channel entry. error=' + e.message)
-        if (e.name === 'RippledError' && e.message === 'entryNotFound') {
+        if (e.name === 'RippledError' && e.message === 'entryNotFound' &&
+          this.isClientChannelClosing()) {
+          this._log.info('client channel was closed. account=' + this.getAccount())
+          this.deleteClientChannel({ cause: JournalCause.LEDGER, reference: clientChannelId })
+          return
+        } else if (e.name === 'RippledError' && e.message === 'entryNotFound') {
           this._log.error('blocking account because client channel cannot be loaded.')
           this.block(true, 'client channel cannot be loaded. clientChannelId=' + clientChannelId)
           return // TODO: do we need to do anything with the client channel still?
@@ -208,6 +301,12 @@ export class Account {
 
   disconnect () {
     this._state = ReadyState.BLOCKED
+    this.unload()
+    const closeTimeout = this.getClientChannelCloseTimeout()
+    if (closeTimeout) clearTimeout(closeTimeout)
+  }
+
+  unload () {
     this._store.unload(BALANCE(this._account))
     this._store.unload(INCOMING_CLAIM(this._account))
     this._store.unload(CHANNEL(this._account))
@@ -215,8 +314,19 @@ export class Account {
     this._store.unload(BLOCK_REASON(this._account))
     this._store.unload(CLIENT_CHANNEL(this._account))
     this._store.unload(OUTGOING_BALANCE(this._account))
-    const interval = this.getClaimIntervalId()
-    if (interval) clearInterval(interval)
+    this._store.unload(CLIENT_CHANNEL_CLOSING(this._account))
+    this._store.unload(LAST_SETTLEMENT(this._account))
+    this._store.unload(MAX_BALANCE(this._account))
+    this._store.unload(MAX_PACKET_AMOUNT(this._account))
+    this._store.unload(MIN_INCOMING_CHANNEL_AMOUNT(this._account))
+    this._store.unload(MAX_PACKETS_PER_SECOND(this._account))
+    this._store.unload(MAX_THROUGHPUT(this._account))
+    this._store.unload(MAX_OUTGOING_CHANNEL_AMOUNT(this._account))
+    this._store.unload(MAX_OWED_BALANCE(this._account))
+    this._store.unload(LAST_CLAIMED(this._account))
+    this._store.unload(LAST_CLAIM_TIME(this._account))
+    this._store.unload(OWED_BALANCE(this._account))
+    this._journal.unload(this._account)
   }
 
   getBalance () {
@@ -254,6 +364,14 @@ export class Account {
       (this._store.get(BLOCK_REASON(this._account)) || DEFAULT_BLOCK_REASON)
   }
 
+  hasChannel (): boolean {
+    return !!this._store.get(CHANNEL(this._account))
+  }
+
+  hasClientChannel (): boolean {
+    return !!this._store.get(CLIENT_CHANNEL(this._account))
+  }
+
   getClientChannel () {
     const clientChannel = this._store.get(CLIENT_CHANNEL(this._account))
     if (!clientChannel) {
@@ -263,24 +381,101 @@ export class Account {
     return clientChannel
   }
 
+  getMaxBalance (): string | void {
+    return this._store.get(MAX_BALANCE(this._account))
+  }
+
+  getMaxPacketAmount (): string | void {
+    return this._store.get(MAX_PACKET_AMOUNT(this._account))
+  }
+
+  getMinIncomingChannelAmount (): string | void {
+    return this._store.get(MIN_INCOMING_CHANNEL_AMOUNT(this._account))
+  }
+
+  getMaxPacketsPerSecond (): string | void {
+    return this._store.get(MAX_PACKETS_PER_SECOND(this._account))
+  }
+
+  getMaxThroughput (): string | void {
+    return this._store.get(MAX_THROUGHPUT(this._account))
+  }
+
+  getMaxOutgoingChannelAmount (): string | void {
+    return this._store.get(MAX_OUTGOING_CHANNEL_AMOUNT(this._account))
+  }
+
+  getMaxOwedBalance (): string | void {
+    return this._store.get(MAX_OWED_BALANCE(this._account))
+  }
+
+  getLimits (): AccountLimits {
+    return {
+      maxBalance: this.getMaxBalance() || null,
+      maxPacketAmount: this.getMaxPacketAmount() || null,
+      minIncomingChannelAmount: this.getMinIncomingChannelAmount() || null,
+      maxPacketsPerSecond: this.getMaxPacketsPerSecond() || null,
+      maxThroughput: this.getMaxThroughput() || null,
+      maxOutgoingChannelAmount: this.getMaxOutgoingChannelAmount() || null,
+      maxOwedBalance: this.getMaxOwedBalance() || null
+    }
+  }
+
+  // a limit which is null is removed, so the plugin-wide default applies again
+  setLimits (limits: AccountLimits) {
+    this._store.batch(() => {
+      for (const name of Object.keys(LIMIT_KEYS) as Array<keyof AccountLimits>) {
+        const key = LIMIT_KEYS[name](this._account)
+        const value = limits[name]
+        if (value === null) {
+          this._store.delete(key)
+        } else if (value !== undefined) {
+          this._store.set(key, value)
+        }
+      }
+    })
+  }
+
+  getLastSettlement (): number | void {
+    const lastSettlement = this._store.get(LAST_SETTLEMENT(this._account))
+    return lastSettlement ? Number(lastSettlement) : undefined
+  }
+
+  setLastSettlement (time: number) {
+    return this._store.set(LAST_SETTLEMENT(this._account), String(time))
+  }
+
   getOwedBalance () {
     return new BigNumber(this._store.get(OWED_BALANCE(this._account)) || '0')
   }
 
-  setOwedBalance (balance: string) {
-    return this._store.set(OWED_BALANCE(this._account), balance)
+  setOwedBalance (balance: string, ref?: JournalRef) {
+    return this._store.batch(() => {
+      this._appendJournal(JournalField.OWED_BALANCE, this.getOwedBalance().toString(), balance, ref)
+      this._store.set(OWED_BALANCE(this._account), balance)
+    })
   }
 
   getOutgoingBalance () {
     return new BigNumber(this._store.get(OUTGOING_BALANCE(this._account)) || '0')
   }
 
-  setBalance (balance: string) {
-    return this._store.set(BALANCE(this._account), balance)
+  setBalance (balance: string, ref?: JournalRef) {
+    return this._store.batch(() => {
+      this._appendJournal(JournalField.BALANCE, this.getBalance().toString(), balance, ref)
+      this._store.set(BALANCE(this._account), balance)
+    })
   }
 
-  setIncomingClaim (incomingClaim: Claim) {
-    return this._store.set(INCOMING_CLAIM(this._account), incomingClaim)
+  setIncomingClaim (incomingClaim: Claim, ref?: JournalRef) {
+    return this._store.batch(() => {
+      this._appendJournal(JournalField.INCOMING_CLAIM, this._getStoredClaimAmount(), incomingClaim.amount, ref)
+      this._store.set(INCOMING_CLAIM(this._account), incomingClaim)
+    })
+  }
+
+  getJournal (offset?: number, limit?: number) {
+    return this._journal.getEntries(this._account, offset, limit)
   }
 
   prepareChannel () {
@@ -296,8 +491,11 @@ export class Account {
   async setChannel (channel: string, paychan: Paychan) {
     this._assertState(ReadyState.PREPARING_CHANNEL)
     this._paychan = paychan
-    this.setLastClaimedAmount(this.xrpToBase(paychan.balance))
-    this._store.set(CHANNEL(this._account), channel)
+    this._store.batch(() => {
+      this.setLastClaimedAmount(this.xrpToBase(paychan.balance))
+      this.setLastClaimTime(Date.now())
+      this._store.set(CHANNEL(this._account), channel)
+    })
 
     this._state = ReadyState.LOADING_CLIENT_CHANNEL
     return this._connectClientChannel()
@@ -312,7 +510,7 @@ export class Account {
     this.setLastClaimedAmount(this.xrpToBase(paychan.balance))
   }
 
-  deleteChannel () {
+  deleteChannel (ref?: JournalRef) {
     if (new BigNumber(this.getLastClaimedAmount()).lt(this.getIncomingClaim().amount)) {
       this._log.error('Critical Error! Full balance was not able to be claimed before channel deletion.' +
         ' claim=' + JSON.stringify(this._store.getObject(INCOMING_CLAIM(this._account))) +
@@ -324,21 +522,97 @@ export class Account {
       .minus(this.getLastClaimedAmount())
       .toString()
 
-    this.setBalance(newBalance)
-
+    const channelId = this._store.get(CHANNEL(this._account))
     delete this._paychan
 
-    this._store.delete(LAST_CLAIMED(this._account))
-    this._store.delete(INCOMING_CLAIM(this._account))
-    return this._store.delete(CHANNEL(this._account))
+    this._store.batch(() => {
+      this.setBalance(newBalance, ref)
+      this._appendJournal(JournalField.INCOMING_CLAIM, this._getStoredClaimAmount(), '0', ref)
+
+      this._store.delete(LAST_CLAIMED(this._account))
+      this._store.delete(LAST_CLAIM_TIME(this._account))
+      this._store.delete(INCOMING_CLAIM(this._account))
+      this._store.delete(CHANNEL(this._account))
+    })
+
+    this.emit('channel_deleted', channelId)
   }
 
   block (isBlocked = true, reason = DEFAULT_BLOCK_REASON) {
+    this._store.batch(() => {
+      if (isBlocked) {
+        this._state = ReadyState.BLOCKED
+        this._store.set(BLOCK_REASON(this._account), reason)
+      }
+      this._store.set(IS_BLOCKED(this._account), String(isBlocked))
+    })
+
     if (isBlocked) {
-      this._state = ReadyState.BLOCKED
-      this._store.set(BLOCK_REASON(this._account), reason)
+      this.emit('blocked', reason)
+    }
+  }
+
+  unblock () {
+    this._assertState(ReadyState.BLOCKED)
+    this._store.batch(() => {
+      this._store.delete(BLOCK_REASON(this._account))
+      this.block(false)
+    })
+
+    // the account will be loaded again from the store by connect
+    this._state = ReadyState.INITIAL
+  }
+
+  reset () {
+    if (this._state === ReadyState.INITIAL) {
+      throw new InvalidStateError('cannot reset account which is not loaded.' +
+        ' account=' + this.getAccount())
     }
-    return this._store.set(IS_BLOCKED(this._account), String(isBlocked))
+
+    const unclaimed = new BigNumber(this.getIncomingClaim().amount)
+      .minus(this.getLastClaimedAmount())
+    if (unclaimed.gt(0)) {
+      throw new InvalidStateError('cannot reset account with unclaimed incoming balance.' +
+        ' unclaimed=' + unclaimed.toString() +
+        ' account=' + this.getAccount())
+    }
+
+    if (this.getOwedBalance().gt(0)) {
+      throw new InvalidStateError('cannot reset account with owed balance.' +
+        ' owed=' + this.getOwedBalance().toString() +
+        ' account=' + this.getAccount())
+    }
+
+    const closeTimeout = this.getClientChannelCloseTimeout()
+    if (closeTimeout) clearTimeout(closeTimeout)
+    delete this._clientChannelCloseTimeout
+    delete this._paychan
+    delete this._clientPaychan
+
+    const ref = { cause: JournalCause.ADMIN }
+    this._store.batch(() => {
+      this._appendJournal(JournalField.BALANCE, this.getBalance().toString(), '0', ref)
+      this._appendJournal(JournalField.INCOMING_CLAIM, this._getStoredClaimAmount(), '0', ref)
+      this._appendJournal(JournalField.OUTGOING_BALANCE, this.getOutgoingBalance().toString(), '0', ref)
+      this._appendJournal(JournalField.OWED_BALANCE, this.getOwedBalance().toString(), '0', ref)
+
+      // the journal is kept, so the account's history survives the reset
+      this._store.delete(BALANCE(this._account))
+      this._store.delete(INCOMING_CLAIM(this._account))
+      this._store.delete(CHANNEL(this._account))
+      this._store.delete(IS_BLOCKED(this._account))
+      this._store.delete(BLOCK_REASON(this._account))
+      this._store.delete(CLIENT_CHANNEL(this._account))
+      this._store.delete(OUTGOING_BALANCE(this._account))
+      this._store.delete(CLIENT_CHANNEL_CLOSING(this._account))
+      this._store.delete(LAST_SETTLEMENT(this._account))
+      this._store.delete(OWED_BALANCE(this._account))
+      this._store.delete(LAST_CLAIMED(this._account))
+      this._store.delete(LAST_CLAIM_TIME(this._account))
+    })
+
+    // nothing is left to load, so the account waits for a new channel
+    this._state = ReadyState.ESTABLISHING_CHANNEL
   }
 
   prepareClientChannel () {
@@ -355,11 +629,15 @@ export class Account {
     this._assertState(ReadyState.PREPARING_CLIENT_CHANNEL)
 
     this._clientPaychan = clientPaychan
-    if (this.getOutgoingBalance().lt(this.xrpToBase(this._clientPaychan.balance))) {
-      this.setOutgoingBalance(this.xrpToBase(this._clientPaychan.balance))
-    }
+    this._store.batch(() => {
+      if (this.getOutgoingBalance().lt(this.xrpToBase(clientPaychan.balance))) {
+        this.setOutgoingBalance(this.xrpToBase(clientPaychan.balance),
+          { cause: JournalCause.LEDGER, reference: clientChannel })
+      }
 
-    this._store.set(CLIENT_CHANNEL(this._account), clientChannel)
+      this.setLastSettlement(Date.now())
+      this._store.set(CLIENT_CHANNEL(this._account), clientChannel)
+    })
     this._state = ReadyState.READY
   }
 
@@ -369,8 +647,46 @@ export class Account {
     this._store.set(CLIENT_CHANNEL(this._account), clientChannel)
   }
 
-  setOutgoingBalance (outgoingBalance: string) {
-    return this._store.set(OUTGOING_BALANCE(this._account), outgoingBalance)
+  isClientChannelClosing (): boolean {
+    return this._store.get(CLIENT_CHANNEL_CLOSING(this._account)) === 'true'
+  }
+
+  setClientChannelClosing () {
+    if (this._state !== ReadyState.BLOCKED) {
+      this._assertState(ReadyState.READY)
+    }
+    return this._store.set(CLIENT_CHANNEL_CLOSING(this._account), 'true')
+  }
+
+  // for a close which didn't reach the ledger
+  clearClientChannelClosing () {
+    this._store.delete(CLIENT_CHANNEL_CLOSING(this._account))
+  }
+
+  deleteClientChannel (ref?: JournalRef) {
+    delete this._clientPaychan
+    this._store.batch(() => {
+      this._appendJournal(JournalField.OUTGOING_BALANCE, this.getOutgoingBalance().toString(), '0', ref)
+
+      this._store.delete(CLIENT_CHANNEL_CLOSING(this._account))
+      this._store.delete(OUTGOING_BALANCE(this._account))
+      this._store.delete(LAST_SETTLEMENT(this._account))
+      this._store.delete(CLIENT_CHANNEL(this._account))
+    })
+
+    // a blocked account stays blocked, otherwise the client can ask for a new
+    // client channel
+    if (this._state === ReadyState.READY ||
+      this._state === ReadyState.LOADING_CLIENT_CHANNEL) {
+      this._state = ReadyState.ESTABLISHING_CLIENT_CHANNEL
+    }
+  }
+
+  setOutgoingBalance (outgoingBalance: string, ref?: JournalRef) {
+    return this._store.batch(() => {
+      this._appendJournal(JournalField.OUTGOING_BALANCE, this.getOutgoingBalance().toString(), outgoingBalance, ref)
+      this._store.set(OUTGOING_BALANCE(this._account), outgoingBalance)
+    })
   }
 
   isReady () {
@@ -385,9 +701,180 @@ export class Account {
     return stateToString(this._state)
   }
 
+  getInfo (): AccountInfo {
+    const lastSettlement = this.getLastSettlement()
+    return {
+      account: this._account,
+      state: this.getStateString(),
+      balance: this.getBalance().toString(),
+      incomingClaim: this._store.getObject(INCOMING_CLAIM(this._account)) as Claim || null,
+      lastClaimedAmount: this.getLastClaimedAmount(),
+      channel: this._store.get(CHANNEL(this._account)) || null,
+      paychan: this._paychan || null,
+      clientChannel: this._store.get(CLIENT_CHANNEL(this._account)) || null,
+      clientPaychan: this._clientPaychan || null,
+      clientChannelClosing: this.isClientChannelClosing(),
+      outgoingBalance: this.getOutgoingBalance().toString(),
+      owedBalance: this.getOwedBalance().toString(),
+      lastSettlement: lastSettlement ? new Date(lastSettlement).toISOString() : null,
+      blocked: this.isBlocked(),
+      blockReason: this._store.get(BLOCK_REASON(this._account)) || null,
+      limits: this.getLimits()
+    }
+  }
+
+  getSnapshot (): AccountSnapshot {
+    return {
+      account: this._account,
+      balance: this.getBalance().toString(),
+      incomingClaim: this._store.getObject(INCOMING_CLAIM(this._account)) as Claim || null,
+      lastClaimedAmount: this.getLastClaimedAmount(),
+      lastClaimTime: this.getLastClaimTime() || null,
+      channel: this._store.get(CHANNEL(this._account)) || null,
+      clientChannel: this._store.get(CLIENT_CHANNEL(this._account)) || null,
+      clientChannelClosing: this.isClientChannelClosing(),
+      outgoingBalance: this.getOutgoingBalance().toString(),
+      owedBalance: this.getOwedBalance().toString(),
+      lastSettlement: this.getLastSettlement() || null,
+      blocked: this._store.get(IS_BLOCKED(this._account)) === 'true',
+      blockReason: this._store.get(BLOCK_REASON(this._account)) || null,
+      limits: this.getLimits()
+    }
+  }
+
+  // overwrites the stored fields with a snapshot. the account must be loaded
+  // but not connected, so that connect picks up the new state.
+  restore (snapshot: AccountSnapshot) {
+    this._assertState(ReadyState.INITIAL)
+
+    const ref = { cause: JournalCause.IMPORT }
+    const setOrDelete = (key: string, value: string | object | null) => {
+      if (value === null) {
+        this._store.delete(key)
+      } else {
+        this._store.set(key, value)
+      }
+    }
+
+    this._store.batch(() => {
+      this.setBalance(snapshot.balance, ref)
+      this._appendJournal(JournalField.INCOMING_CLAIM, this._getStoredClaimAmount(),
+        snapshot.incomingClaim ? snapshot.incomingClaim.amount : '0', ref)
+      this.setOutgoingBalance(snapshot.outgoingBalance, ref)
+      this.setOwedBalance(snapshot.owedBalance, ref)
+
+      setOrDelete(INCOMING_CLAIM(this._account), snapshot.incomingClaim)
+      this.setLastClaimedAmount(snapshot.lastClaimedAmount)
+      setOrDelete(LAST_CLAIM_TIME(this._account),
+        typeof snapshot.lastClaimTime === 'number' ? String(snapshot.lastClaimTime) : null)
+      setOrDelete(CHANNEL(this._account), snapshot.channel)
+      setOrDelete(CLIENT_CHANNEL(this._account), snapshot.clientChannel)
+      setOrDelete(CLIENT_CHANNEL_CLOSING(this._account), snapshot.clientChannelClosing ? 'true' : null)
+      setOrDelete(LAST_SETTLEMENT(this._account),
+        snapshot.lastSettlement === null ? null : String(snapshot.lastSettlement))
+      setOrDelete(IS_BLOCKED(this._account), snapshot.blocked ? 'true' : null)
+      setOrDelete(BLOCK_REASON(this._account), snapshot.blockReason)
+      this.setLimits(Object.assign({
+        maxBalance: null,
+        maxPacketAmount: null,
+        minIncomingChannelAmount: null,
+        maxPacketsPerSecond: null,
+        maxThroughput: null,
+        maxOutgoingChannelAmount: null,
+        maxOwedBalance: null
+      }, snapshot.limits))
+    })
+  }
+
+  // compares the stored state with the channels on the ledger. a channel
+  // which is null was not found on the ledger. only repairs which can't lose
+  // money are made: refreshing cached channel details and raising counters
+  // which lag behind the ledger.
+  reconcile (paychan: Paychan | null, clientPaychan: Paychan | null, repair = false): Discrepancy[] {
+    const discrepancies: Discrepancy[] = []
+    const report = (type: DiscrepancyType, channel: string, stored: string | null, ledger: string | null, repaired = false) => {
+      discrepancies.push({ account: this._account, type, channel, stored, ledger, repaired })
+    }
+
+    const channel = this._store.get(CHANNEL(this._account))
+    if (channel && !paychan) {
+      report(DiscrepancyType.CHANNEL_NOT_FOUND, channel, channel, null)
+    } else if (channel && paychan) {
+      const cached = this._paychan
+      if (cached && this._isPaychanStale(cached, paychan)) {
+        if (repair) this._paychan = paychan
+        report(DiscrepancyType.PAYCHAN_STALE, channel,
+          JSON.stringify(cached), JSON.stringify(paychan), repair)
+      }
+
+      const lastClaimed = new BigNumber(this.getLastClaimedAmount())
+      const ledgerBalance = new BigNumber(this.xrpToBase(paychan.balance))
+      if (lastClaimed.lt(ledgerBalance)) {
+        if (repair) this.setLastClaimedAmount(ledgerBalance.toString())
+        report(DiscrepancyType.LAST_CLAIMED_BEHIND, channel,
+          lastClaimed.toString(), ledgerBalance.toString(), repair)
+      } else if (lastClaimed.gt(ledgerBalance)) {
+        // usually a claim which failed after lastClaimedAmount was raised
+        report(DiscrepancyType.LAST_CLAIMED_AHEAD, channel,
+          lastClaimed.toString(), ledgerBalance.toString())
+      }
+
+      const claimAmount = this._getStoredClaimAmount()
+      const channelAmount = this.xrpToBase(paychan.amount)
+      if (new BigNumber(claimAmount).gt(channelAmount)) {
+        report(DiscrepancyType.CLAIM_EXCEEDS_CHANNEL, channel, claimAmount, channelAmount)
+      }
+    }
+
+    const clientChannel = this._store.get(CLIENT_CHANNEL(this._account))
+    if (clientChannel && !clientPaychan) {
+      report(DiscrepancyType.CLIENT_CHANNEL_NOT_FOUND, clientChannel, clientChannel, null)
+    } else if (clientChannel && clientPaychan) {
+      const cached = this._clientPaychan
+      if (cached && this._isPaychanStale(cached, clientPaychan)) {
+        if (repair) this._clientPaychan = clientPaychan
+        report(DiscrepancyType.CLIENT_PAYCHAN_STALE, clientChannel,
+          JSON.stringify(cached), JSON.stringify(clientPaychan), repair)
+      }
+
+      const outgoing = this.getOutgoingBalance()
+      const ledgerBalance = new BigNumber(this.xrpToBase(clientPaychan.balance))
+      const channelAmount = this.xrpToBase(clientPaychan.amount)
+      if (outgoing.lt(ledgerBalance)) {
+        if (repair) {
+          this.setOutgoingBalance(ledgerBalance.toString(),
+            { cause: JournalCause.LEDGER, reference: clientChannel })
+        }
+        report(DiscrepancyType.OUTGOING_BALANCE_BEHIND, clientChannel,
+          outgoing.toString(), ledgerBalance.toString(), repair)
+      } else if (outgoing.gt(channelAmount)) {
+        report(DiscrepancyType.OUTGOING_BALANCE_EXCEEDS_CHANNEL, clientChannel,
+          outgoing.toString(), channelAmount)
+      }
+    }
+
+    return discrepancies
+  }
+
+  private _isPaychanStale (cached: Paychan, ledger: Paychan): boolean {
+    return cached.amount !== ledger.amount ||
+      cached.balance !== ledger.balance ||
+      cached.expiration !== ledger.expiration
+  }
+
+  private _getStoredClaimAmount (): string {
+    const storedClaim = this._store.getObject(INCOMING_CLAIM(this._account)) as Claim
+    return storedClaim ? storedClaim.amount : '0'
+  }
+
+  private _appendJournal (field: JournalField, oldValue: string, newValue: string, ref?: JournalRef) {
+    if (oldValue === newValue) return
+    this._journal.append(this._account, field, oldValue, newValue, ref)
+  }
+
   private _assertState (state: ReadyState) {
     if (this._state !== state) {
-      throw new Error(`account must be in state ${stateToString(state)}.` +
+      throw new InvalidStateError(`account must be in state ${stateToString(state)}.` +
         ' state=' + this.getStateString() +
         ' account=' + this.getAccount())
     }
@@ -0,0 +1,196 @@
+'use strict'
+
+import * as crypto from 'crypto'
+import * as http from 'http'
+import { parse as parseUrl } from 'url'
+import IlpPluginAsymServer, { AdminCommand, AdminCommandName } from './index'
+import { Snapshot } from './snapshot'
+import {
+  NotFoundError,
+  InvalidCommandError,
+  InvalidStateError,
+  UnauthorizedError
+} from './errors'
+
+const DEFAULT_HOST = '127.0.0.1'
+const MAX_BODY_LENGTH = 64 * 1024
+const MAX_SNAPSHOT_LENGTH = 64 * 1024 * 1024
+
+export interface AdminApiParams {
+  plugin: IlpPluginAsymServer
+  port: number
+  host?: string
+  token: string
+  log: any
+}
+
+function errorToStatus (e: Error): number {
+  if (e instanceof UnauthorizedError) return 401
+  if (e instanceof NotFoundError) return 404
+  if (e instanceof InvalidCommandError) return 400
+  if (e instanceof InvalidStateError) return 409
+  return 500
+}
+
+export default class AdminApi {
+  private _plugin: IlpPluginAsymServer
+  private _port: number
+  private _host: string
+  private _token: Buffer
+  private _log: any
+  private _server?: http.Server
+
+  constructor (opts: AdminApiParams) {
+    if (!opts.token) {
+      throw new Error('admin api token must be specified')
+    }
+
+    this._plugin = opts.plugin
+    this._port = opts.port
+    this._host = opts.host || DEFAULT_HOST
+    this._token = Buffer.from(opts.token)
+    this._log = opts.log
+  }
+
+  async listen (): Promise<void> {
+    if (this._server) return
+
+    const server = http.createServer((req, res) => {
+      this._handleRequest(req, res)
+        .catch((e: Error) => {
+          this._log.error('failed to respond to admin request. error=' + e.stack)
+        })
+    })
+
+    await new Promise((resolve, reject) => {
+      server.once('error', reject)
+      server.listen(this._port, this._host, resolve)
+    })
+
+    this._server = server
+    this._log.info('admin api listening.' +
+      ' host=' + this._host +
+      ' port=' + this.getPort())
+  }
+
+  getPort (): number {
+    return this._server ? this._server.address().port : this._port
+  }
+
+  async close (): Promise<void> {
+    const server = this._server
+    if (!server) return
+
+    delete this._server
+    await new Promise(resolve => server.close(resolve))
+  }
+
+  private async _handleRequest (req: http.IncomingMessage, res: http.ServerResponse) {
+    let status = 200
+    let result
+
+    try {
+      this._authenticate(req)
+      result = await this._route(req)
+    } catch (e) {
+      status = errorToStatus(e)
+      if (status === 500) {
+        this._log.error('admin request failed.' +
+          ' method=' + req.method +
+          ' url=' + req.url +
+          ' error=' + e.stack)
+      }
+
+      result = { error: e.name, message: e.message }
+    }
+
+    res.writeHead(status, { 'Content-Type': 'application/json' })
+    res.end(JSON.stringify(result))
+  }
+
+  private _authenticate (req: http.IncomingMessage) {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization as string || '')
+    const token = Buffer.from(match ? match[1] : '')
+
+    if (token.length !== this._token.length || !crypto.timingSafeEqual(token, this._token)) {
+      throw new UnauthorizedError('missing or invalid bearer token')
+    }
+  }
+
+  private async _route (req: http.IncomingMessage): Promise<object> {
+    const url = parseUrl(req.url || '', true)
+    const path = (url.pathname || '')
+      .split('/')
+      .filter(segment => segment)
+      .map(segment => decodeURIComponent(segment))
+    const [ resource, account, command ] = path
+
+    if (req.method === 'GET') {
+      if (resource === 'info' && path.length === 1) {
+        return this._plugin.getAdminInfo()
+      } else if (resource === 'balance' && path.length === 1) {
+        return this._plugin.getXrpBalance()
+      } else if (resource === 'servers' && path.length === 1) {
+        return this._plugin.getXrpServerStatus()
+      } else if (resource === 'snapshot' && path.length === 1) {
+        const { accounts } = url.query
+        return this._plugin.exportSnapshot(typeof accounts === 'string'
+          ? accounts.split(',').filter(a => a)
+          : undefined)
+      } else if (resource === 'accounts' && path.length === 1) {
+        return this._plugin.getAdminAccounts()
+      } else if (resource === 'accounts' && path.length === 2) {
+        return this._plugin.getAdminAccount(account)
+      } else if (resource === 'accounts' && command === 'journal' && path.length === 3) {
+        const { offset, limit } = url.query
+        return this._plugin.sendAdminInfo({
+          command: AdminCommandName.JOURNAL,
+          account,
+          offset: offset === undefined ? undefined : Number(offset),
+          limit: limit === undefined ? undefined : Number(limit)
+        })
+      }
+    } else if (req.method === 'POST') {
+      if (resource === 'reconcile' && path.length === 1) {
+        const body = await this._readBody(req) as { repair?: boolean }
+        return this._plugin.reconcile(body.repair === undefined ? undefined : !!body.repair)
+      } else if (resource === 'snapshot' && path.length === 1) {
+        const body = await this._readBody(req, MAX_SNAPSHOT_LENGTH)
+        return this._plugin.importSnapshot(body as Snapshot)
+      } else if (resource === 'accounts' && path.length === 3) {
+        const body = await this._readBody(req)
+        const cmd = Object.assign({}, body, { account, command }) as AdminCommand
+        return this._plugin.sendAdminInfo(cmd)
+      }
+    }
+
+    throw new NotFoundError('no such route. method=' + req.method + ' url=' + req.url)
+  }
+
+  private async _readBody (req: http.IncomingMessage, maxLength = MAX_BODY_LENGTH): Promise<object> {
+    const chunks: Buffer[] = []
+    let length = 0
+
+    await new Promise((resolve, reject) => {
+      req.on('data', (chunk: Buffer) => {
+        length += chunk.length
+        if (length > maxLength) {
+          reject(new InvalidCommandError('request body is too large'))
+          return
+        }
+        chunks.push(chunk)
+      })
+      req.on('end', resolve)
+      req.on('error', reject)
+    })
+
+    const body = Buffer.concat(chunks).toString()
+    if (!body) return {}
+
+    try {
+      return JSON.parse(body)
+    } catch (e) {
+      throw new InvalidCommandError('request body must be valid JSON. error=' + e.message)
+    }
+  }
+}
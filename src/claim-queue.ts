@@ -0,0 +1,225 @@
+'use strict'
+
+import BigNumber from 'bignumber.js'
+import StoreWrapper from './store-wrapper'
+
+const CLAIM_QUEUE = 'plugin:claim_queue'
+
+const DEFAULT_RETRY_DELAY = 5 * 1000
+const DEFAULT_MAX_RETRY_DELAY = 10 * 60 * 1000
+const DEFAULT_MAX_FEE = '0.001'
+const DEFAULT_MAX_CONCURRENT_CLAIMS = 5
+const CHECK_INTERVAL = 1000
+const DROPS_PER_XRP = 1000000
+
+// A claim waiting to be submitted. It doesn't hold the amount: every attempt
+// submits the best claim the account has at that time.
+export interface QueuedClaim {
+  account: string
+  close: boolean
+  attempts: number
+  retryAt: number
+  lastError: string | null
+}
+
+export interface ClaimQueueParams {
+  store: StoreWrapper
+  log: any
+  // submits the account's best claim with the given fee in XRP, and resolves
+  // once it is validated. nothing is left to claim if it resolves without
+  // submitting anything.
+  submit: (claim: QueuedClaim, fee: string) => Promise<any>
+  // the current fee of the network in XRP
+  getFee: () => Promise<string>
+  retryDelay?: number
+  maxRetryDelay?: number
+  maxFee?: string
+  // how many claims are submitted at once. the others wait for a free slot.
+  maxConcurrentClaims?: number
+}
+
+export interface AddClaimOpts {
+  close?: boolean
+  immediate?: boolean
+}
+
+interface Waiter {
+  resolve: (result: any) => void
+  reject: (error: Error) => void
+}
+
+export default class ClaimQueue {
+  private _store: StoreWrapper
+  private _log: any
+  private _submit: (claim: QueuedClaim, fee: string) => Promise<any>
+  private _getFee: () => Promise<string>
+  private _retryDelay: number
+  private _maxRetryDelay: number
+  private _maxFee: BigNumber
+  private _maxConcurrentClaims: number
+  private _waiters: Map<string, Waiter[]>
+  private _inFlight: Set<string>
+  private _readded: Set<string>
+  private _intervalId?: NodeJS.Timer
+
+  constructor (opts: ClaimQueueParams) {
+    this._store = opts.store
+    this._log = opts.log
+    this._submit = opts.submit
+    this._getFee = opts.getFee
+    this._retryDelay = opts.retryDelay || DEFAULT_RETRY_DELAY
+    this._maxRetryDelay = opts.maxRetryDelay || DEFAULT_MAX_RETRY_DELAY
+    this._maxFee = new BigNumber(opts.maxFee || DEFAULT_MAX_FEE)
+    this._maxConcurrentClaims = opts.maxConcurrentClaims || DEFAULT_MAX_CONCURRENT_CLAIMS
+    this._waiters = new Map()
+    this._inFlight = new Set()
+    this._readded = new Set()
+  }
+
+  async load (): Promise<void> {
+    await this._store.loadObject(CLAIM_QUEUE)
+  }
+
+  start () {
+    if (this._intervalId) return
+    this._intervalId = global.setInterval(() => {
+      this.process().catch((e: Error) => {
+        this._log.error('failed to process claim queue. error=' + e.stack)
+      })
+    }, CHECK_INTERVAL)
+  }
+
+  stop () {
+    if (this._intervalId) {
+      clearInterval(this._intervalId)
+      delete this._intervalId
+    }
+  }
+
+  getClaims (): QueuedClaim[] {
+    const claims = this._getEntries()
+    return Object.keys(claims).map(account => claims[account])
+  }
+
+  getClaim (account: string): QueuedClaim | void {
+    return this._getEntries()[account]
+  }
+
+  // queues a claim for the account. the promise settles with the outcome of
+  // the account's next attempt, but a claim which fails stays queued until it
+  // succeeds. a claim which is waiting for a retry is only attempted now if
+  // it is immediate or closes the channel, and only if a slot is free;
+  // otherwise it is attempted on the next check.
+  add (account: string, opts: AddClaimOpts = {}): Promise<any> {
+    const close = !!opts.close
+    const existing = this.getClaim(account)
+    const immediate = !existing || close || !!opts.immediate
+    this._setEntry({
+      account,
+      close: close || (existing ? existing.close : false),
+      attempts: existing ? existing.attempts : 0,
+      retryAt: (existing && !immediate) ? existing.retryAt : Date.now(),
+      lastError: existing ? existing.lastError : null
+    })
+
+    const result = new Promise((resolve, reject) => {
+      const waiters = this._waiters.get(account) || []
+      waiters.push({ resolve, reject })
+      this._waiters.set(account, waiters)
+    })
+
+    if (this._inFlight.has(account)) {
+      this._readded.add(account)
+    } else if (immediate && this._inFlight.size < this._maxConcurrentClaims) {
+      this._attempt(account).catch(() => undefined)
+    }
+
+    return result
+  }
+
+  // attempts the claims which are due, as far as there are free slots.
+  // claims which close a channel go first, then the ones due longest.
+  async process (): Promise<void> {
+    const now = Date.now()
+    const slots = this._maxConcurrentClaims - this._inFlight.size
+    if (slots <= 0) return
+
+    await Promise.all(this.getClaims()
+      .filter(claim => claim.retryAt <= now && !this._inFlight.has(claim.account))
+      .sort((a, b) => (Number(b.close) - Number(a.close)) || (a.retryAt - b.retryAt))
+      .slice(0, slots)
+      .map(claim => this._attempt(claim.account).catch(() => undefined)))
+  }
+
+  // the fee doubles with every failed attempt, so a claim gets through when
+  // the network is busy, but never goes above the maximum
+  async getFee (attempts: number): Promise<string> {
+    const fee = new BigNumber(await this._getFee())
+      .times(Math.pow(2, attempts))
+      .times(DROPS_PER_XRP)
+      .integerValue(BigNumber.ROUND_CEIL)
+      .dividedBy(DROPS_PER_XRP)
+
+    return BigNumber.min(fee, this._maxFee).toString()
+  }
+
+  private async _attempt (account: string): Promise<any> {
+    const claim = this.getClaim(account)
+    if (!claim) return
+
+    // whoever queues the claim from here on waits for the next attempt
+    const waiters = this._waiters.get(account) || []
+    this._waiters.delete(account)
+    this._inFlight.add(account)
+    this._readded.delete(account)
+
+    let result: any
+    try {
+      const fee = await this.getFee(claim.attempts)
+      result = await this._submit(claim, fee)
+    } catch (e) {
+      const attempts = claim.attempts + 1
+      const delay = Math.min(this._retryDelay * Math.pow(2, attempts - 1), this._maxRetryDelay)
+      this._setEntry(Object.assign({}, this.getClaim(account) || claim, {
+        attempts,
+        retryAt: Date.now() + delay,
+        lastError: e.message
+      }))
+
+      this._log.warn('claim failed. retrying later.' +
+        ' account=' + account +
+        ' attempts=' + attempts +
+        ' delay=' + delay +
+        ' error=' + e.message)
+      waiters.forEach(waiter => waiter.reject(e))
+      throw e
+    } finally {
+      this._inFlight.delete(account)
+    }
+
+    waiters.forEach(waiter => waiter.resolve(result))
+
+    // a claim which was queued again while this one was being submitted may
+    // have a higher amount or close the channel, so it gets its own attempt
+    if (this._readded.has(account)) {
+      return this._attempt(account)
+    }
+
+    this._deleteEntry(account)
+    return result
+  }
+
+  private _getEntries (): { [account: string]: QueuedClaim } {
+    return (this._store.getObject(CLAIM_QUEUE) || {}) as { [account: string]: QueuedClaim }
+  }
+
+  private _setEntry (claim: QueuedClaim) {
+    this._store.set(CLAIM_QUEUE, Object.assign({}, this._getEntries(), { [claim.account]: claim }))
+  }
+
+  private _deleteEntry (account: string) {
+    const entries = Object.assign({}, this._getEntries())
+    delete entries[account]
+    this._store.set(CLAIM_QUEUE, entries)
+  }
+}
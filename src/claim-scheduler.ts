@@ -0,0 +1,140 @@
+'use strict'
+
+import BigNumber from 'bignumber.js'
+import { Account } from './account'
+
+const CHECK_INTERVAL = 1000
+
+export interface ClaimSchedulerParams {
+  log: any
+  // how often each account is visited, in ms
+  interval: number
+  // decides whether to claim for the account and queues the claim. it
+  // resolves once the claim is queued, not once it is submitted.
+  autoClaim: (account: Account) => Promise<void>
+  // the current fee of the network in XRP
+  getFee: () => Promise<string>
+  getLedgerVersion: () => Promise<number>
+}
+
+// Visits every account with an incoming channel once per interval, from a
+// single timer. Accounts which are due are visited in order of their
+// unclaimed value, highest first, so their claims are queued in that order.
+// The claim queue limits how many claims are submitted at once.
+export default class ClaimScheduler {
+  private _log: any
+  private _interval: number
+  private _autoClaim: (account: Account) => Promise<void>
+  private _getFee: () => Promise<string>
+  private _getLedgerVersion: () => Promise<number>
+  private _accounts: Map<string, { account: Account, dueAt: number }>
+  private _inFlight: Set<string>
+  private _fee?: { ledgerVersion: number, fee: Promise<string> }
+  private _intervalId?: NodeJS.Timer
+
+  constructor (opts: ClaimSchedulerParams) {
+    this._log = opts.log
+    this._interval = opts.interval
+    this._autoClaim = opts.autoClaim
+    this._getFee = opts.getFee
+    this._getLedgerVersion = opts.getLedgerVersion
+    this._accounts = new Map()
+    this._inFlight = new Set()
+  }
+
+  start () {
+    if (this._intervalId) return
+    this._intervalId = global.setInterval(() => {
+      this.process().catch((e: Error) => {
+        this._log.error('failed to process claim schedule. error=' + e.stack)
+      })
+    }, Math.min(CHECK_INTERVAL, this._interval))
+  }
+
+  stop () {
+    if (this._intervalId) {
+      clearInterval(this._intervalId)
+      delete this._intervalId
+    }
+    this._accounts.clear()
+  }
+
+  // the account is first visited one interval from now
+  add (account: Account) {
+    if (this._accounts.has(account.getAccount())) return
+
+    this._log.trace('scheduling auto-claim. interval=' + this._interval,
+      'account=' + account.getAccount())
+    this._accounts.set(account.getAccount(), {
+      account,
+      dueAt: Date.now() + this._interval
+    })
+  }
+
+  // a claim which is in flight still finishes
+  remove (account: Account) {
+    this._accounts.delete(account.getAccount())
+  }
+
+  has (account: Account): boolean {
+    return this._accounts.has(account.getAccount())
+  }
+
+  size (): number {
+    return this._accounts.size
+  }
+
+  // the fee only changes from one ledger to the next, so it is fetched once
+  // per ledger. without a ledger version it is fetched every time.
+  async getFee (): Promise<string> {
+    let ledgerVersion: number
+    try {
+      ledgerVersion = await this._getLedgerVersion()
+    } catch (e) {
+      return this._getFee()
+    }
+
+    if (!this._fee || this._fee.ledgerVersion !== ledgerVersion) {
+      const fee = this._getFee()
+      this._fee = { ledgerVersion, fee }
+      fee.catch(() => {
+        if (this._fee && this._fee.fee === fee) delete this._fee
+      })
+    }
+
+    return this._fee.fee
+  }
+
+  // visits the accounts which are due and not still being visited. resolves
+  // once the visits started here are done.
+  async process (): Promise<void> {
+    const now = Date.now()
+    const due = Array.from(this._accounts.values())
+      .filter(entry => entry.dueAt <= now && !this._inFlight.has(entry.account.getAccount()))
+      .map(entry => ({ entry, unclaimed: getUnclaimed(entry.account) }))
+      .sort((a, b) => b.unclaimed.comparedTo(a.unclaimed))
+
+    await Promise.all(due.map(({ entry }) => {
+      entry.dueAt = now + this._interval
+      return this._visit(entry.account)
+    }))
+  }
+
+  private async _visit (account: Account) {
+    const name = account.getAccount()
+    this._inFlight.add(name)
+    try {
+      await this._autoClaim(account)
+    } catch (e) {
+      this._log.error('failed to auto-claim. account=' + name +
+        ' error=' + (e && e.stack))
+    } finally {
+      this._inFlight.delete(name)
+    }
+  }
+}
+
+function getUnclaimed (account: Account): BigNumber {
+  return new BigNumber(account.getIncomingClaim().amount)
+    .minus(account.getLastClaimedAmount())
+}
@@ -0,0 +1,171 @@
+'use strict'
+
+import BigNumber from 'bignumber.js'
+
+// All amounts are given in the plugin's base units, and all times in
+// milliseconds since the epoch.
+export interface ClaimContext {
+  account: string
+  // the best incoming claim minus what is already claimed on the ledger.
+  // always more than 0, since there is nothing to decide otherwise.
+  unclaimed: BigNumber
+  // the current fee of a claim
+  fee: BigNumber
+  // when a claim for the channel was last validated, or when the channel was
+  // registered. unset for channels registered before this was recorded.
+  lastClaimTime: number | void
+  // when the incoming channel closes, either because it expires or because
+  // of its cancelAfter, as the ledger shows it now. unset if it has neither.
+  closesAt: number | void
+  // the settle delay of the incoming channel, in seconds
+  settleDelay: number
+  now: number
+}
+
+// A claim strategy decides whether the incoming claim of an account is
+// submitted to the ledger. It is asked on every claimInterval.
+export interface ClaimStrategy {
+  shouldClaim (context: ClaimContext): boolean
+}
+
+export interface FeeRatioClaimOpts {
+  type: 'fee_ratio'
+  // the highest fee as a fraction of the unclaimed amount
+  maxFeePercent?: string
+}
+
+export interface UnclaimedClaimOpts {
+  type: 'unclaimed'
+  threshold: string
+}
+
+export interface MaxAgeClaimOpts {
+  type: 'max_age'
+  maxAge: number
+}
+
+export interface ExpirationClaimOpts {
+  type: 'expiration'
+  // how long before the channel closes to claim. defaults to the channel's
+  // settle delay.
+  margin?: number
+}
+
+export type ClaimStrategyOpts = FeeRatioClaimOpts | UnclaimedClaimOpts | MaxAgeClaimOpts | ExpirationClaimOpts
+
+// claims once the fee is a small enough part of the unclaimed amount
+export class FeeRatioClaimStrategy implements ClaimStrategy {
+  private _maxFeePercent: string
+
+  constructor (maxFeePercent: string) {
+    this._maxFeePercent = maxFeePercent
+  }
+
+  shouldClaim (context: ClaimContext): boolean {
+    return context.fee.dividedBy(context.unclaimed).lte(this._maxFeePercent)
+  }
+}
+
+// bounds the value which sits unclaimed, whatever the fee is
+export class UnclaimedClaimStrategy implements ClaimStrategy {
+  private _threshold: BigNumber
+
+  constructor (threshold: string) {
+    this._threshold = new BigNumber(threshold)
+  }
+
+  shouldClaim (context: ClaimContext): boolean {
+    return context.unclaimed.gte(this._threshold)
+  }
+}
+
+// bounds how long value sits unclaimed
+export class MaxAgeClaimStrategy implements ClaimStrategy {
+  private _maxAge: number
+
+  constructor (maxAge: number) {
+    this._maxAge = maxAge
+  }
+
+  shouldClaim (context: ClaimContext): boolean {
+    if (!context.lastClaimTime) return true
+    return context.now - context.lastClaimTime >= this._maxAge
+  }
+}
+
+// claims before a channel closes, since anything not claimed by then is lost
+export class ExpirationClaimStrategy implements ClaimStrategy {
+  private _margin?: number
+
+  constructor (margin?: number) {
+    this._margin = margin
+  }
+
+  shouldClaim (context: ClaimContext): boolean {
+    if (!context.closesAt) return false
+    const margin = (this._margin === undefined)
+      ? context.settleDelay * 1000
+      : this._margin
+    return context.closesAt - context.now <= margin
+  }
+}
+
+// claims as soon as any of its strategies would
+export class AnyClaimStrategy implements ClaimStrategy {
+  private _strategies: ClaimStrategy[]
+
+  constructor (strategies: ClaimStrategy[]) {
+    this._strategies = strategies
+  }
+
+  shouldClaim (context: ClaimContext): boolean {
+    return this._strategies.some(strategy => strategy.shouldClaim(context))
+  }
+}
+
+// a custom strategy can be passed instead of options for the built-in ones,
+// and a list of either claims as soon as one of them would. maxFeePercent is
+// the plugin's maxFeePercent.
+export function createClaimStrategy (
+  opts: ClaimStrategyOpts | ClaimStrategy | Array<ClaimStrategyOpts | ClaimStrategy> | void,
+  maxFeePercent: string
+): ClaimStrategy {
+  if (!opts) {
+    return new FeeRatioClaimStrategy(maxFeePercent)
+  }
+
+  if (Array.isArray(opts)) {
+    return new AnyClaimStrategy(opts.map(o => createClaimStrategy(o, maxFeePercent)))
+  }
+
+  if (isClaimStrategy(opts)) {
+    return opts
+  }
+
+  switch (opts.type) {
+    case 'fee_ratio':
+      return new FeeRatioClaimStrategy(opts.maxFeePercent || maxFeePercent)
+
+    case 'unclaimed':
+      if (!opts.threshold) {
+        throw new Error('unclaimed claim strategy must have a threshold')
+      }
+      return new UnclaimedClaimStrategy(opts.threshold)
+
+    case 'max_age':
+      if (!opts.maxAge) {
+        throw new Error('max_age claim strategy must have a maxAge')
+      }
+      return new MaxAgeClaimStrategy(opts.maxAge)
+
+    case 'expiration':
+      return new ExpirationClaimStrategy(opts.margin)
+
+    default:
+      throw new Error('unknown claim strategy. type=' + (opts as any).type)
+  }
+}
+
+function isClaimStrategy (opts: ClaimStrategyOpts | ClaimStrategy): opts is ClaimStrategy {
+  return 'shouldClaim' in opts
+}
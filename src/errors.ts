@@ -0,0 +1,41 @@
+export class NotFoundError extends Error {
+  constructor (message: string) {
+    super(message)
+    this.name = 'NotFoundError'
+  }
+}
+
+export class AccountNotFoundError extends NotFoundError {
+  constructor (message: string) {
+    super(message)
+    this.name = 'AccountNotFoundError'
+  }
+}
+
+export class InvalidCommandError extends Error {
+  constructor (message: string) {
+    super(message)
+    this.name = 'InvalidCommandError'
+  }
+}
+
+export class InvalidStateError extends Error {
+  constructor (message: string) {
+    super(message)
+    this.name = 'InvalidStateError'
+  }
+}
+
+export class UnauthorizedError extends Error {
+  constructor (message: string) {
+    super(message)
+    this.name = 'UnauthorizedError'
+  }
+}
+
+export class InsufficientHotWalletBalanceError extends Error {
+  constructor (message: string) {
+    super(message)
+    this.name = 'InsufficientHotWalletBalanceError'
+  }
+}
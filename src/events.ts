@@ -0,0 +1,110 @@
+import { ReconciliationReport } from './reconciliation'
+
+export enum PluginEvent {
+  ACCOUNT_CONNECTED = 'account.connected',
+  ACCOUNT_BLOCKED = 'account.blocked',
+  CHANNEL_REGISTERED = 'channel.registered',
+  CLAIM_RECEIVED = 'claim.received',
+  CLAIM_SUBMITTED = 'claim.submitted',
+  CLAIM_FAILED = 'claim.failed',
+  CLIENT_CHANNEL_CREATED = 'client_channel.created',
+  CLIENT_CHANNEL_FUNDED = 'client_channel.funded',
+  CLIENT_CHANNEL_RECLAIMED = 'client_channel.reclaimed',
+  SETTLEMENT_SENT = 'settlement.sent',
+  SETTLEMENT_FAILED = 'settlement.failed',
+  HOT_WALLET_LOW_BALANCE = 'hot_wallet.low_balance',
+  RECONCILIATION_COMPLETED = 'reconciliation.completed',
+  XRP_SERVER_SWITCHED = 'xrp_server.switched'
+}
+
+// Amounts are given in the plugin's base units (`amount`) and in drops
+// (`amountDrops`). Accounts are given by name, without the plugin's prefix.
+
+export interface AccountConnectedEvent {
+  account: string
+  state: string
+  channel?: string
+  clientChannel?: string
+}
+
+export interface AccountBlockedEvent {
+  account: string
+  reason: string
+  channel?: string
+}
+
+export interface ChannelRegisteredEvent {
+  account: string
+  channel: string
+  amount: string
+  amountDrops: string
+}
+
+export interface ClaimReceivedEvent {
+  account: string
+  channel: string
+  amount: string
+  amountDrops: string
+}
+
+// fee is in XRP
+export interface ClaimSubmittedEvent {
+  account: string
+  channel: string
+  amount: string
+  amountDrops: string
+  close: boolean
+  fee: string
+}
+
+export interface ClaimFailedEvent extends ClaimSubmittedEvent {
+  error: Error
+}
+
+export interface ClientChannelCreatedEvent {
+  account: string
+  channel: string
+  clientChannel: string
+  amount: string
+  amountDrops: string
+}
+
+export interface ClientChannelFundedEvent {
+  account: string
+  clientChannel: string
+  amount: string
+  amountDrops: string
+}
+
+export interface ClientChannelReclaimedEvent {
+  account: string
+  clientChannel: string
+  lastSettlement: string
+}
+
+export interface SettlementSentEvent {
+  account: string
+  clientChannel?: string
+  amount: string
+  amountDrops: string
+}
+
+export interface SettlementFailedEvent extends SettlementSentEvent {
+  error: Error
+}
+
+// XRP amounts of the server's account, after the transaction which caused the
+// warning
+export interface HotWalletLowBalanceEvent {
+  total: string
+  reserved: string
+  available: string
+  threshold: string
+}
+
+export type ReconciliationCompletedEvent = ReconciliationReport
+
+export interface XrpServerSwitchedEvent {
+  from: string
+  to: string
+}
@@ -0,0 +1,161 @@
+'use strict'
+
+// All amounts are given in drops.
+export interface FundingContext {
+  account: string
+  // the amount of the client channel, 0 if it doesn't exist yet
+  channelAmount: number
+  // the amount settled to the account within the volume window
+  settledVolume: number
+}
+
+// A funding strategy decides how much XRP goes into a client channel, both
+// when it is created and when it is topped up. A top-up is started once less
+// than half of the top-up amount is left in the channel.
+export interface FundingStrategy {
+  getInitialAmount (context: FundingContext): number
+  getTopUpAmount (context: FundingContext): number
+}
+
+export interface FixedFundingOpts {
+  type: 'fixed'
+  initialAmount?: number
+  topUpAmount?: number
+}
+
+export interface ProportionalFundingOpts {
+  type: 'proportional'
+  // the channel is topped up with volumeMultiplier times the settled volume
+  volumeMultiplier?: number
+  minAmount?: number
+  maxAmount?: number
+  initialAmount?: number
+}
+
+export type FundingStrategyOpts = FixedFundingOpts | ProportionalFundingOpts
+
+const DEFAULT_VOLUME_MULTIPLIER = 2
+const VOLUME_BUCKETS = 60
+
+export class FixedFundingStrategy implements FundingStrategy {
+  private _initialAmount: number
+  private _topUpAmount: number
+
+  constructor (initialAmount: number, topUpAmount: number) {
+    this._initialAmount = initialAmount
+    this._topUpAmount = topUpAmount
+  }
+
+  getInitialAmount (): number {
+    return this._initialAmount
+  }
+
+  getTopUpAmount (): number {
+    return this._topUpAmount
+  }
+}
+
+export class ProportionalFundingStrategy implements FundingStrategy {
+  private _volumeMultiplier: number
+  private _minAmount: number
+  private _maxAmount: number
+  private _initialAmount: number
+
+  constructor (opts: { volumeMultiplier: number, minAmount: number, maxAmount: number, initialAmount: number }) {
+    this._volumeMultiplier = opts.volumeMultiplier
+    this._minAmount = opts.minAmount
+    this._maxAmount = opts.maxAmount
+    this._initialAmount = opts.initialAmount
+  }
+
+  getInitialAmount (): number {
+    return this._initialAmount
+  }
+
+  getTopUpAmount (context: FundingContext): number {
+    const amount = Math.ceil(context.settledVolume * this._volumeMultiplier)
+    return Math.min(Math.max(amount, this._minAmount), this._maxAmount)
+  }
+}
+
+// a custom strategy can be passed instead of options for the built-in ones.
+// defaultAmount is the plugin's outgoingChannelAmount.
+export function createFundingStrategy (opts: FundingStrategyOpts | FundingStrategy | void, defaultAmount: number): FundingStrategy {
+  if (!opts) {
+    return new FixedFundingStrategy(defaultAmount, defaultAmount)
+  }
+
+  if (isFundingStrategy(opts)) {
+    return opts
+  }
+
+  switch (opts.type) {
+    case 'fixed':
+      return new FixedFundingStrategy(
+        opts.initialAmount || defaultAmount,
+        opts.topUpAmount || opts.initialAmount || defaultAmount)
+
+    case 'proportional':
+      return new ProportionalFundingStrategy({
+        volumeMultiplier: opts.volumeMultiplier || DEFAULT_VOLUME_MULTIPLIER,
+        minAmount: opts.minAmount || defaultAmount,
+        maxAmount: opts.maxAmount || Infinity,
+        initialAmount: opts.initialAmount || opts.minAmount || defaultAmount
+      })
+
+    default:
+      throw new Error('unknown funding strategy. type=' + (opts as any).type)
+  }
+}
+
+function isFundingStrategy (opts: FundingStrategyOpts | FundingStrategy): opts is FundingStrategy {
+  return 'getTopUpAmount' in opts
+}
+
+// keeps the amounts settled to each account within a sliding window. every
+// fulfilled packet is settled, so amounts are summed up in buckets.
+export class SettlementVolume {
+  private _window: number
+  private _bucketSize: number
+  private _settlements: Map<string, Array<{ time: number, amount: number }>>
+
+  constructor (window: number) {
+    this._window = window
+    this._bucketSize = Math.max(Math.floor(window / VOLUME_BUCKETS), 1)
+    this._settlements = new Map()
+  }
+
+  record (account: string, amount: number) {
+    const time = Math.floor(Date.now() / this._bucketSize) * this._bucketSize
+    const settlements = this._settlements.get(account) || []
+    const last = settlements[settlements.length - 1]
+
+    if (last && last.time === time) {
+      last.amount += amount
+    } else {
+      settlements.push({ time, amount })
+    }
+    this._settlements.set(account, settlements)
+  }
+
+  getVolume (account: string): number {
+    const settlements = this._settlements.get(account)
+    if (!settlements) return 0
+
+    const start = Date.now() - this._window
+    while (settlements.length && settlements[0].time + this._bucketSize <= start) {
+      settlements.shift()
+    }
+
+    if (!settlements.length) {
+      this._settlements.delete(account)
+      return 0
+    }
+
+    return settlements.reduce((sum, s) => sum + s.amount, 0)
+  }
+
+  remove (account: string) {
+    this._settlements.delete(account)
+  }
+}
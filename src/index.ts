@@ -8,7 +8,45 @@ import { RippleAPI } from 'ripple-lib'
 import BigNumber from 'bignumber.js'
 import * as ILDCP from 'ilp-protocol-ildcp'
 import StoreWrapper from './store-wrapper'
-import { Account, ReadyState } from './account'
+import { Account, AccountInfo, AccountLimits, ReadyState } from './account'
+import AdminApi from './admin-api'
+import Metrics, { XrpBalance } from './metrics'
+import MetricsExporter from './metrics-exporter'
+import { PluginEvent } from './events'
+import Journal, { JournalCause, JournalRef } from './journal'
+import AccountIndex from './account-index'
+import ClaimQueue, { QueuedClaim } from './claim-queue'
+import ClaimScheduler from './claim-scheduler'
+import {
+  ClaimStrategy,
+  ClaimStrategyOpts,
+  createClaimStrategy
+} from './claim-strategy'
+import { ReconciliationReport } from './reconciliation'
+import {
+  AccountSnapshot,
+  ImportReport,
+  Snapshot,
+  SnapshotError,
+  SNAPSHOT_VERSION
+} from './snapshot'
+import ServerFailover, { ServerFailoverStatus } from './server-failover'
+import Migrator from './migrations'
+import {
+  createFundingStrategy,
+  FundingContext,
+  FundingStrategy,
+  FundingStrategyOpts,
+  SettlementVolume
+} from './funding-strategy'
+import RateLimiter, { RateLimits, RateLimitState } from './rate-limiter'
+export * from './events'
+import {
+  AccountNotFoundError,
+  InvalidCommandError,
+  InsufficientHotWalletBalanceError,
+  InvalidStateError
+} from './errors'
 
 import {
   Protocol,
@@ -24,6 +62,13 @@ const MiniAccountsPlugin = require('ilp-plugin-mini-accounts')
 
 const OUTGOING_CHANNEL_DEFAULT_AMOUNT = Math.pow(10, 6) // 1 XRP
 const MIN_INCOMING_CHANNEL = 10000000
+const CLIENT_CHANNEL_CLOSE_MARGIN = 60 * 1000
+const RESTORE_CONCURRENCY = 10
+const DEFAULT_THROUGHPUT_INTERVAL = 60 * 1000
+const IDLE_CHECK_INTERVAL = 10 * 60 * 1000
+const DEFAULT_FUNDING_VOLUME_WINDOW = 60 * 60 * 1000
+const DEFAULT_SETTLEMENT_MAX_DELAY = 10 * 1000
+const DEFAULT_SETTLEMENT_RETRY_INTERVAL = 60 * 1000
 const ASSET_CODE = 'XRP'
 
 import * as debug from 'debug'
@@ -31,18 +76,28 @@ import createLogger = require('ilp-logger')
 const DEBUG_NAMESPACE = 'ilp-plugin-xrp-server'
 
 const CHANNEL_KEYS = 'ilp-plugin-multi-xrp-paychan-channel-keys'
+const CHANNEL_ACCOUNT = (c: string) => 'channel:' + c
 const {
   createSubmitter,
   util,
   ChannelWatcher
 } = require('ilp-plugin-xrp-paychan-shared')
 
+// an account name is a segment of an ILP address. it can't contain a ':', so
+// none of its keys can be one of the plugin's global keys.
+const ACCOUNT_NAME = /^[a-zA-Z0-9_~-]+$/
+
 function ilpAddressToAccount (prefix: string, ilpAddress: string) {
   if (ilpAddress.substr(0, prefix.length) !== prefix) {
     throw new Error('ILP address (' + ilpAddress + ') must start with prefix (' + prefix + ')')
   }
 
-  return ilpAddress.substr(prefix.length).split('.')[0]
+  const account = ilpAddress.substr(prefix.length).split('.')[0]
+  if (!ACCOUNT_NAME.test(account)) {
+    throw new Error('account name must be a valid ILP address segment. account=' + account)
+  }
+
+  return account
 }
 
 export interface ExtraInfo {
@@ -55,29 +110,91 @@ export interface ExtraInfo {
 
 export enum AdminCommandName {
   BLOCK = 'block',
-  SETTLE = 'settle'
+  UNBLOCK = 'unblock',
+  RESET = 'reset',
+  SETTLE = 'settle',
+  CLAIM = 'claim',
+  SET_LIMITS = 'set_limits',
+  CLOSE_CLIENT_CHANNEL = 'close_client_channel',
+  JOURNAL = 'journal',
+  RECONCILE = 'reconcile'
 }
 
 export interface AdminCommand {
   command: AdminCommandName,
   account: string,
-  amount?: string
+  amount?: string,
+  maxBalance?: string | null,
+  maxPacketAmount?: string | null,
+  minIncomingChannelAmount?: string | null,
+  maxPacketsPerSecond?: string | null,
+  maxThroughput?: string | null,
+  maxOutgoingChannelAmount?: string | null,
+  maxOwedBalance?: string | null,
+  offset?: number,
+  limit?: number,
+  repair?: boolean
+}
+
+interface HotWalletBalance extends XrpBalance {
+  // the XRP reserved for each object the account owns on the ledger
+  reserveIncrement: string
+}
+
+export interface AdminAccountInfo extends AccountInfo {
+  rateLimit: RateLimitState
+}
+
+export interface AdminApiOpts {
+  port: number
+  host?: string
+  token: string
+}
+
+export interface MetricsOpts {
+  port: number
+  host?: string
 }
 
 export interface IlpPluginAsymServerOpts {
   assetScale?: number
   currencyScale?: number
   maxPacketAmount?: string
-  xrpServer: string
+  xrpServer?: string | string[]
+  xrpServerHealthCheckInterval?: number
+  api?: RippleAPI
   secret: string
   address: string
   maxBalance?: string
   bandwidth?: string
   claimInterval?: number
+  maxConcurrentClaims?: number
   outgoingChannelAmount?: number
+  fundingStrategy?: FundingStrategyOpts | FundingStrategy
+  fundingVolumeWindow?: number
+  maxOutgoingChannelAmount?: number
+  minAvailableXrp?: string
+  lowAvailableXrp?: string
   minIncomingChannelAmount?: number
+  maxPacketsPerSecond?: number
+  maxThroughput?: string
+  throughputInterval?: number
+  reconcileInterval?: number
+  reconcileRepair?: boolean
+  clientChannelIdleTimeout?: number
+  settlementThreshold?: string
+  settlementMaxDelay?: number
+  maxOwedBalance?: string
+  settlementRetryInterval?: number
   _store: Store
+  storePrefix?: string
   maxFeePercent?: string,
+  claimStrategy?: ClaimStrategyOpts | ClaimStrategy | Array<ClaimStrategyOpts | ClaimStrategy>,
+  claimRetryDelay?: number,
+  claimRetryMaxDelay?: number,
+  maxClaimFee?: string,
+  adminApi?: AdminApiOpts,
+  metrics?: MetricsOpts,
   log: any
 }
 
@@ -86,6 +203,7 @@ export default class IlpPluginAsymServer extends MiniAccountsPlugin {
   private _maxPacketAmount: BigNumber
   private _currencyScale: number
   private _xrpServer: string
+  private _serverFailover: ServerFailover
   private _secret: string
   private _address: string
   private _api: RippleAPI
@@ -93,12 +211,45 @@ export default class IlpPluginAsymServer extends MiniAccountsPlugin {
   private _bandwidth: string
   private _claimInterval: number
   private _outgoingChannelAmount: number
+  private _fundingStrategy: FundingStrategy
+  private _settlementVolume: SettlementVolume
+  private _maxOutgoingChannelAmount?: number
+  private _minAvailableXrp?: string
+  private _lowAvailableXrp?: string
+  private _hotWalletBalance?: { ledgerVersion: number, balance: Promise<HotWalletBalance> }
+  private _hotWalletPending: BigNumber
   private _minIncomingChannelAmount: number
+  private _maxPacketsPerSecond?: number
+  private _maxThroughput?: string
+  private _rateLimiter: RateLimiter
+  private _reconcileInterval?: number
+  private _reconcileRepair: boolean
+  private _reconcileIntervalId?: NodeJS.Timer
+  private _reconciling: Map<boolean, Promise<ReconciliationReport>>
+  private _clientChannelIdleTimeout?: number
+  private _settlementThreshold?: BigNumber
+  private _settlementMaxDelay: number
+  private _settlementTimeouts: Map<string, NodeJS.Timer>
+  private _inFlightAmounts: Map<string, BigNumber>
+  private _inFlightPrepares: Map<object, { account: string, amount: BigNumber, timeout: NodeJS.Timer }>
+  private _maxOwedBalance: string
+  private _settlementRetryInterval: number
+  private _settlementRetryIntervalId?: NodeJS.Timer
+  private _idleCheckIntervalId?: NodeJS.Timer
   private _store: StoreWrapper
+  private _journal: Journal
+  private _accountIndex: AccountIndex
+  private _claimQueue: ClaimQueue
+  private _claimScheduler: ClaimScheduler
+  private _migrator: Migrator
   private _txSubmitter: any
   private _maxFeePercent: string
+  private _claimStrategy: ClaimStrategy
   private _channelToAccount: Map<string, Account>
   private _accounts: Map<string, Account>
+  private _adminApi?: AdminApi
+  private _metrics: Metrics
+  private _metricsExporter?: MetricsExporter
   private _log: any
 
   constructor (opts: IlpPluginAsymServerOpts) {
@@ -122,25 +273,58 @@ export default class IlpPluginAsymServer extends MiniAccountsPlugin {
 
     this._maxPacketAmount = new BigNumber(opts.maxPacketAmount || 'Infinity')
     this._currencyScale = (typeof currencyScale === 'number') ? currencyScale : 6
-    this._xrpServer = opts.xrpServer
+    const xrpServers = ([] as string[]).concat(opts.xrpServer || [])
+    if (!xrpServers.length && !opts.api) {
+      throw new Error('xrpServer must be specified')
+    }
+
     this._secret = opts.secret
     this._address = opts.address
-    this._api = new RippleAPI({ server: this._xrpServer })
+    // an injected api, such as a MockLedger's, is used as it is
+    this._api = opts.api || new RippleAPI({ server: xrpServers[0] })
+    this._xrpServer = xrpServers[0] || (this._api.connection as any)._url
     this._watcher = new ChannelWatcher(10 * 60 * 1000, this._api)
     this._bandwidth = opts.maxBalance || opts.bandwidth || '0' // TODO: deprecate _bandwidth
     this._claimInterval = opts.claimInterval || util.DEFAULT_CLAIM_INTERVAL
     this._outgoingChannelAmount = opts.outgoingChannelAmount || OUTGOING_CHANNEL_DEFAULT_AMOUNT
+    this._fundingStrategy = createFundingStrategy(opts.fundingStrategy, this._outgoingChannelAmount)
+    this._settlementVolume = new SettlementVolume(opts.fundingVolumeWindow || DEFAULT_FUNDING_VOLUME_WINDOW)
+    this._maxOutgoingChannelAmount = opts.maxOutgoingChannelAmount
+    this._minAvailableXrp = opts.minAvailableXrp
+    this._lowAvailableXrp = opts.lowAvailableXrp
+    this._hotWalletPending = new BigNumber(0)
     this._minIncomingChannelAmount = opts.minIncomingChannelAmount || MIN_INCOMING_CHANNEL
-    this._store = new StoreWrapper(opts._store)
+    this._maxPacketsPerSecond = opts.maxPacketsPerSecond
+    this._maxThroughput = opts.maxThroughput
+    this._rateLimiter = new RateLimiter(opts.throughputInterval || DEFAULT_THROUGHPUT_INTERVAL)
+    this._reconcileInterval = opts.reconcileInterval
+    this._reconcileRepair = !!opts.reconcileRepair
+    this._reconciling = new Map()
+    this._clientChannelIdleTimeout = opts.clientChannelIdleTimeout
+    // settlements are only batched if either option is set
+    if (opts.settlementThreshold || opts.settlementMaxDelay) {
+      this._settlementThreshold = new BigNumber(opts.settlementThreshold || 'Infinity')
+    }
+    this._settlementMaxDelay = opts.settlementMaxDelay || DEFAULT_SETTLEMENT_MAX_DELAY
+    this._settlementTimeouts = new Map()
+    this._inFlightAmounts = new Map()
+    this._inFlightPrepares = new Map()
+    this._maxOwedBalance = opts.maxOwedBalance || 'Infinity'
+    this._settlementRetryInterval = opts.settlementRetryInterval || DEFAULT_SETTLEMENT_RETRY_INTERVAL
+    this._store = new StoreWrapper(opts._store, opts.storePrefix)
+    this._journal = new Journal(this._store)
+    this._accountIndex = new AccountIndex(this._store)
     this._txSubmitter = createSubmitter(this._api, this._address, this._secret)
     this._maxFeePercent = opts.maxFeePercent || '0.01'
+    this._claimStrategy = createClaimStrategy(opts.claimStrategy, this._maxFeePercent)
 
     this._channelToAccount = new Map()
     this._accounts = new Map()
+    this._metrics = new Metrics()
 
     this._watcher.on('channelClose', async (channelId: string, paychan: Paychan) => {
       try {
-        await this._channelClose(channelId)
+        await this._channelClose(channelId, paychan)
       } catch (e) {
         console.error('ERROR: failed to close channel. channel=' + channelId +
           ' error=' + e.stack)
@@ -149,6 +333,64 @@ export default class IlpPluginAsymServer extends MiniAccountsPlugin {
 
     this._log = opts.log || createLogger(DEBUG_NAMESPACE)
     this._log.trace = this._log.trace || debug(DEBUG_NAMESPACE + ':trace')
+
+    this._migrator = new Migrator({ store: this._store, log: this._log })
+
+    this._claimScheduler = new ClaimScheduler({
+      log: this._log,
+      interval: this._claimInterval,
+      autoClaim: this._autoClaim.bind(this),
+      getFee: () => this._api.getFee(),
+      getLedgerVersion: () => this._api.getLedgerVersion()
+    })
+
+    this._claimQueue = new ClaimQueue({
+      store: this._store,
+      log: this._log,
+      submit: this._submitClaim.bind(this),
+      getFee: () => this._claimScheduler.getFee(),
+      retryDelay: opts.claimRetryDelay,
+      maxRetryDelay: opts.claimRetryMaxDelay,
+      maxFee: opts.maxClaimFee,
+      maxConcurrentClaims: opts.maxConcurrentClaims
+    })
+
+    this._serverFailover = new ServerFailover({
+      api: this._api,
+      servers: xrpServers.length ? xrpServers : [ this._xrpServer ],
+      healthCheckInterval: opts.xrpServerHealthCheckInterval,
+      log: this._log
+    })
+
+    this._serverFailover.on('switch', async (from: string, to: string) => {
+      this._emitEvent(PluginEvent.XRP_SERVER_SWITCHED, { from, to })
+      try {
+        await this._subscribe()
+      } catch (e) {
+        this._log.error('failed to subscribe after switching xrp server.' +
+          ' server=' + to +
+          ' error=' + e.stack)
+      }
+    })
+
+    if (opts.adminApi) {
+      this._adminApi = new AdminApi({
+        plugin: this,
+        port: opts.adminApi.port,
+        host: opts.adminApi.host,
+        token: opts.adminApi.token,
+        log: this._log
+      })
+    }
+
+    if (opts.metrics) {
+      this._metricsExporter = new MetricsExporter({
+        plugin: this,
+        port: opts.metrics.port,
+        host: opts.metrics.host,
+        log: this._log
+      })
+    }
   }
 
   xrpToBase (amount: BigNumber.Value) {
@@ -163,6 +405,20 @@ export default class IlpPluginAsymServer extends MiniAccountsPlugin {
       .toFixed(6, BigNumber.ROUND_UP)
   }
 
+  baseToDrops (amount: BigNumber.Value) {
+    return util.xrpToDrops(this.baseToXrp(amount))
+  }
+
+  _emitEvent (event: PluginEvent, payload: object) {
+    // a failing listener must not interrupt the packet or claim being handled
+    try {
+      this.emit(event, payload)
+    } catch (e) {
+      this._log.error('event listener failed. event=' + event +
+        ' error=' + e.stack)
+    }
+  }
+
   sendTransfer () {
     this._log.debug('send transfer no-op')
   }
@@ -197,19 +453,173 @@ export default class IlpPluginAsymServer extends MiniAccountsPlugin {
     let account = this._accounts.get(accountName)
 
     if (!account) {
-      account = new Account({
-        account: accountName,
-        store: this._store,
-        api: this._api,
-        currencyScale: this._currencyScale,
-        log: this._log
-      })
+      account = this._createAccount(accountName)
+      this._watchAccount(account)
       this._accounts.set(accountName, account)
     }
 
     return account
   }
 
+  _createAccount (accountName: string) {
+    return new Account({
+      account: accountName,
+      store: this._store,
+      journal: this._journal,
+      api: this._api,
+      currencyScale: this._currencyScale,
+      log: this._log
+    })
+  }
+
+  _watchAccount (account: Account) {
+    account.on('blocked', (reason: string) => {
+      const channel = account.hasChannel() ? account.getChannel() : undefined
+      this._emitEvent(PluginEvent.ACCOUNT_BLOCKED, {
+        account: account.getAccount(),
+        reason,
+        channel
+      })
+      this._sendNotice(account, 'account_blocked', { reason, channel })
+    })
+
+    // nothing is left to watch or claim from
+    account.on('channel_deleted', (channel: string) => {
+      this._accountIndex.remove(account.getAccount())
+      this._claimScheduler.remove(account)
+      this._channelToAccount.delete(channel)
+    })
+  }
+
+  // sends a BTP message to the client. the client is often not connected, so
+  // a notice which can't be delivered is only logged.
+  _sendNotice (account: Account, protocolName: string, notice: object) {
+    const destination = this._prefix + account.getAccount()
+    util._requestId()
+      .then((requestId: number) => {
+        return this._call(destination, {
+          type: BtpPacket.TYPE_MESSAGE,
+          requestId,
+          data: { protocolData: [{
+            protocolName,
+            contentType: BtpPacket.MIME_APPLICATION_JSON,
+            data: Buffer.from(JSON.stringify(notice))
+          }] }
+        })
+      })
+      .catch((e: Error) => {
+        this._log.debug('could not send notice to client.' +
+          ' account=' + account.getAccount() +
+          ' notice=' + protocolName +
+          ' error=' + e.message)
+      })
+  }
+
+  _getMaxBalance (account: Account): string {
+    return account.getMaxBalance() || this._bandwidth
+  }
+
+  _getMaxPacketAmount (account: Account): BigNumber {
+    const maxPacketAmount = account.getMaxPacketAmount()
+    return maxPacketAmount ? new BigNumber(maxPacketAmount) : this._maxPacketAmount
+  }
+
+  _getMinIncomingChannelAmount (account: Account): BigNumber.Value {
+    return account.getMinIncomingChannelAmount() || this._minIncomingChannelAmount
+  }
+
+  _getMaxOutgoingChannelAmount (account: Account): number {
+    const maxAmount = account.getMaxOutgoingChannelAmount()
+    return maxAmount ? Number(maxAmount) : (this._maxOutgoingChannelAmount || Infinity)
+  }
+
+  _getMaxOwedBalance (account: Account): BigNumber {
+    return new BigNumber(account.getMaxOwedBalance() || this._maxOwedBalance)
+  }
+
+  _getFundingContext (account: Account): FundingContext {
+    const clientPaychan = account.getClientPaychan()
+    return {
+      account: account.getAccount(),
+      channelAmount: clientPaychan ? Number(util.xrpToDrops(clientPaychan.amount)) : 0,
+      settledVolume: this._settlementVolume.getVolume(account.getAccount())
+    }
+  }
+
+  // the funding strategy's amount in drops, capped so the client channel never
+  // holds more than the account's max outgoing channel amount which hasn't
+  // been paid to the client yet
+  _getFundingAmount (account: Account, initial: boolean): number {
+    const context = this._getFundingContext(account)
+    const amount = initial
+      ? this._fundingStrategy.getInitialAmount(context)
+      : this._fundingStrategy.getTopUpAmount(context)
+    const exposure = Math.max(context.channelAmount -
+      Number(this.baseToDrops(account.getOutgoingBalance())), 0)
+    const headroom = this._getMaxOutgoingChannelAmount(account) - exposure
+
+    return Math.max(Math.min(amount, headroom), 0)
+  }
+
+  _getRateLimits (account: Account): RateLimits {
+    return {
+      maxPacketsPerSecond: account.getMaxPacketsPerSecond() || this._maxPacketsPerSecond,
+      maxThroughput: account.getMaxThroughput() || this._maxThroughput
+    }
+  }
+
+  _getRateLimitState (account: Account): RateLimitState {
+    return this._rateLimiter.getState(account.getAccount(), this._getRateLimits(account))
+  }
+
+  _setLimits (account: Account, cmd: AdminCommand) {
+    const limits: AccountLimits = {
+      maxBalance: cmd.maxBalance,
+      maxPacketAmount: cmd.maxPacketAmount,
+      minIncomingChannelAmount: cmd.minIncomingChannelAmount,
+      maxPacketsPerSecond: cmd.maxPacketsPerSecond,
+      maxThroughput: cmd.maxThroughput,
+      maxOutgoingChannelAmount: cmd.maxOutgoingChannelAmount,
+      maxOwedBalance: cmd.maxOwedBalance
+    }
+
+    for (const name of Object.keys(limits) as Array<keyof AccountLimits>) {
+      const value = limits[name]
+      if (value === undefined || value === null) continue
+
+      const amount = new BigNumber(value)
+      if (amount.isNaN() || amount.isNegative()) {
+        throw new InvalidCommandError('limit must be a non-negative number.' +
+          ' limit=' + name +
+          ' value=' + value)
+      }
+      limits[name] = amount.toString()
+    }
+
+    account.setLimits(limits)
+    this._log.info('set limits. account=' + account.getAccount() +
+      ' limits=' + JSON.stringify(account.getLimits()))
+    return account.getLimits()
+  }
+
+  _getJournal (account: Account, cmd: AdminCommand) {
+    const paging = { offset: cmd.offset, limit: cmd.limit }
+
+    for (const name of Object.keys(paging) as Array<keyof typeof paging>) {
+      const value = paging[name]
+      if (value === undefined) continue
+
+      if (!Number.isInteger(Number(value)) || Number(value) < 0) {
+        throw new InvalidCommandError(name + ' must be a non-negative integer.' +
+          ' value=' + value)
+      }
+    }
+
+    return account.getJournal(
+      paging.offset === undefined ? undefined : Number(paging.offset),
+      paging.limit === undefined ? undefined : Number(paging.limit))
+  }
+
   _extraInfo (account: Account) {
     const info: ExtraInfo = {
       address: this._address,
@@ -228,27 +638,51 @@ export default class IlpPluginAsymServer extends MiniAccountsPlugin {
     return info
   }
 
-  async _channelClaim (account: Account, close: boolean = false) {
-    this._log.trace('creating claim for claim.' +
+  // queues a claim of the account's best incoming claim and waits for the
+  // outcome of its first attempt. a claim which fails is retried by the queue,
+  // and one which isn't immediate waits for its retry if it has failed before.
+  async _channelClaim (account: Account, close: boolean = false, immediate: boolean = true) {
+    this._log.trace('queueing claim.' +
       ' account=' + account.getAccount() +
-      ' channel=' + account.getChannel() +
-      ' close=' + close)
+      ' close=' + close +
+      ' immediate=' + immediate)
 
-    const channel = account.getChannel()
-    if (!channel) {
+    if (!account.hasChannel()) {
       throw new Error('no channel exists. ' +
         'account=' + account.getAccount())
     }
 
-    const claim = account.getIncomingClaim()
-    const publicKey = account.getPaychan().publicKey
+    return this._claimQueue.add(account.getAccount(), { close, immediate })
+  }
 
-    this._log.trace('creating claim tx. account=' + account.getAccount())
+  // submits a claim from the queue. lastClaimedAmount is only raised once the
+  // claim is validated, or if the ledger shows it was already claimed.
+  async _submitClaim (queued: QueuedClaim, fee: string) {
+    const account = this._getAccount(this._prefix + queued.account)
+    if (account.getState() === ReadyState.INITIAL) {
+      await account.connect()
+    }
+
+    if (!account.hasChannel()) {
+      this._log.warn('dropping claim for account without a channel. account=' + queued.account)
+      return
+    }
+
+    const channel = account.getChannel()
+    const close = queued.close
+    const claim = account.getIncomingClaim()
 
     try {
       this._log.trace('querying to make sure a claim is reasonable')
       const xrpClaimAmount = this.baseToXrp(claim.amount.toString())
-      const paychan = await this._api.getPaymentChannel(channel)
+      const paychan = await this._getLedgerPaychan(channel)
+
+      if (!paychan) {
+        this._log.warn('dropping claim for channel which is gone from the ledger.' +
+          ' account=' + queued.account +
+          ' channel=' + channel)
+        return
+      }
 
       if (new BigNumber(paychan.balance).gte(xrpClaimAmount)) {
         const baseBalance = this.xrpToBase(paychan.balance)
@@ -263,38 +697,528 @@ export default class IlpPluginAsymServer extends MiniAccountsPlugin {
         throw new Error('claim has no signature')
       }
 
-      await this._txSubmitter.submit('preparePaymentChannelClaim', {
-        balance: xrpClaimAmount,
-        signature: claim.signature.toUpperCase(),
-        publicKey,
+      const signature = claim.signature.toUpperCase()
+      const publicKey = (account.getPaychan() || paychan).publicKey
+      const result = await this._metrics.observeClaim(() => {
+        return this._txSubmitter.submit('preparePaymentChannelClaim', {
+          balance: xrpClaimAmount,
+          signature,
+          publicKey,
+          close,
+          channel
+        }, { fee })
+      })
+
+      this._store.batch(() => {
+        if (new BigNumber(claim.amount).gt(account.getLastClaimedAmount())) {
+          account.setLastClaimedAmount(claim.amount.toString())
+        }
+        account.setLastClaimTime(Date.now())
+      })
+
+      this._emitEvent(PluginEvent.CLAIM_SUBMITTED, {
+        account: account.getAccount(),
+        channel,
+        amount: claim.amount.toString(),
+        amountDrops: this.baseToDrops(claim.amount),
         close,
-        channel
+        fee
       })
+      return result
     } catch (err) {
+      this._emitEvent(PluginEvent.CLAIM_FAILED, {
+        account: account.getAccount(),
+        channel,
+        amount: claim.amount.toString(),
+        amountDrops: this.baseToDrops(claim.amount),
+        close,
+        fee,
+        error: err
+      })
       throw new Error('Error submitting claim. err=' + err)
     }
   }
 
-  async _channelClose (channelId: string) {
+  async _channelClose (channelId: string, paychan?: Paychan) {
     const account = this._channelToAccount.get(channelId)
     if (!account) {
       throw new Error('cannot close channel of nonexistant account. ' +
         'channelId=' + channelId)
     }
 
-    // disable the account once the channel is closing
+    // let the client know before it is cut off, so it can reconnect with a
+    // new channel
+    const closingPaychan = paychan || account.getPaychan()
+    const amount = String(account.getIncomingClaim().amount)
+    this._sendNotice(account, 'channel_closing', {
+      channel: channelId,
+      expiration: (closingPaychan && closingPaychan.expiration) || null,
+      amount,
+      amountDrops: this.baseToDrops(amount)
+    })
+
+    // disable the account once the channel is closing. the closing claim is
+    // kept in the claim queue, so the account needn't be restored for it.
     account.block(true, 'channel is closing/closed. channelId=' + channelId)
+    this._claimScheduler.remove(account)
+    this._accountIndex.remove(account.getAccount())
     await this._channelClaim(account, true)
   }
 
+  async _forceClaim (account: Account) {
+    const channel = account.getChannel()
+
+    // reload the channel first, because a blocked account never loaded its
+    // details and anything claimed since the last load should be accounted for
+    account.reloadChannel(channel, await this._api.getPaymentChannel(channel) as Paychan)
+
+    this._log.info('forcing claim. account=' + account.getAccount() +
+      ' amount=' + account.getIncomingClaim().amount +
+      ' lastClaimedAmount=' + account.getLastClaimedAmount())
+    const transaction = await this._channelClaim(account)
+    account.reloadChannel(channel, await this._api.getPaymentChannel(channel) as Paychan)
+
+    return {
+      transaction: transaction || null,
+      lastClaimedAmount: account.getLastClaimedAmount()
+    }
+  }
+
+  async _resetAccount (account: Account) {
+    // an account which was never loaded would pass the checks below with an
+    // empty cache
+    if (account.getState() === ReadyState.INITIAL) {
+      await account.connect()
+    }
+
+    // whatever is left in the client channel would be lost along with it, so
+    // it has to be closed and gone from the ledger first
+    if (account.hasClientChannel()) {
+      throw new InvalidStateError('cannot reset account with a client channel.' +
+        ' close it with close_client_channel first.' +
+        ' clientChannel=' + account.getClientChannel() +
+        ' closing=' + account.isClientChannelClosing() +
+        ' account=' + account.getAccount())
+    }
+
+    let channel
+    if (account.hasChannel()) {
+      channel = account.getChannel()
+      await this._forceClaim(account)
+    }
+
+    account.reset()
+    this._claimScheduler.remove(account)
+    this._accountIndex.remove(account.getAccount())
+    this._rateLimiter.remove(account.getAccount())
+    this._settlementVolume.remove(account.getAccount())
+
+    if (channel) {
+      this._channelToAccount.delete(channel)
+      this._store.delete(CHANNEL_ACCOUNT(channel))
+      // the watcher has no way to stop watching a channel other than
+      // forgetting it
+      this._watcher.channelIds.delete(channel)
+    }
+
+    this._log.info('reset account.' +
+      ' account=' + account.getAccount() +
+      ' channel=' + channel)
+  }
+
+  async _closeClientChannel (account: Account) {
+    // a blocked account's client channel can be closed too, so that the
+    // account can be reset
+    if (!account.isReady() && account.getState() !== ReadyState.BLOCKED) {
+      throw new InvalidStateError('account must be in READY or BLOCKED state to close client channel.' +
+        ' state=' + account.getStateString())
+    }
+
+    if (account.isClientChannelClosing()) {
+      throw new InvalidStateError('client channel is already closing.' +
+        ' account=' + account.getAccount())
+    }
+
+    if (account.isFunding()) {
+      throw new InvalidStateError('client channel is being funded.' +
+        ' account=' + account.getAccount())
+    }
+
+    // no outgoing claims are signed from here on
+    const clientChannel = account.getClientChannel()
+    account.setClientChannelClosing()
+
+    // pay out the highest claim we've signed, so the client doesn't have to
+    // submit it before the channel expires
+    const xrpBalance = this.baseToXrp(account.getOutgoingBalance())
+    try {
+      const clientPaychan = await this._api.getPaymentChannel(clientChannel) as Paychan
+      const tx: any = { channel: clientChannel, close: true }
+      if (new BigNumber(xrpBalance).gt(clientPaychan.balance)) {
+        tx.balance = xrpBalance
+      }
+
+      this._log.info('closing client channel. account=' + account.getAccount() +
+        ' clientChannel=' + clientChannel +
+        ' balance=' + xrpBalance)
+      await this._txSubmitter.submit('preparePaymentChannelClaim', tx)
+    } catch (e) {
+      // the channel isn't closing, so the account can receive packets again
+      // and the close can be retried
+      account.clearClientChannelClosing()
+      throw e
+    }
+
+    return {
+      clientChannel,
+      expiration: await this._checkClientChannelClose(account)
+    }
+  }
+
+  // closes the client channels of accounts which haven't been sent a
+  // settlement for longer than the idle timeout. the client can ask for a new
+  // channel once the old one is gone.
+  async _reclaimIdleClientChannels () {
+    const idleTimeout = this._clientChannelIdleTimeout
+    if (!idleTimeout) return
+
+    for (const account of this._accounts.values()) {
+      const lastSettlement = account.getLastSettlement()
+      if (!account.isReady() ||
+        account.isClientChannelClosing() ||
+        account.isFunding() ||
+        !lastSettlement ||
+        Date.now() - lastSettlement < idleTimeout) {
+        continue
+      }
+
+      const clientChannel = account.getClientChannel()
+      this._log.info('reclaiming idle client channel. account=' + account.getAccount() +
+        ' clientChannel=' + clientChannel +
+        ' lastSettlement=' + new Date(lastSettlement).toISOString())
+
+      try {
+        // the owed balance can't be paid once the channel is closing
+        await this._settleOwedBalance(account, { cause: JournalCause.SETTLEMENT })
+        await this._closeClientChannel(account)
+        this._emitEvent(PluginEvent.CLIENT_CHANNEL_RECLAIMED, {
+          account: account.getAccount(),
+          clientChannel,
+          lastSettlement: new Date(lastSettlement).toISOString()
+        })
+      } catch (e) {
+        this._log.error('failed to reclaim idle client channel. account=' + account.getAccount() +
+          ' error=' + e.message)
+      }
+    }
+  }
+
+  async _settleOwedBalance (account: Account, ref: JournalRef) {
+    if (account.getOwedBalance().lte(0)) return
+
+    const destination = this._prefix + account.getAccount()
+    const requestId = await util._requestId()
+
+    // the balance is read again, since another settlement may have paid it
+    // in the meantime
+    const owed = account.getOwedBalance()
+    if (owed.lte(0)) return
+    const amount = owed.toString()
+    this._clearSettlementTimeout(account)
+
+    const protocolData = this._store.batch(() => {
+      const protocolData = this._sendMoneyToAccount(amount, destination, ref)
+      this._decreaseAmountOwed(amount, destination, ref)
+      return protocolData
+    })
+
+    await this._call(destination, {
+      type: BtpPacket.TYPE_TRANSFER,
+      requestId,
+      data: {
+        amount,
+        protocolData
+      }
+    })
+
+    this._emitEvent(PluginEvent.SETTLEMENT_SENT,
+      this._settlementEvent(destination, amount))
+  }
+
+  // settles the owed balance, reporting a failure instead of throwing it
+  async _trySettleOwedBalance (account: Account, ref: JournalRef) {
+    const owed = account.getOwedBalance().toString()
+    const destination = this._prefix + account.getAccount()
+    try {
+      await this._settleOwedBalance(account, ref)
+    } catch (e) {
+      this._log.error('failed to settle owed balance.' +
+        ` destination=${destination}` +
+        ` owed=${owed}` +
+        ` error=${e && e.stack}`)
+      this._emitEvent(PluginEvent.SETTLEMENT_FAILED,
+        Object.assign(this._settlementEvent(destination, owed), { error: e }))
+    }
+  }
+
+  // for callers which can't wait for the client
+  _settleOwedBalanceInBackground (account: Account, ref: JournalRef) {
+    this._trySettleOwedBalance(account, ref).catch(() => undefined)
+  }
+
+  // an owed balance is otherwise only settled when the account is sent
+  // another packet, so it is retried for every ready account whose client is
+  // connected. a settlement to a client which isn't connected would sign a
+  // claim which never reaches it.
+  async _retryOwedBalances () {
+    for (const account of this._accounts.values()) {
+      if (!account.isReady() ||
+        account.isClientChannelClosing() ||
+        account.getOwedBalance().lte(0) ||
+        !this._isClientConnected(account)) {
+        continue
+      }
+
+      this._log.info('retrying settlement of owed balance. account=' + account.getAccount() +
+        ' owed=' + account.getOwedBalance().toString())
+      await this._trySettleOwedBalance(account, { cause: JournalCause.SETTLEMENT })
+    }
+  }
+
+  // called by mini-accounts once a websocket of an account has closed
+  async _close (from: string, err?: Error) {
+    this._rateLimiter.prune(account => this._connections.has(account))
+  }
+
+  // mini-accounts keeps the open websockets of every account
+  _isClientConnected (account: Account): boolean {
+    return this._connections.has(account.getAccount())
+  }
+
+  // adds a fulfilled amount to the owed balance, which is settled once it
+  // reaches the settlement threshold or the account's credit limit, or once
+  // the first amount in it has waited for the maximum delay
+  _batchSettlement (account: Account, amount: string, ref: JournalRef) {
+    const destination = this._prefix + account.getAccount()
+    this._increaseAmountOwed(amount, destination, ref)
+
+    const owed = account.getOwedBalance()
+    if (owed.gte(this._settlementThreshold as BigNumber) || owed.gte(this._getMaxOwedBalance(account))) {
+      this._settleOwedBalanceInBackground(account, ref)
+      return
+    }
+
+    if (this._settlementTimeouts.has(account.getAccount())) return
+    this._settlementTimeouts.set(account.getAccount(), global.setTimeout(() => {
+      this._settlementTimeouts.delete(account.getAccount())
+      this._settleOwedBalanceInBackground(account, { cause: JournalCause.SETTLEMENT })
+    }, this._settlementMaxDelay))
+  }
+
+  _clearSettlementTimeout (account: Account) {
+    const timeout = this._settlementTimeouts.get(account.getAccount())
+    if (timeout) {
+      clearTimeout(timeout)
+      this._settlementTimeouts.delete(account.getAccount())
+    }
+  }
+
+  async _checkClientChannelClose (account: Account): Promise<string | void> {
+    const clientChannel = account.getClientChannel()
+    // the check is repeated until the channel is gone from the ledger, also
+    // if this one fails
+    let delay = CLIENT_CHANNEL_CLOSE_MARGIN
+
+    try {
+      let clientPaychan
+      try {
+        clientPaychan = await this._api.getPaymentChannel(clientChannel) as Paychan
+      } catch (e) {
+        if (e.name === 'RippledError' && e.message === 'entryNotFound') {
+          this._log.info('client channel has closed. account=' + account.getAccount() +
+            ' clientChannel=' + clientChannel)
+          account.deleteClientChannel({ cause: JournalCause.LEDGER, reference: clientChannel })
+          return
+        }
+        throw e
+      }
+
+      if (account.isReady()) {
+        account.reloadClientChannel(clientChannel, clientPaychan)
+      }
+
+      // the channel is only removed from the ledger by a transaction submitted
+      // after it has expired
+      const expiration = clientPaychan.expiration
+        ? Date.parse(clientPaychan.expiration)
+        : Date.now()
+      delay = Math.max(expiration - Date.now(), 0) + CLIENT_CHANNEL_CLOSE_MARGIN
+      if (Date.now() >= expiration) {
+        this._log.trace('client channel has expired; removing it. account=' +
+          account.getAccount() + ' clientChannel=' + clientChannel)
+        await this._txSubmitter.submit('preparePaymentChannelClaim', {
+          channel: clientChannel,
+          close: true
+        })
+      }
+
+      return clientPaychan.expiration
+    } finally {
+      if (account.hasClientChannel()) {
+        account.setClientChannelCloseTimeout(setTimeout(() => {
+          this._checkClientChannelClose(account)
+            .catch((e: Error) => {
+              this._log.error('failed to check closing client channel.' +
+                ' account=' + account.getAccount() +
+                ' error=' + (e && e.stack))
+            })
+        }, delay))
+      }
+    }
+  }
+
   async _preConnect () {
-    await this._api.connect()
+    await this._migrator.migrate()
+    await this._serverFailover.connect()
+    await this._subscribe()
+    this._serverFailover.start()
+    // restoring an account can queue a claim, which mustn't overwrite the
+    // retries stored in the queue
+    await this._claimQueue.load()
+    await this._restoreAccounts()
+    this._claimQueue.start()
+    this._claimScheduler.start()
+
+    if (this._adminApi) {
+      await this._adminApi.listen()
+    }
+
+    if (this._metricsExporter) {
+      await this._metricsExporter.listen()
+    }
+
+    if (this._reconcileInterval) {
+      this._reconcileIntervalId = global.setInterval(() => {
+        this.reconcile().catch((e: Error) => {
+          this._log.error('scheduled reconciliation failed. error=' + e.stack)
+        })
+      }, this._reconcileInterval)
+    }
+
+    this._settlementRetryIntervalId = global.setInterval(() => {
+      this._retryOwedBalances().catch((e: Error) => {
+        this._log.error('failed to retry owed balances. error=' + e.stack)
+      })
+    }, this._settlementRetryInterval)
+
+    if (this._clientChannelIdleTimeout) {
+      this._idleCheckIntervalId = global.setInterval(() => {
+        this._reclaimIdleClientChannels().catch((e: Error) => {
+          this._log.error('failed to reclaim idle client channels. error=' + e.stack)
+        })
+      }, Math.min(this._clientChannelIdleTimeout, IDLE_CHECK_INTERVAL))
+    }
+  }
+
+  // loads every account which has had a channel, so that its channel is
+  // watched and claimed from even if the client never comes back
+  async _restoreAccounts () {
+    await this._accountIndex.load()
+    const names = this._accountIndex.getAccounts()
+
+    // each account is loaded from the ledger, so only a few are restored at
+    // a time
+    const queue = names.slice()
+    const restoreNext = async () => {
+      while (queue.length) {
+        await this._restoreAccount(queue.shift() as string)
+      }
+    }
+    await Promise.all(Array.from({ length: Math.min(RESTORE_CONCURRENCY, names.length) }, restoreNext))
+
+    this._log.info('restored accounts. accounts=' + names.length)
+  }
+
+  async _restoreAccount (name: string) {
+    const account = this._getAccount(this._prefix + name)
+    try {
+      if (account.getState() === ReadyState.INITIAL) {
+        await account.connect()
+      }
+
+      if (account.isBlocked() || account.getState() <= ReadyState.PREPARING_CHANNEL) {
+        return
+      }
+
+      this._channelToAccount.set(account.getChannel(), account)
+      await this._watcher.watch(account.getChannel())
+      this._claimScheduler.add(account)
+    } catch (e) {
+      this._log.error('failed to restore account. account=' + name +
+        ' error=' + e.message)
+    }
+  }
+
+  // subscriptions don't carry over to another server, so this is also called
+  // after every failover
+  async _subscribe () {
     await this._api.connection.request({
       command: 'subscribe',
       accounts: [ this._address ]
     })
   }
 
+  getXrpServerStatus (): ServerFailoverStatus {
+    return this._serverFailover.getStatus()
+  }
+
+  // validates the loaded incoming channel of an account and starts watching
+  // and claiming from it. an invalid channel is claimed from and deleted, and
+  // the account is blocked.
+  async _watchChannel (account: Account) {
+    const channel = account.getChannel()
+    try {
+      this._validatePaychanDetails(account.getPaychan())
+      this._accountIndex.add(account.getAccount())
+      this._channelToAccount.set(channel, account)
+      await this._watcher.watch(channel)
+      this._claimScheduler.add(account)
+    } catch (e) {
+      this._log.debug('deleting channel because of failed validate.' +
+        ' account=' + account.getAccount() +
+        ' channel=' + channel +
+        ' error=', e)
+      try {
+        await this._channelClaim(account)
+        account.deleteChannel({ cause: JournalCause.LEDGER, reference: channel })
+      } catch (err) {
+        this._log.error('could not delete channel. error=', err)
+      }
+      this._log.trace('blocking account. account=' + account.getAccount())
+      account.block(true, 'failed to validate channel.' +
+        ' channelId=' + channel +
+        ' error=' + e.message)
+    }
+  }
+
+  async _unblockAccount (account: Account) {
+    account.unblock()
+    await account.connect()
+
+    if (account.getState() > ReadyState.PREPARING_CHANNEL) {
+      await this._watchChannel(account)
+    }
+
+    if (account.isBlocked()) {
+      throw new InvalidStateError('account was blocked again.' +
+        ' reason=' + account.getBlockReason() +
+        ' account=' + account.getAccount())
+    }
+
+    this._log.info('unblocked account. account=' + account.getAccount() +
+      ' state=' + account.getStateString())
+  }
+
   // TODO: also implement cleanup logic
   async _connect (address: string, btpData: BtpData) {
     const { requestId, data } = btpData
@@ -311,29 +1235,36 @@ export default class IlpPluginAsymServer extends MiniAccountsPlugin {
     }
 
     if (account.getState() > ReadyState.PREPARING_CHANNEL) {
+      await this._watchChannel(account)
+    }
+
+    if (!account.isBlocked()) {
+      this._emitEvent(PluginEvent.ACCOUNT_CONNECTED, {
+        account: account.getAccount(),
+        state: account.getStateString(),
+        channel: account.hasChannel() ? account.getChannel() : undefined,
+        clientChannel: account.hasClientChannel() ? account.getClientChannel() : undefined
+      })
+    }
+
+    if (account.isReady() && account.isClientChannelClosing() &&
+      !account.getClientChannelCloseTimeout()) {
       try {
-        this._validatePaychanDetails(account.getPaychan())
-        this._channelToAccount.set(account.getChannel(), account)
-        await this._watcher.watch(account.getChannel())
-        await this._registerAutoClaim(account)
+        await this._checkClientChannelClose(account)
       } catch (e) {
-        this._log.debug('deleting channel because of failed validate.' +
+        this._log.error('failed to check closing client channel.' +
           ' account=' + account.getAccount() +
-          ' channel=' + account.getChannel() +
-          ' error=', e)
-        try {
-          await this._channelClaim(account)
-          account.deleteChannel()
-        } catch (err) {
-          this._log.error('could not delete channel. error=', err)
-        }
-        this._log.trace('blocking account. account=' + account.getAccount())
-        account.block(true, 'failed to validate channel.' +
-          ' channelId=' + account.getChannel() +
           ' error=' + e.message)
       }
     }
 
+    // whatever is still owed from before the client went away is settled
+    // once it is back
+    if (account.isReady() && !account.isClientChannelClosing() &&
+      account.getOwedBalance().gt(0)) {
+      this._settleOwedBalanceInBackground(account, { cause: JournalCause.SETTLEMENT })
+    }
+
     return null
   }
 
@@ -352,6 +1283,7 @@ export default class IlpPluginAsymServer extends MiniAccountsPlugin {
 
     let clientChannelId
     let clientPaychan
+    let channelAmount: number
 
     try {
       const outgoingAccount = primary.data.toString()
@@ -371,12 +1303,23 @@ export default class IlpPluginAsymServer extends MiniAccountsPlugin {
       const publicKey = 'ED' + keyPair.publicKey.toString('hex').toUpperCase()
       const txTag = util.randomTag()
 
-      const ev = await this._txSubmitter.submit('preparePaymentChannelCreate', {
-        amount: util.dropsToXrp(this._outgoingChannelAmount),
-        destination: outgoingAccount,
-        settleDelay: util.MIN_SETTLE_DELAY,
-        publicKey,
-        sourceTag: txTag
+      channelAmount = this._getFundingAmount(account, true)
+      if (channelAmount <= 0) {
+        throw new Error('max outgoing channel amount does not allow a client channel.' +
+          ' account=' + account.getAccount())
+      }
+
+      // the channel is a new object owned by the server's account
+      const ev = await this._spendFromHotWallet(channelAmount, 'create client channel', 1, () => {
+        return this._metrics.observeFunding('create', () => {
+          return this._txSubmitter.submit('preparePaymentChannelCreate', {
+            amount: util.dropsToXrp(channelAmount),
+            destination: outgoingAccount,
+            settleDelay: util.MIN_SETTLE_DELAY,
+            publicKey,
+            sourceTag: txTag
+          })
+        })
       })
 
       clientChannelId = util.computeChannelId(
@@ -385,7 +1328,7 @@ export default class IlpPluginAsymServer extends MiniAccountsPlugin {
         ev.transaction.Sequence)
 
       this._log.trace('created outgoing channel. channel=', clientChannelId)
-      account.setOutgoingBalance('0')
+      account.setOutgoingBalance('0', { cause: JournalCause.LEDGER, reference: clientChannelId })
 
       clientPaychan = await this._api.getPaymentChannel(clientChannelId) as Paychan
     } catch (e) {
@@ -395,6 +1338,14 @@ export default class IlpPluginAsymServer extends MiniAccountsPlugin {
     }
 
     account.setClientChannel(clientChannelId, clientPaychan)
+
+    this._emitEvent(PluginEvent.CLIENT_CHANNEL_CREATED, {
+      account: account.getAccount(),
+      channel: account.getChannel(),
+      clientChannel: clientChannelId,
+      amount: this.xrpToBase(util.dropsToXrp(channelAmount)),
+      amountDrops: String(channelAmount)
+    })
     return clientChannelId
   }
 
@@ -459,7 +1410,7 @@ export default class IlpPluginAsymServer extends MiniAccountsPlugin {
         // lock to make sure we don't have this going two times
         account.prepareChannel()
 
-        let paychan
+        let paychan: Paychan
 
         try {
           // Because this reloads channel details even if the channel exists,
@@ -468,8 +1419,8 @@ export default class IlpPluginAsymServer extends MiniAccountsPlugin {
           paychan = await this._api.getPaymentChannel(channel) as Paychan
 
           // TODO: factor reverse-channel lookup into other class?
-          await this._store.load('channel:' + channel)
-          const accountForChannel = this._store.get('channel:' + channel)
+          await this._store.load(CHANNEL_ACCOUNT(channel))
+          const accountForChannel = this._store.get(CHANNEL_ACCOUNT(channel))
           if (accountForChannel && account.getAccount() !== accountForChannel) {
             throw new Error(`this channel has already been associated with a ` +
               `different account. account=${account.getAccount()} associated=${accountForChannel}`)
@@ -498,12 +1449,22 @@ export default class IlpPluginAsymServer extends MiniAccountsPlugin {
         }
 
         this._channelToAccount.set(channel, account)
-        this._store.set('channel:' + channel, account.getAccount())
-        await account.setChannel(channel, paychan)
+        await this._store.batch(() => {
+          this._store.set(CHANNEL_ACCOUNT(channel), account.getAccount())
+          this._accountIndex.add(account.getAccount())
+          return account.setChannel(channel, paychan)
+        })
 
         await this._watcher.watch(channel)
-        await this._registerAutoClaim(account)
+        this._claimScheduler.add(account)
         this._log.trace('registered payment channel. account=', account.getAccount())
+
+        this._emitEvent(PluginEvent.CHANNEL_REGISTERED, {
+          account: account.getAccount(),
+          channel,
+          amount: this.xrpToBase(paychan.amount),
+          amountDrops: util.xrpToDrops(paychan.amount)
+        })
       }
     }
 
@@ -513,10 +1474,11 @@ export default class IlpPluginAsymServer extends MiniAccountsPlugin {
           ' state=' + account.getStateString())
       }
 
-      if (new BigNumber(util.xrpToDrops(account.getPaychan().amount)).lt(this._minIncomingChannelAmount)) {
+      const minIncomingChannelAmount = this._getMinIncomingChannelAmount(account)
+      if (new BigNumber(util.xrpToDrops(account.getPaychan().amount)).lt(minIncomingChannelAmount)) {
         this._log.debug('denied outgoing paychan request; not enough has been escrowed')
         throw new Error('not enough has been escrowed in channel; must put ' +
-          this._minIncomingChannelAmount + ' drops on hold')
+          minIncomingChannelAmount + ' drops on hold')
       }
 
       this._log.info('an outgoing paychan has been authorized for ', account.getAccount(), '; establishing')
@@ -532,7 +1494,12 @@ export default class IlpPluginAsymServer extends MiniAccountsPlugin {
     if (ilp) {
       try {
         if (ilp.data[0] === IlpPacket.Type.TYPE_ILP_PREPARE) {
-          this._handleIncomingPrepare(account, ilp.data)
+          try {
+            this._handleIncomingPrepare(account, ilp.data)
+          } catch (e) {
+            this._metrics.incrementIncomingReject(e.ilpErrorCode || 'F00')
+            throw e
+          }
         }
 
         // TODO: don't do this, use connector only instead
@@ -572,55 +1539,81 @@ export default class IlpPluginAsymServer extends MiniAccountsPlugin {
     return []
   }
 
-  async _isClaimProfitable (account: Account) {
+  async _shouldClaim (account: Account) {
     const lastClaimedAmount = account.getLastClaimedAmount()
     const amount = account.getIncomingClaim().amount
-    const fee = new BigNumber(this.xrpToBase(await this._api.getFee()))
-    const income = new BigNumber(amount).minus(lastClaimedAmount)
+    const unclaimed = new BigNumber(amount).minus(lastClaimedAmount)
+    if (!unclaimed.isGreaterThan(0)) return false
+
+    const fee = new BigNumber(this.xrpToBase(await this._claimScheduler.getFee()))
+    const paychan = await this._getFreshPaychan(account)
+    const closeTimes = paychan
+      ? [ paychan.expiration, paychan.cancelAfter ].filter(t => t).map(t => Date.parse(t as string))
+      : []
 
     this._log.trace('calculating auto-claim. account=' + account.getAccount(), 'amount=' + amount,
       'lastClaimedAmount=' + lastClaimedAmount, 'fee=' + fee)
 
-    return income.isGreaterThan(0) && fee.dividedBy(income).lte(this._maxFeePercent)
+    return this._claimStrategy.shouldClaim({
+      account: account.getAccount(),
+      unclaimed,
+      fee,
+      lastClaimTime: account.getLastClaimTime(),
+      closesAt: closeTimes.length ? Math.min(...closeTimes) : undefined,
+      settleDelay: paychan ? paychan.settleDelay : 0,
+      now: Date.now()
+    })
+  }
+
+  // the cached channel details are only loaded with the account, so a channel
+  // which started closing since then only shows it on the ledger. the cached
+  // details are used if the ledger can't be reached.
+  async _getFreshPaychan (account: Account): Promise<Paychan | void> {
+    try {
+      return await this._api.getPaymentChannel(account.getChannel()) as Paychan
+    } catch (e) {
+      this._log.warn('failed to load channel for auto-claim; using cached details.' +
+        ' account=' + account.getAccount() +
+        ' error=' + e.message)
+      return account.getPaychan()
+    }
   }
 
+  // queues a claim if the strategy calls for one. it doesn't wait for the
+  // claim, which may wait in the queue for a free slot or a retry.
   async _autoClaim (account: Account) {
-    if (await this._isClaimProfitable(account)) {
+    if (await this._shouldClaim(account)) {
       const amount = account.getIncomingClaim().amount
       this._log.trace('starting automatic claim. amount=' + amount + ' account=' + account.getAccount())
-      account.setLastClaimedAmount(amount)
-      try {
-        await this._channelClaim(account)
-        this._log.trace('claimed funds. account=' + account.getAccount())
-      } catch (err) {
-        this._log.warn('WARNING. Error on claim submission: ', err)
-      }
+      this._channelClaim(account, false, false)
+        .then(() => {
+          this._log.trace('claimed funds. account=' + account.getAccount())
+        })
+        .catch((err: Error) => {
+          this._log.warn('WARNING. Error on claim submission: ', err)
+        })
     }
   }
 
-  async _registerAutoClaim (account: Account) {
-    if (account.getClaimIntervalId()) return
-
-    this._log.trace('registering auto-claim. interval=' + this._claimInterval,
-      'account=' + account.getAccount())
-
-    account.setClaimIntervalId(global.setInterval(
-      this._autoClaim.bind(this, account),
-      this._claimInterval))
-  }
-
   _handleIncomingPrepare (account: Account, ilpData: Buffer) {
-    const { amount } = IlpPacket.deserializeIlpPrepare(ilpData)
+    const { amount, executionCondition } = IlpPacket.deserializeIlpPrepare(ilpData)
 
     if (!account.isReady()) {
       throw new Errors.UnreachableError('ilp packets will only be forwarded in READY state.' +
         ' state=' + account.getStateString())
     }
 
-    if (this._maxPacketAmount.isLessThan(amount)) {
+    const rateLimits = this._getRateLimits(account)
+    if (!this._rateLimiter.takePacket(account.getAccount(), rateLimits)) {
+      throw new Errors.RateLimitedError('Too many packets, max: ' +
+        rateLimits.maxPacketsPerSecond + ' per second')
+    }
+
+    const maxPacketAmount = this._getMaxPacketAmount(account)
+    if (maxPacketAmount.isLessThan(amount)) {
       throw new Errors.AmountTooLargeError('Packet size is too large.', {
         receivedAmount: amount,
-        maximumAmount: this._maxPacketAmount.toString()
+        maximumAmount: maxPacketAmount.toString()
       })
     }
 
@@ -632,10 +1625,11 @@ export default class IlpPluginAsymServer extends MiniAccountsPlugin {
       lastValue.toString(), 'prepared amount', amount, 'newPrepared',
       newPrepared.toString(), 'prepared', prepared.toString())
 
-    if (unsecured.gt(this._bandwidth)) {
+    const maxBalance = this._getMaxBalance(account)
+    if (unsecured.gt(maxBalance)) {
       throw new Errors.InsufficientLiquidityError('Insufficient bandwidth, used: ' +
         unsecured + ' max: ' +
-        this._bandwidth)
+        maxBalance)
     }
 
     if (newPrepared.gt(this.xrpToBase(account.getPaychan().amount))) {
@@ -644,16 +1638,28 @@ export default class IlpPluginAsymServer extends MiniAccountsPlugin {
         ' need: ' + newPrepared.toString())
     }
 
-    account.setBalance(newPrepared.toString())
+    if (!this._rateLimiter.takeThroughput(account.getAccount(), rateLimits, amount)) {
+      throw new Errors.RateLimitedError('Throughput limit exceeded, max: ' +
+        rateLimits.maxThroughput)
+    }
+
+    account.setBalance(newPrepared.toString(), {
+      cause: JournalCause.PREPARE,
+      reference: executionCondition.toString('hex')
+    })
     this._log.trace(`account ${account.getAccount()} debited ${amount} units, new balance ${newPrepared.toString()}`)
   }
 
   _rejectIncomingTransfer (account: Account, ilpData: Buffer) {
-    const { amount } = IlpPacket.deserializeIlpPrepare(ilpData)
+    const { amount, executionCondition } = IlpPacket.deserializeIlpPrepare(ilpData)
     const prepared = account.getBalance()
     const newPrepared = prepared.minus(amount)
+    this._rateLimiter.refundThroughput(account.getAccount(), this._getRateLimits(account), amount)
 
-    account.setBalance(newPrepared.toString())
+    account.setBalance(newPrepared.toString(), {
+      cause: JournalCause.REJECT,
+      reference: executionCondition.toString('hex')
+    })
     this._log.trace(`account ${account.getAccount()} roll back ${amount} units, new balance ${newPrepared.toString()}`)
   }
 
@@ -663,6 +1669,68 @@ export default class IlpPluginAsymServer extends MiniAccountsPlugin {
       throw new Errors.UnreachableError('account must be in READY state to receive packets.' +
         ' state=' + account.getStateString())
     }
+
+    if (account.isClientChannelClosing()) {
+      throw new Errors.UnreachableError('account cannot receive packets while its client channel is closing.' +
+        ' account=' + account.getAccount())
+    }
+
+    if (parsedPacket.type !== IlpPacket.Type.TYPE_ILP_PREPARE) return
+
+    // the packet would be owed to the account once it is fulfilled, and so
+    // would every other prepare which is still in flight to it
+    const owed = account.getOwedBalance()
+    const inFlight = this._getInFlightAmount(account)
+    const maxOwedBalance = this._getMaxOwedBalance(account)
+    if (owed.plus(inFlight).plus(parsedPacket.data.amount).gt(maxOwedBalance)) {
+      this._settleOwedBalanceInBackground(account, { cause: JournalCause.SETTLEMENT })
+      throw new Errors.InsufficientLiquidityError('owed balance would exceed the credit limit.' +
+        ' owed=' + owed.toString() +
+        ' inFlight=' + inFlight.toString() +
+        ' max=' + maxOwedBalance.toString())
+    }
+
+    if (maxOwedBalance.isFinite()) {
+      this._addInFlightPrepare(account, parsedPacket)
+    }
+  }
+
+  _getInFlightAmount (account: Account): BigNumber {
+    return this._inFlightAmounts.get(account.getAccount()) || new BigNumber(0)
+  }
+
+  // the response to a prepare is handled by _handlePrepareResponse, except
+  // when the call fails or the fulfill is invalid. the prepare is released by
+  // its expiry at the latest, since no response is accepted after that.
+  _addInFlightPrepare (account: Account, preparePacket: {
+    type: IlpPacket.Type.TYPE_ILP_PREPARE,
+    data: IlpPacket.IlpPrepare
+  }) {
+    const amount = new BigNumber(preparePacket.data.amount)
+    if (amount.isZero()) return
+
+    const name = account.getAccount()
+    this._inFlightAmounts.set(name, this._getInFlightAmount(account).plus(amount))
+    this._inFlightPrepares.set(preparePacket, {
+      account: name,
+      amount,
+      timeout: global.setTimeout(() => this._removeInFlightPrepare(preparePacket),
+        Math.max(preparePacket.data.expiresAt.getTime() - Date.now(), 0))
+    })
+  }
+
+  _removeInFlightPrepare (preparePacket: object) {
+    const prepare = this._inFlightPrepares.get(preparePacket)
+    if (!prepare) return
+
+    clearTimeout(prepare.timeout)
+    this._inFlightPrepares.delete(preparePacket)
+    const remaining = (this._inFlightAmounts.get(prepare.account) as BigNumber).minus(prepare.amount)
+    if (remaining.isZero()) {
+      this._inFlightAmounts.delete(prepare.account)
+    } else {
+      this._inFlightAmounts.set(prepare.account, remaining)
+    }
   }
 
   _handlePrepareResponse (destination: string, parsedResponse: IlpPacket.IlpPacket, preparePacket: {
@@ -671,28 +1739,46 @@ export default class IlpPluginAsymServer extends MiniAccountsPlugin {
     data: IlpPacket.IlpPrepare
   }) {
     this._log.trace('got prepare response', parsedResponse)
+    // a fulfilled prepare is added to the owed balance or settled below
+    this._removeInFlightPrepare(preparePacket)
+
     if (parsedResponse.type === IlpPacket.Type.TYPE_ILP_FULFILL) {
       if (preparePacket.data.amount === '0') {
         this._log.trace('validated fulfillment for zero-amount packet, not settling.')
         return
       }
 
+      let amount = String(preparePacket.data.amount)
+      const ref = {
+        cause: JournalCause.SETTLEMENT,
+        reference: preparePacket.data.executionCondition.toString('hex')
+      }
+
+      if (this._settlementThreshold) {
+        this._log.trace('validated fulfillment. adding to settlement batch.')
+        this._batchSettlement(this._getAccount(destination), amount, ref)
+        return
+      }
+
       // send off a transfer in the background to settle
       this._log.trace('validated fulfillment. paying settlement.')
       util._requestId()
         .then((requestId: number) => {
           let protocolData
-          let amount
 
           try {
             const owed = this._getAmountOwed(destination)
             amount = owed.plus(preparePacket.data.amount).toString()
-            protocolData = this._sendMoneyToAccount(
-              amount,
-              destination)
-            this._decreaseAmountOwed(owed.toString(), destination)
+            protocolData = this._store.batch(() => {
+              const protocolData = this._sendMoneyToAccount(
+                amount,
+                destination,
+                ref)
+              this._decreaseAmountOwed(owed.toString(), destination, ref)
+              return protocolData
+            })
           } catch (e) {
-            this._increaseAmountOwed(preparePacket.data.amount, destination)
+            this._increaseAmountOwed(preparePacket.data.amount, destination, ref)
             throw new Error('failed to create valid claim.' +
               ' error=' + e.message)
           }
@@ -706,10 +1792,16 @@ export default class IlpPluginAsymServer extends MiniAccountsPlugin {
             }
           })
         })
+        .then(() => {
+          this._emitEvent(PluginEvent.SETTLEMENT_SENT,
+            this._settlementEvent(destination, amount))
+        })
         .catch((e: Error) => {
           this._log.error(`failed to pay account.
             destination=${destination}
             error=${e && e.stack}`)
+          this._emitEvent(PluginEvent.SETTLEMENT_FAILED,
+            Object.assign(this._settlementEvent(destination, amount), { error: e }))
         })
     } else if (parsedResponse.type === IlpPacket.Type.TYPE_ILP_REJECT) {
       if (parsedResponse.data.code === 'T04') {
@@ -718,54 +1810,48 @@ export default class IlpPluginAsymServer extends MiniAccountsPlugin {
           ' destination=' + destination +
           ' owed=' + owed.toString())
 
-        util._requestId()
-          .then((requestId: number) => {
-            const protocolData = this._sendMoneyToAccount(owed.toString(), destination)
-            this._decreaseAmountOwed(owed.toString(), destination)
-
-            return this._call(destination, {
-              type: BtpPacket.TYPE_TRANSFER,
-              requestId,
-              data: {
-                amount: owed.toString(),
-                protocolData
-              }
-            })
-          })
-          .catch((e: Error) => {
-            this._log.error('failed to settle after T04.' +
-              ` destination=${destination}` +
-              ` owed=${owed.toString()}` +
-              ` error=${e && e.stack}`)
-          })
+        this._settleOwedBalanceInBackground(this._getAccount(destination), {
+          cause: JournalCause.T04,
+          reference: preparePacket.data.executionCondition.toString('hex')
+        })
       }
     }
   }
 
+  _settlementEvent (to: string, amount: string) {
+    const account = this._getAccount(to)
+    return {
+      account: account.getAccount(),
+      clientChannel: account.hasClientChannel() ? account.getClientChannel() : undefined,
+      amount,
+      amountDrops: this.baseToDrops(amount)
+    }
+  }
+
   _getAmountOwed (to: string) {
     const account = this._getAccount(to)
     return account.getOwedBalance()
   }
 
-  _increaseAmountOwed (amount: string, to: string) {
+  _increaseAmountOwed (amount: string, to: string, ref?: JournalRef) {
     const account = this._getAccount(to)
     const owed = account.getOwedBalance()
     const newOwed = owed.plus(amount)
-    account.setOwedBalance(newOwed.toString())
+    account.setOwedBalance(newOwed.toString(), ref)
   }
 
-  _decreaseAmountOwed (amount: string, to: string) {
+  _decreaseAmountOwed (amount: string, to: string, ref?: JournalRef) {
     const account = this._getAccount(to)
     const owed = account.getOwedBalance()
     const newOwed = owed.minus(amount)
-    account.setOwedBalance(newOwed.toString())
+    account.setOwedBalance(newOwed.toString(), ref)
   }
 
   async sendMoney () {
     // NO-OP
   }
 
-  _sendMoneyToAccount (transferAmount: string, to: string) {
+  _sendMoneyToAccount (transferAmount: string, to: string, ref?: JournalRef) {
     const account = this._getAccount(to)
     if (!account.isReady()) {
       this._log.error('tried to send settlement to account which is not connected.' +
@@ -775,6 +1861,10 @@ export default class IlpPluginAsymServer extends MiniAccountsPlugin {
       throw new Error('account is not initialized. account=' + account.getAccount())
     }
 
+    if (account.isClientChannelClosing()) {
+      throw new Error('client channel is closing. account=' + account.getAccount())
+    }
+
     const currentBalance = account.getOutgoingBalance()
     const newBalance = currentBalance.plus(transferAmount)
 
@@ -807,9 +1897,10 @@ export default class IlpPluginAsymServer extends MiniAccountsPlugin {
     this._log.trace(`signing outgoing claim for ${newDropBalance.toString()} drops on ` +
       `channel ${clientChannel}`)
 
-    const aboveThreshold = new BigNumber(util
+    const topUpAmount = this._getFundingAmount(account, false)
+    const aboveThreshold = topUpAmount > 0 && new BigNumber(util
       .xrpToDrops(clientPaychan.amount))
-      .minus(this._outgoingChannelAmount / 2)
+      .minus(topUpAmount / 2)
       .lt(newDropBalance.toString())
 
     // if the claim we're signing is for more than the channel's max balance
@@ -817,13 +1908,18 @@ export default class IlpPluginAsymServer extends MiniAccountsPlugin {
     if (!account.isFunding() && aboveThreshold) {
       this._log.info('adding funds to channel. account=', account.getAccount())
       account.setFunding(true)
-      util.fundChannel({
-        api: this._api,
-        channel: clientChannel,
-        address: this._address,
-        secret: this._secret,
-        amount: this._outgoingChannelAmount
+      const fund = () => this._metrics.observeFunding('fund', () => {
+        return util.fundChannel({
+          api: this._api,
+          channel: clientChannel,
+          address: this._address,
+          secret: this._secret,
+          amount: topUpAmount
+        })
       })
+      const funding = this._spendFromHotWallet(topUpAmount, 'fund client channel', 0, fund)
+
+      funding
         .then(async () => {
           // reload channel details for the channel we just added funds to
           const clientPaychan = await this._api.getPaymentChannel(clientChannel) as Paychan
@@ -831,6 +1927,12 @@ export default class IlpPluginAsymServer extends MiniAccountsPlugin {
 
           account.setFunding(false)
           this._log.trace('completed fund tx. account=', account.getAccount())
+          this._emitEvent(PluginEvent.CLIENT_CHANNEL_FUNDED, {
+            account: account.getAccount(),
+            clientChannel,
+            amount: this.xrpToBase(util.dropsToXrp(topUpAmount)),
+            amountDrops: String(topUpAmount)
+          })
           await this._call(to, {
             type: BtpPacket.TYPE_MESSAGE,
             requestId: await util._requestId(),
@@ -857,7 +1959,11 @@ export default class IlpPluginAsymServer extends MiniAccountsPlugin {
         ' clientPaychan.amount=' + util.xrpToDrops(clientPaychan.amount))
     }
 
-    account.setOutgoingBalance(newBalance.toString())
+    this._store.batch(() => {
+      account.setOutgoingBalance(newBalance.toString(), ref)
+      account.setLastSettlement(Date.now())
+    })
+    this._settlementVolume.record(account.getAccount(), Number(this.baseToDrops(transferAmount)))
     this._log.trace(`account ${account.getAccount()} added ${transferAmount} units, new balance ${newBalance}`)
 
     return [{
@@ -915,7 +2021,13 @@ export default class IlpPluginAsymServer extends MiniAccountsPlugin {
     this._log.trace('got last value. value=' + lastValue.toString(), 'signature=' + account.getIncomingClaim().signature)
     if (lastValue.lt(amount)) {
       this._log.trace('set new claim for amount', amount)
-      account.setIncomingClaim(claim)
+      account.setIncomingClaim(claim, { cause: JournalCause.CLAIM })
+      this._emitEvent(PluginEvent.CLAIM_RECEIVED, {
+        account: account.getAccount(),
+        channel: account.getChannel(),
+        amount: String(amount),
+        amountDrops: dropAmount
+      })
     } else if (lastValue.eq(amount)) {
       this._log.trace(`got claim for same amount as before. lastValue=${lastValue}, amount=${amount} (this is not necessarily a problem, but may represent an error on the client's side)`)
     } else {
@@ -956,6 +2068,44 @@ export default class IlpPluginAsymServer extends MiniAccountsPlugin {
 
   async _disconnect () {
     this._log.info('disconnecting accounts and api')
+    if (this._adminApi) {
+      await this._adminApi.close()
+    }
+
+    if (this._metricsExporter) {
+      await this._metricsExporter.close()
+    }
+
+    if (this._reconcileIntervalId) {
+      clearInterval(this._reconcileIntervalId)
+      delete this._reconcileIntervalId
+    }
+
+    if (this._idleCheckIntervalId) {
+      clearInterval(this._idleCheckIntervalId)
+      delete this._idleCheckIntervalId
+    }
+
+    if (this._settlementRetryIntervalId) {
+      clearInterval(this._settlementRetryIntervalId)
+      delete this._settlementRetryIntervalId
+    }
+
+    for (const timeout of this._settlementTimeouts.values()) {
+      clearTimeout(timeout)
+    }
+    this._settlementTimeouts.clear()
+
+    for (const prepare of this._inFlightPrepares.values()) {
+      clearTimeout(prepare.timeout)
+    }
+    this._inFlightPrepares.clear()
+    this._inFlightAmounts.clear()
+
+    this._serverFailover.stop()
+    this._claimQueue.stop()
+    this._claimScheduler.stop()
+
     for (const account of this._accounts.values()) {
       account.disconnect()
     }
@@ -964,20 +2114,460 @@ export default class IlpPluginAsymServer extends MiniAccountsPlugin {
     await this._store.close()
   }
 
-  async getAdminInfo () {
+  // compares every known account against the ledger. a run which is already
+  // in progress is shared instead of starting another one.
+  // a run is shared with the callers which ask for the same repair flag while
+  // it is pending. runs don't overlap, so a run with the other flag waits for
+  // the one in progress.
+  async reconcile (repair = this._reconcileRepair): Promise<ReconciliationReport> {
+    let run = this._reconciling.get(repair)
+    if (!run) {
+      run = this._runReconcile(repair, this._reconciling.get(!repair))
+      this._reconciling.set(repair, run)
+    }
+    return run
+  }
+
+  async _runReconcile (repair: boolean, previous?: Promise<ReconciliationReport>): Promise<ReconciliationReport> {
+    try {
+      if (previous) await previous.catch(() => undefined)
+      const report = await this._reconcileAccounts(Array.from(this._accounts.values()), repair)
+      this._emitEvent(PluginEvent.RECONCILIATION_COMPLETED, report)
+      return report
+    } finally {
+      this._reconciling.delete(repair)
+    }
+  }
+
+  async _reconcileAccounts (accounts: Account[], repair: boolean): Promise<ReconciliationReport> {
+    const report: ReconciliationReport = {
+      timestamp: new Date().toISOString(),
+      repair,
+      accounts: 0,
+      discrepancies: [],
+      errors: []
+    }
+
+    for (const account of accounts) {
+      if (!account.hasChannel() && !account.hasClientChannel()) continue
+      report.accounts++
+
+      try {
+        const [ paychan, clientPaychan ] = await Promise.all([
+          account.hasChannel() ? this._getLedgerPaychan(account.getChannel()) : null,
+          account.hasClientChannel() ? this._getLedgerPaychan(account.getClientChannel()) : null
+        ])
+
+        for (const discrepancy of account.reconcile(paychan, clientPaychan, repair)) {
+          this._log.warn('found discrepancy with ledger.' +
+            ' account=' + discrepancy.account +
+            ' type=' + discrepancy.type +
+            ' channel=' + discrepancy.channel +
+            ' stored=' + discrepancy.stored +
+            ' ledger=' + discrepancy.ledger +
+            ' repaired=' + discrepancy.repaired)
+          report.discrepancies.push(discrepancy)
+        }
+      } catch (e) {
+        this._log.error('failed to reconcile account. account=' + account.getAccount() +
+          ' error=' + e.message)
+        report.errors.push({ account: account.getAccount(), error: e.message })
+      }
+    }
+
+    this._log.info('reconciled accounts. accounts=' + report.accounts +
+      ' discrepancies=' + report.discrepancies.length +
+      ' errors=' + report.errors.length)
+    return report
+  }
+
+  async _getLedgerPaychan (channelId: string): Promise<Paychan | null> {
+    try {
+      return await this._api.getPaymentChannel(channelId) as Paychan
+    } catch (e) {
+      if (e.name === 'RippledError' && e.message === 'entryNotFound') {
+        return null
+      }
+      throw e
+    }
+  }
+
+  // exports the stored state of the given accounts, or of every account which
+  // has had a channel or has been loaded since the plugin started
+  async exportSnapshot (accountNames?: string[]): Promise<Snapshot> {
+    await this._accountIndex.load()
+    const names = accountNames || Array.from(new Set(
+      this._accountIndex.getAccounts().concat(Array.from(this._accounts.keys()))))
+    const snapshot: Snapshot = {
+      version: SNAPSHOT_VERSION,
+      timestamp: new Date().toISOString(),
+      xrpAddress: this._address,
+      currencyScale: this._currencyScale,
+      accounts: [],
+      channels: {}
+    }
+
+    for (const name of names) {
+      // the keys of a loaded account may have been unloaded, e.g. by a
+      // disconnect. loading skips the keys which are still cached, so the
+      // stored state is read either way.
+      const account = this._createAccount(name)
+      await account.load()
+      const accountSnapshot = account.getSnapshot()
+
+      // the cache is shared with a loaded account, which may be using the keys
+      if (!this._accounts.has(name)) account.unload()
+
+      snapshot.accounts.push(accountSnapshot)
+      if (accountSnapshot.channel) {
+        await this._store.load(CHANNEL_ACCOUNT(accountSnapshot.channel))
+        snapshot.channels[accountSnapshot.channel] =
+          this._store.get(CHANNEL_ACCOUNT(accountSnapshot.channel)) || name
+      }
+    }
+
+    this._log.info('exported snapshot. accounts=' + snapshot.accounts.length)
+    return snapshot
+  }
+
+  // writes a snapshot to the store after checking it against the ledger.
+  // nothing is written unless every account is valid, and only accounts which
+  // have no channels or balances in this store can be imported.
+  async importSnapshot (snapshot: Snapshot): Promise<ImportReport> {
+    if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+      throw new InvalidCommandError('unsupported snapshot version.' +
+        ' version=' + (snapshot && snapshot.version) +
+        ' supported=' + SNAPSHOT_VERSION)
+    }
+
+    if (snapshot.xrpAddress !== this._address) {
+      throw new InvalidCommandError('snapshot is for a different xrp address.' +
+        ' xrpAddress=' + snapshot.xrpAddress +
+        ' expected=' + this._address)
+    }
+
+    if (snapshot.currencyScale !== this._currencyScale) {
+      throw new InvalidCommandError('snapshot has a different currency scale.' +
+        ' currencyScale=' + snapshot.currencyScale +
+        ' expected=' + this._currencyScale)
+    }
+
+    if (!Array.isArray(snapshot.accounts) || !snapshot.channels) {
+      throw new InvalidCommandError('snapshot must have accounts and channels')
+    }
+
+    await this._accountIndex.load()
+    const errors: SnapshotError[] = []
+    const accounts: Account[] = []
+    for (const accountSnapshot of snapshot.accounts) {
+      // the snapshot comes from outside, so its types aren't to be trusted
+      const name: any = accountSnapshot && accountSnapshot.account
+      if (!name || typeof name !== 'string' || accounts.some(a => a.getAccount() === name)) {
+        errors.push({ account: String(name), error: 'account name is missing or repeated' })
+        continue
+      }
+
+      // a loaded account shares its cache with any account created here, so
+      // it must not be loaded or unloaded by the import
+      if (this._accounts.has(name)) {
+        errors.push({ account: name, error: 'account already exists in this store' })
+        continue
+      }
+
+      const account = this._createAccount(name)
+      await account.load()
+      accounts.push(account)
+
+      try {
+        await this._validateAccountSnapshot(account, accountSnapshot, snapshot.channels)
+      } catch (e) {
+        errors.push({ account: name, error: e.message })
+      }
+    }
+
+    for (const channel of Object.keys(snapshot.channels)) {
+      const name = snapshot.channels[channel]
+      if (!snapshot.accounts.some(a => a && a.account === name)) {
+        errors.push({ account: name, error: 'channel belongs to an account which is not in the snapshot. channel=' + channel })
+        continue
+      }
+
+      await this._store.load(CHANNEL_ACCOUNT(channel))
+      const associated = this._store.get(CHANNEL_ACCOUNT(channel))
+      if (associated && associated !== name) {
+        errors.push({ account: name, error: 'channel is associated with a different account. channel=' + channel +
+          ' associated=' + associated })
+      }
+    }
+
+    try {
+      if (errors.length) {
+        for (const error of errors) {
+          this._log.error('invalid account in snapshot. account=' + error.account +
+            ' error=' + error.error)
+        }
+        throw new InvalidCommandError('snapshot is not valid. errors=' +
+          errors.map(e => e.account + ': ' + e.error).join('; '))
+      }
+
+      this._store.batch(() => {
+        snapshot.accounts.forEach((accountSnapshot, i) => {
+          accounts[i].restore(accountSnapshot)
+          this._accountIndex.add(accountSnapshot.account)
+        })
+        for (const channel of Object.keys(snapshot.channels)) {
+          this._store.set(CHANNEL_ACCOUNT(channel), snapshot.channels[channel])
+        }
+      })
+      await this._store.flush()
+    } finally {
+      // an account may have been loaded while the import was checking it
+      for (const account of accounts) {
+        if (!this._accounts.has(account.getAccount())) account.unload()
+      }
+    }
+
+    const report = {
+      accounts: accounts.length,
+      channels: Object.keys(snapshot.channels).length
+    }
+    this._log.info('imported snapshot. accounts=' + report.accounts +
+      ' channels=' + report.channels)
+    return report
+  }
+
+  async _validateAccountSnapshot (account: Account, snapshot: AccountSnapshot, channels: { [channel: string]: string }) {
+    const name = account.getAccount()
+    if (account.hasChannel() || account.hasClientChannel() ||
+      !account.getBalance().isZero() || !account.getOwedBalance().isZero()) {
+      throw new Error('account already exists in this store')
+    }
+
+    for (const field of [ 'balance', 'lastClaimedAmount', 'outgoingBalance', 'owedBalance' ]) {
+      const value = (snapshot as any)[field]
+      if (typeof value !== 'string' || new BigNumber(value).isNaN()) {
+        throw new Error('amount must be a number string. field=' + field + ' value=' + value)
+      }
+    }
+
+    if (snapshot.channel) {
+      if (channels[snapshot.channel] !== name) {
+        throw new Error('channel is missing from the channel index. channel=' + snapshot.channel)
+      }
+
+      const paychan = await this._getLedgerPaychan(snapshot.channel)
+      if (!paychan) {
+        throw new Error('channel does not exist on the ledger. channel=' + snapshot.channel)
+      }
+      this._validatePaychanDetails(paychan)
+
+      if (new BigNumber(snapshot.lastClaimedAmount).gt(this.xrpToBase(paychan.balance))) {
+        throw new Error('last claimed amount exceeds the channel balance on the ledger.' +
+          ' lastClaimedAmount=' + snapshot.lastClaimedAmount +
+          ' balance=' + this.xrpToBase(paychan.balance))
+      }
+
+      const claim = snapshot.incomingClaim
+      if (claim && claim.signature) {
+        const dropAmount = util.xrpToDrops(this.baseToXrp(claim.amount))
+        if (new BigNumber(dropAmount).gt(util.xrpToDrops(paychan.amount))) {
+          throw new Error('incoming claim exceeds the channel amount.' +
+            ' claim=' + dropAmount +
+            ' amount=' + util.xrpToDrops(paychan.amount))
+        }
+
+        let valid = false
+        try {
+          valid = sodium.crypto_sign_verify_detached(
+            Buffer.from(claim.signature, 'hex'),
+            util.encodeClaim(dropAmount, snapshot.channel),
+            Buffer.from(paychan.publicKey.substring(2), 'hex'))
+        } catch (e) {
+          this._log.debug('verifying signature failed:', e.message)
+        }
+
+        if (!valid) {
+          throw new Error('incoming claim has an invalid signature. channel=' + snapshot.channel)
+        }
+      }
+    } else if (snapshot.incomingClaim) {
+      throw new Error('account has an incoming claim but no channel')
+    }
+
+    if (snapshot.clientChannel) {
+      const clientPaychan = await this._getLedgerPaychan(snapshot.clientChannel)
+      if (!clientPaychan) {
+        throw new Error('client channel does not exist on the ledger. clientChannel=' + snapshot.clientChannel)
+      }
+
+      if (clientPaychan.account !== this._address) {
+        throw new Error('client channel is not funded by this server. clientChannel=' + snapshot.clientChannel)
+      }
+
+      const outgoing = new BigNumber(snapshot.outgoingBalance)
+      if (outgoing.lt(this.xrpToBase(clientPaychan.balance)) ||
+        outgoing.gt(this.xrpToBase(clientPaychan.amount))) {
+        throw new Error('outgoing balance does not match the client channel on the ledger.' +
+          ' outgoingBalance=' + snapshot.outgoingBalance +
+          ' balance=' + this.xrpToBase(clientPaychan.balance) +
+          ' amount=' + this.xrpToBase(clientPaychan.amount))
+      }
+    }
+  }
+
+  _hasHotWalletGuard (): boolean {
+    return !!(this._minAvailableXrp || this._lowAvailableXrp)
+  }
+
+  // runs a transaction which spends drops from the server's account, once the
+  // hot wallet guard allows it
+  async _spendFromHotWallet<T> (drops: number, purpose: string, ownerObjects: number, spend: () => Promise<T>): Promise<T> {
+    if (!this._hasHotWalletGuard()) return spend()
+
+    const release = await this._reserveHotWalletBalance(drops, purpose, ownerObjects)
+    try {
+      return await spend()
+    } finally {
+      release()
+    }
+  }
+
+  // refuses to spend drops from the server's account if its available balance
+  // would drop below the floor, and warns once it drops below the low balance
+  // threshold, so it can be refilled before channels can't be funded anymore.
+  // ownerObjects is the number of ledger objects the spending transaction
+  // creates, each of which raises the reserve.
+  //
+  // the balance is cached per ledger, and a spend only shows up in it once its
+  // transaction is validated. until then the amount is held back from other
+  // spends, and the returned function releases it.
+  async _reserveHotWalletBalance (drops: number, purpose: string, ownerObjects = 0): Promise<() => void> {
+    const balance = await this._getHotWalletBalance()
+    const amount = util.dropsToXrp(drops)
+    const spending = new BigNumber(amount)
+      .plus(new BigNumber(balance.reserveIncrement).times(ownerObjects))
+    const remaining = new BigNumber(balance.available)
+      .minus(this._hotWalletPending)
+      .minus(spending)
+
+    if (this._minAvailableXrp && remaining.lt(this._minAvailableXrp)) {
+      this._log.error('refusing to spend from hot wallet below floor.' +
+        ' purpose=' + purpose +
+        ' amount=' + amount +
+        ' available=' + balance.available +
+        ' pending=' + this._hotWalletPending.toString() +
+        ' floor=' + this._minAvailableXrp)
+      throw new InsufficientHotWalletBalanceError('server cannot ' + purpose +
+        ' because its XRP balance is too low. try again later.')
+    }
+
+    if (this._lowAvailableXrp && remaining.lt(this._lowAvailableXrp)) {
+      this._log.warn('hot wallet balance is low.' +
+        ' available=' + remaining.toString() +
+        ' threshold=' + this._lowAvailableXrp)
+      this._emitEvent(PluginEvent.HOT_WALLET_LOW_BALANCE, {
+        total: balance.total,
+        reserved: balance.reserved,
+        available: remaining.toString(),
+        threshold: String(this._lowAvailableXrp)
+      })
+    }
+
+    this._hotWalletPending = this._hotWalletPending.plus(spending)
+    return () => {
+      this._hotWalletPending = this._hotWalletPending.minus(spending)
+    }
+  }
+
+  // the balance only changes from one ledger to the next, so it is fetched
+  // once per ledger however many channels are funded. without a ledger
+  // version it is fetched every time.
+  async _getHotWalletBalance (): Promise<HotWalletBalance> {
+    let ledgerVersion: number
+    try {
+      ledgerVersion = await this._api.getLedgerVersion()
+    } catch (e) {
+      return this._fetchXrpBalance()
+    }
+
+    if (!this._hotWalletBalance || this._hotWalletBalance.ledgerVersion !== ledgerVersion) {
+      const balance = this._fetchXrpBalance()
+      this._hotWalletBalance = { ledgerVersion, balance }
+      balance.catch(() => {
+        if (this._hotWalletBalance && this._hotWalletBalance.balance === balance) {
+          delete this._hotWalletBalance
+        }
+      })
+    }
+
+    return this._hotWalletBalance.balance
+  }
+
+  async getXrpBalance (): Promise<XrpBalance> {
+    const { total, reserved, available } = await this._fetchXrpBalance()
+    return { total, reserved, available }
+  }
+
+  async _fetchXrpBalance (): Promise<HotWalletBalance> {
     const accountInfo = await this._api.getAccountInfo(this._address)
     const serverInfo = await this._api.getServerInfo()
-    const reserved = Number(accountInfo.ownerCount) *
-      Number(serverInfo.validatedLedger.reserveIncrementXRP)
+    const reserveIncrement = Number(serverInfo.validatedLedger.reserveIncrementXRP)
+    const reserved = Number(accountInfo.ownerCount) * reserveIncrement
+
+    return {
+      total: accountInfo.xrpBalance,
+      reserved: String(reserved),
+      available: String(Number(accountInfo.xrpBalance) - reserved),
+      reserveIncrement: String(reserveIncrement)
+    }
+  }
+
+  async getMetrics (): Promise<string> {
+    this._metrics.collectAccounts(this._accounts.values())
+
+    try {
+      this._metrics.setXrpBalance(await this.getXrpBalance())
+    } catch (e) {
+      this._log.warn('failed to load xrp balance for metrics. error=' + e.message)
+    }
+
+    return this._metrics.getMetrics()
+  }
+
+  getMetricsContentType (): string {
+    return this._metrics.getContentType()
+  }
+
+  getAdminAccounts (): AdminAccountInfo[] {
+    return Array.from(this._accounts.values()).map(account => this._getAdminAccountInfo(account))
+  }
+
+  getAdminAccount (name: string): AdminAccountInfo {
+    const account = this._accounts.get(name)
+    if (!account) {
+      throw new AccountNotFoundError('no account by that name. account=' + name)
+    }
+
+    return this._getAdminAccountInfo(account)
+  }
+
+  _getAdminAccountInfo (account: Account): AdminAccountInfo {
+    return Object.assign(account.getInfo(), {
+      rateLimit: this._getRateLimitState(account)
+    })
+  }
 
+  async getAdminInfo () {
+    const accounts = Array.from(this._accounts.values())
     return {
       xrpAddress: this._address,
-      xrpBalance: {
-        total: accountInfo.xrpBalance,
-        reserved: String(reserved),
-        available: String(Number(accountInfo.xrpBalance) - reserved)
-      },
-      clients: Array.from(this._accounts.values()).map(account => {
+      xrpServer: this._serverFailover.getActiveServer(),
+      xrpBalance: await this.getXrpBalance(),
+      // in base units, over every loaded account
+      owedBalance: accounts
+        .reduce((sum, account) => sum.plus(account.getOwedBalance()), new BigNumber(0))
+        .toString(),
+      clients: accounts.map(account => {
         try {
           return {
             account: account.getAccount(),
@@ -986,7 +2576,9 @@ export default class IlpPluginAsymServer extends MiniAccountsPlugin {
             channelBalance: account.getPaychan().balance,
             clientChannel: account.getClientChannel(),
             clientChannelBalance: this.baseToXrp(account.getOutgoingBalance()),
-            state: account.getStateString()
+            owedBalance: account.getOwedBalance().toString(),
+            state: account.getStateString(),
+            rateLimit: this._getRateLimitState(account)
           }
         } catch (e) {
           this._log.trace('skipping account.' +
@@ -1001,7 +2593,7 @@ export default class IlpPluginAsymServer extends MiniAccountsPlugin {
   async sendAdminInfo (cmd: AdminCommand) {
     const account = this._accounts.get(cmd.account)
     if (!account) {
-      throw new Error('no account by that name. account=' + account)
+      throw new AccountNotFoundError('no account by that name. account=' + cmd.account)
     }
 
     switch (cmd.command) {
@@ -1016,7 +2608,8 @@ export default class IlpPluginAsymServer extends MiniAccountsPlugin {
             amount,
             protocolData: this._sendMoneyToAccount(
               amount,
-              destination)
+              destination,
+              { cause: JournalCause.ADMIN })
           }
         })
         break
@@ -1025,8 +2618,31 @@ export default class IlpPluginAsymServer extends MiniAccountsPlugin {
         account.block()
         break
 
+      case 'unblock':
+        await this._unblockAccount(account)
+        break
+
+      case 'reset':
+        await this._resetAccount(account)
+        break
+
+      case 'claim':
+        return this._forceClaim(account)
+
+      case 'set_limits':
+        return this._setLimits(account, cmd)
+
+      case 'close_client_channel':
+        return this._closeClientChannel(account)
+
+      case 'journal':
+        return this._getJournal(account, cmd)
+
+      case 'reconcile':
+        return this._reconcileAccounts([ account ], !!cmd.repair)
+
       default:
-        throw Error('unknown command')
+        throw new InvalidCommandError('unknown command. command=' + cmd.command)
     }
 
     return {}
@@ -0,0 +1,107 @@
+'use strict'
+
+import StoreWrapper from './store-wrapper'
+
+const JOURNAL_LENGTH = (a: string) => a + ':journal'
+const JOURNAL_ENTRY = (a: string, index: number) => a + ':journal:' + index
+
+const DEFAULT_PAGE_SIZE = 100
+const MAX_PAGE_SIZE = 1000
+
+export enum JournalCause {
+  PREPARE = 'prepare',
+  REJECT = 'reject',
+  CLAIM = 'claim',
+  SETTLEMENT = 'settlement',
+  T04 = 't04',
+  ADMIN = 'admin',
+  LEDGER = 'ledger',
+  IMPORT = 'import'
+}
+
+export enum JournalField {
+  BALANCE = 'balance',
+  INCOMING_CLAIM = 'incoming_claim',
+  OUTGOING_BALANCE = 'outgoing_balance',
+  OWED_BALANCE = 'owed_balance'
+}
+
+export interface JournalRef {
+  cause: JournalCause
+  reference?: string
+}
+
+export interface JournalEntry {
+  index: number
+  account: string
+  field: JournalField
+  oldValue: string
+  newValue: string
+  cause: JournalCause | null
+  reference: string | null
+  timestamp: string
+}
+
+export interface JournalPage {
+  total: number
+  entries: JournalEntry[]
+}
+
+export default class Journal {
+  private _store: StoreWrapper
+
+  constructor (store: StoreWrapper) {
+    this._store = store
+  }
+
+  // must be loaded before anything is appended, otherwise the account's
+  // journal would start over and overwrite old entries
+  async load (account: string): Promise<void> {
+    await this._store.load(JOURNAL_LENGTH(account))
+  }
+
+  unload (account: string) {
+    this._store.unload(JOURNAL_LENGTH(account))
+  }
+
+  getLength (account: string): number {
+    return Number(this._store.get(JOURNAL_LENGTH(account)) || 0)
+  }
+
+  append (account: string, field: JournalField, oldValue: string, newValue: string, ref?: JournalRef) {
+    const index = this.getLength(account)
+    const entry: JournalEntry = {
+      index,
+      account,
+      field,
+      oldValue,
+      newValue,
+      cause: ref ? ref.cause : null,
+      reference: (ref && ref.reference) || null,
+      timestamp: new Date().toISOString()
+    }
+
+    this._store.write(JOURNAL_ENTRY(account, index), entry)
+    this._store.set(JOURNAL_LENGTH(account), String(index + 1))
+  }
+
+  async getEntries (account: string, offset = 0, limit = DEFAULT_PAGE_SIZE): Promise<JournalPage> {
+    const total = this.getLength(account)
+    const start = Math.max(offset, 0)
+    const end = Math.min(start + Math.min(limit, MAX_PAGE_SIZE), total)
+    const entries: JournalEntry[] = []
+
+    // entries aren't cached, so wait for the latest ones to be written
+    await this._store.flush()
+
+    for (let i = start; i < end; i++) {
+      const key = JOURNAL_ENTRY(account, i)
+      await this._store.loadObject(key)
+      const entry = this._store.getObject(key) as JournalEntry
+      this._store.unload(key)
+      if (entry) entries.push(entry)
+    }
+
+    return { total, entries }
+  }
+}
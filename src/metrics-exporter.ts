@@ -0,0 +1,80 @@
+'use strict'
+
+import * as http from 'http'
+import { parse as parseUrl } from 'url'
+import IlpPluginAsymServer from './index'
+
+const DEFAULT_HOST = '127.0.0.1'
+
+export interface MetricsExporterParams {
+  plugin: IlpPluginAsymServer
+  port: number
+  host?: string
+  log: any
+}
+
+export default class MetricsExporter {
+  private _plugin: IlpPluginAsymServer
+  private _port: number
+  private _host: string
+  private _log: any
+  private _server?: http.Server
+
+  constructor (opts: MetricsExporterParams) {
+    this._plugin = opts.plugin
+    this._port = opts.port
+    this._host = opts.host || DEFAULT_HOST
+    this._log = opts.log
+  }
+
+  async listen (): Promise<void> {
+    if (this._server) return
+
+    const server = http.createServer((req, res) => {
+      this._handleRequest(req, res)
+        .catch((e: Error) => {
+          this._log.error('failed to respond to metrics request. error=' + e.stack)
+        })
+    })
+
+    await new Promise((resolve, reject) => {
+      server.once('error', reject)
+      server.listen(this._port, this._host, resolve)
+    })
+
+    this._server = server
+    this._log.info('metrics exporter listening.' +
+      ' host=' + this._host +
+      ' port=' + this.getPort())
+  }
+
+  getPort (): number {
+    return this._server ? this._server.address().port : this._port
+  }
+
+  async close (): Promise<void> {
+    const server = this._server
+    if (!server) return
+
+    delete this._server
+    await new Promise(resolve => server.close(resolve))
+  }
+
+  private async _handleRequest (req: http.IncomingMessage, res: http.ServerResponse) {
+    if (req.method !== 'GET' || parseUrl(req.url || '').pathname !== '/metrics') {
+      res.writeHead(404, { 'Content-Type': 'text/plain' })
+      res.end('not found')
+      return
+    }
+
+    try {
+      const metrics = await this._plugin.getMetrics()
+      res.writeHead(200, { 'Content-Type': this._plugin.getMetricsContentType() })
+      res.end(metrics)
+    } catch (e) {
+      this._log.error('failed to collect metrics. error=' + e.stack)
+      res.writeHead(500, { 'Content-Type': 'text/plain' })
+      res.end('failed to collect metrics')
+    }
+  }
+}
@@ -0,0 +1,184 @@
+'use strict'
+
+import * as client from 'prom-client'
+import { Account } from './account'
+
+const METRIC_PREFIX = 'ilp_plugin_xrp_asym_server_'
+
+// ledger submissions wait for validation, which takes a few seconds
+const SUBMISSION_BUCKETS = [ 1, 2, 4, 8, 16, 32, 64 ]
+
+export interface XrpBalance {
+  total: string
+  reserved: string
+  available: string
+}
+
+export default class Metrics {
+  private _registry: client.Registry
+  private _balance: client.Gauge
+  private _incomingClaim: client.Gauge
+  private _lastClaimed: client.Gauge
+  private _outgoingBalance: client.Gauge
+  private _clientChannelCapacity: client.Gauge
+  private _owedBalance: client.Gauge
+  private _xrpBalance: client.Gauge
+  private _claims: client.Counter
+  private _claimDuration: client.Histogram
+  private _fundings: client.Counter
+  private _fundingDuration: client.Histogram
+  private _incomingRejects: client.Counter
+
+  constructor () {
+    this._registry = new client.Registry()
+    const registers = [ this._registry ]
+
+    this._balance = new client.Gauge({
+      name: METRIC_PREFIX + 'balance',
+      help: 'Prepared balance of the account, in base units',
+      labelNames: [ 'account' ],
+      registers
+    })
+    this._incomingClaim = new client.Gauge({
+      name: METRIC_PREFIX + 'incoming_claim',
+      help: 'Best claim received on the incoming channel, in base units',
+      labelNames: [ 'account' ],
+      registers
+    })
+    this._lastClaimed = new client.Gauge({
+      name: METRIC_PREFIX + 'last_claimed',
+      help: 'Amount claimed from the incoming channel, in base units',
+      labelNames: [ 'account' ],
+      registers
+    })
+    this._outgoingBalance = new client.Gauge({
+      name: METRIC_PREFIX + 'outgoing_balance',
+      help: 'Highest claim signed on the client channel, in base units',
+      labelNames: [ 'account' ],
+      registers
+    })
+    this._clientChannelCapacity = new client.Gauge({
+      name: METRIC_PREFIX + 'client_channel_capacity',
+      help: 'Amount escrowed in the client channel, in base units',
+      labelNames: [ 'account' ],
+      registers
+    })
+    this._owedBalance = new client.Gauge({
+      name: METRIC_PREFIX + 'owed_balance',
+      help: 'Amount owed to the account but not yet settled, in base units',
+      labelNames: [ 'account' ],
+      registers
+    })
+    this._xrpBalance = new client.Gauge({
+      name: METRIC_PREFIX + 'xrp_balance',
+      help: 'XRP held by the server\'s account',
+      labelNames: [ 'type' ],
+      registers
+    })
+    this._claims = new client.Counter({
+      name: METRIC_PREFIX + 'claims_total',
+      help: 'Claims submitted on incoming channels',
+      labelNames: [ 'result' ],
+      registers
+    })
+    this._claimDuration = new client.Histogram({
+      name: METRIC_PREFIX + 'claim_duration_seconds',
+      help: 'Time until a submitted claim was validated or failed',
+      labelNames: [ 'result' ],
+      buckets: SUBMISSION_BUCKETS,
+      registers
+    })
+    this._fundings = new client.Counter({
+      name: METRIC_PREFIX + 'fundings_total',
+      help: 'Client channel creations and top-ups submitted',
+      labelNames: [ 'type', 'result' ],
+      registers
+    })
+    this._fundingDuration = new client.Histogram({
+      name: METRIC_PREFIX + 'funding_duration_seconds',
+      help: 'Time until a client channel creation or top-up was validated or failed',
+      labelNames: [ 'type', 'result' ],
+      buckets: SUBMISSION_BUCKETS,
+      registers
+    })
+    this._incomingRejects = new client.Counter({
+      name: METRIC_PREFIX + 'incoming_rejects_total',
+      help: 'Incoming prepares rejected before being forwarded',
+      labelNames: [ 'code' ],
+      registers
+    })
+  }
+
+  getRegistry (): client.Registry {
+    return this._registry
+  }
+
+  getContentType (): string {
+    return this._registry.contentType
+  }
+
+  getMetrics (): string {
+    return this._registry.metrics()
+  }
+
+  async observeClaim (submit: () => Promise<any>): Promise<any> {
+    return this._observe(this._claims, this._claimDuration, {}, submit)
+  }
+
+  async observeFunding (type: 'create' | 'fund', submit: () => Promise<any>): Promise<any> {
+    return this._observe(this._fundings, this._fundingDuration, { type }, submit)
+  }
+
+  incrementIncomingReject (code: string) {
+    this._incomingRejects.inc({ code })
+  }
+
+  setXrpBalance (xrpBalance: XrpBalance) {
+    this._xrpBalance.set({ type: 'total' }, Number(xrpBalance.total))
+    this._xrpBalance.set({ type: 'reserved' }, Number(xrpBalance.reserved))
+    this._xrpBalance.set({ type: 'available' }, Number(xrpBalance.available))
+  }
+
+  collectAccounts (accounts: Iterable<Account>) {
+    // accounts which were removed since the last scrape should not linger
+    this._balance.reset()
+    this._incomingClaim.reset()
+    this._lastClaimed.reset()
+    this._outgoingBalance.reset()
+    this._clientChannelCapacity.reset()
+    this._owedBalance.reset()
+
+    for (const account of accounts) {
+      const labels = { account: account.getAccount() }
+      this._balance.set(labels, account.getBalance().toNumber())
+      this._incomingClaim.set(labels, Number(account.getIncomingClaim().amount))
+      this._lastClaimed.set(labels, Number(account.getLastClaimedAmount()))
+      this._outgoingBalance.set(labels, account.getOutgoingBalance().toNumber())
+      this._owedBalance.set(labels, account.getOwedBalance().toNumber())
+
+      const clientPaychan = account.getClientPaychan()
+      if (clientPaychan) {
+        this._clientChannelCapacity.set(labels, Number(account.xrpToBase(clientPaychan.amount)))
+      }
+    }
+  }
+
+  private async _observe (
+    counter: client.Counter,
+    histogram: client.Histogram,
+    labels: { [key: string]: string },
+    submit: () => Promise<any>
+  ): Promise<any> {
+    const end = histogram.startTimer(labels)
+    try {
+      const result = await submit()
+      counter.inc(Object.assign({ result: 'success' }, labels))
+      end({ result: 'success' })
+      return result
+    } catch (e) {
+      counter.inc(Object.assign({ result: 'failure' }, labels))
+      end({ result: 'failure' })
+      throw e
+    }
+  }
+}
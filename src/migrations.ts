@@ -0,0 +1,141 @@
+'use strict'
+
+import StoreWrapper from './store-wrapper'
+
+const SCHEMA_VERSION = 'plugin:schema_version'
+// where version 1 was stored. it is also the balance key of an account named
+// schema_version, so it is left as it is.
+const LEGACY_SCHEMA_VERSION = 'schema_version'
+
+// A migration upgrades the store from the version before it to its own
+// version. Migrations write through the StoreWrapper, so they can use batch to
+// change several keys at once; the version is stored after each one.
+export interface Migration {
+  version: number
+  description: string
+  up (store: StoreWrapper): Promise<void>
+}
+
+// Layout of version 1, for each account a (all amounts in base units unless
+// noted):
+//   a                                  prepared balance
+//   a:claim                            best incoming claim, JSON
+//   a:channel, a:client_channel        incoming and outgoing channel ids
+//   a:last_claimed                     amount claimed on the ledger
+//   a:last_claim_time                  time of the last validated claim, in ms
+//   a:outgoing_balance, a:owed_balance settled to and owed to the client
+//   a:client_channel_closing           'true' while the client channel closes
+//   a:last_settlement                  time of the last settlement, in ms
+//   a:block, a:block_reason            whether and why the account is blocked
+//   a:max_balance, a:max_packet_amount, a:max_throughput,
+//   a:min_incoming_channel_amount (drops), a:max_packets_per_second,
+//   a:max_outgoing_channel_amount (drops), a:max_owed_balance
+//                                      per-account limits
+//   a:journal, a:journal:<index>       journal length and entries
+// and globally:
+//   accounts                           accounts which have had a channel, JSON
+//   channel:<id>                       account of an incoming channel
+//   claim_queue                        claims waiting for a retry, JSON
+//   store_wrapper:batch                batch being committed
+//
+// Version 2 moves the global keys which an account could overwrite with its
+// balance under plugin:, which no account name can start with:
+//   plugin:schema_version              version of the layout
+//   plugin:accounts                    accounts which have had a channel, JSON
+//   plugin:claim_queue                 claims waiting for a retry, JSON
+export const MIGRATIONS: Migration[] = [{
+  version: 1,
+  description: 'version the existing layout',
+  async up () {
+    // stores written before there was a schema version already have this
+    // layout
+  }
+}, {
+  version: 2,
+  description: 'move the global keys under plugin:',
+  async up (store: StoreWrapper) {
+    await moveGlobalKey(store, 'accounts', 'plugin:accounts')
+    await moveGlobalKey(store, 'claim_queue', 'plugin:claim_queue')
+  }
+}]
+
+// the old key is also the balance key of an account with the same name. the
+// plugin itself only wrote JSON arrays and objects there, so anything else is
+// left to the account.
+async function moveGlobalKey (store: StoreWrapper, from: string, to: string) {
+  await store.load(from)
+  const value = store.get(from)
+
+  let parsed: any
+  try {
+    parsed = value && JSON.parse(value)
+  } catch (e) {
+    return
+  }
+  if (!parsed || typeof parsed !== 'object') return
+
+  store.batch(() => {
+    store.set(to, parsed)
+    store.delete(from)
+  })
+}
+
+export interface MigratorParams {
+  store: StoreWrapper
+  log: any
+  migrations?: Migration[]
+}
+
+export default class Migrator {
+  private _store: StoreWrapper
+  private _log: any
+  private _migrations: Migration[]
+
+  constructor (opts: MigratorParams) {
+    this._store = opts.store
+    this._log = opts.log
+    this._migrations = (opts.migrations || MIGRATIONS)
+      .slice()
+      .sort((a, b) => a.version - b.version)
+  }
+
+  getLatestVersion (): number {
+    const last = this._migrations[this._migrations.length - 1]
+    return last ? last.version : 0
+  }
+
+  async getVersion (): Promise<number> {
+    await this._store.load(SCHEMA_VERSION)
+    const version = this._store.get(SCHEMA_VERSION)
+    if (version) return Number(version)
+
+    // only version 1 was ever stored under the old key. anything else there
+    // is a balance, and the store is treated as unversioned.
+    await this._store.load(LEGACY_SCHEMA_VERSION)
+    return this._store.get(LEGACY_SCHEMA_VERSION) === '1' ? 1 : 0
+  }
+
+  // brings the store up to the latest version. a store written by a newer
+  // version of the plugin is refused, since its layout is unknown.
+  async migrate (): Promise<void> {
+    const version = await this.getVersion()
+    const latest = this.getLatestVersion()
+
+    if (version > latest) {
+      throw new Error('store was written by a newer version of this plugin.' +
+        ' version=' + version +
+        ' supported=' + latest)
+    }
+
+    for (const migration of this._migrations) {
+      if (migration.version <= version) continue
+
+      this._log.info('migrating store.' +
+        ' version=' + migration.version +
+        ' description=' + migration.description)
+      await migration.up(this._store)
+      this._store.set(SCHEMA_VERSION, String(migration.version))
+      await this._store.flush()
+    }
+  }
+}
@@ -0,0 +1,860 @@
+'use strict'
+
+import { EventEmitter } from 'events'
+import BigNumber from 'bignumber.js'
+import { RippleAPI } from 'ripple-lib'
+
+const binary = require('ripple-binary-codec')
+const hashes = require('ripple-hashes')
+const keypairs = require('ripple-keypairs')
+const { util } = require('ilp-plugin-xrp-paychan-shared')
+
+// ripple-lib only exposes its error classes on instances
+const { NotConnectedError, NotFoundError, RippledError, ValidationError } = new RippleAPI().errors
+
+const RIPPLE_EPOCH = 946684800
+const DROPS_PER_XRP = 1000000
+const DEFAULT_BASE_FEE = 10
+const DEFAULT_RESERVE_BASE = 20 * DROPS_PER_XRP
+const DEFAULT_RESERVE_INCREMENT = 5 * DROPS_PER_XRP
+const FEE_CUSHION = 1.2
+const MAX_LEDGER_VERSION_OFFSET = 3
+
+const PREFLIGHT_MESSAGES: { [result: string]: string } = {
+  temBAD_AMOUNT: 'Can only send positive amounts.',
+  temBAD_SIGNATURE: 'Invalid signature.',
+  temDST_IS_SRC: 'Destination may not be source.',
+  temMALFORMED: 'Malformed transaction.',
+  temREDUNDANT: 'Sends same currency to self.',
+  temUNKNOWN: 'The transaction requires logic that is not implemented yet.'
+}
+
+const TF_FULLY_CANONICAL_SIG = 0x80000000
+const TF_RENEW = 0x00010000
+const TF_CLOSE = 0x00020000
+
+export interface MockLedgerOpts {
+  // milliseconds between ledger closes. with 0, a ledger is closed as soon as
+  // a transaction has been submitted.
+  ledgerInterval?: number
+  // all amounts in drops
+  baseFee?: number
+  reserveBase?: number
+  reserveIncrement?: number
+}
+
+export interface MockAccount {
+  address: string
+  secret: string
+}
+
+type AccountRoot = {
+  balance: BigNumber
+  sequence: number
+  ownerCount: number
+  previousTxnId?: string
+  previousTxnLgrSeq?: number
+}
+
+type ChannelEntry = {
+  account: string
+  destination: string
+  amount: BigNumber
+  balance: BigNumber
+  publicKey: string
+  settleDelay: number
+  expiration?: number
+  cancelAfter?: number
+  sourceTag?: number
+  destinationTag?: number
+  previousTxnId: string
+  previousTxnLgrSeq: number
+}
+
+type PendingTransaction = {
+  hash: string
+  tx: any
+}
+
+type ValidatedTransaction = {
+  hash: string
+  tx: any
+  result: string
+  ledgerVersion: number
+  affected: Set<string>
+}
+
+function toRippleTime (ms: number): number {
+  return Math.floor(ms / 1000) - RIPPLE_EPOCH
+}
+
+function fromRippleTime (time?: number): string | undefined {
+  return time === undefined ? undefined : new Date((time + RIPPLE_EPOCH) * 1000).toISOString()
+}
+
+function removeUndefined<T extends object> (obj: T): T {
+  for (const key of Object.keys(obj)) {
+    if ((obj as any)[key] === undefined) delete (obj as any)[key]
+  }
+  return obj
+}
+
+// Stands in for ripple-lib's Connection. Transactions are only sent for
+// subscribed accounts, and ledger closes only while connected.
+export class MockConnection extends EventEmitter {
+  _url: string
+  private _ledger: MockLedger
+  private _connected: boolean
+  private _subscriptions: Set<string>
+
+  constructor (ledger: MockLedger) {
+    super()
+    this._url = 'mock://ledger'
+    this._ledger = ledger
+    this._connected = false
+    this._subscriptions = new Set()
+  }
+
+  isConnected (): boolean {
+    return this._connected
+  }
+
+  async connect () {
+    if (this._connected) return
+    this._connected = true
+    this._ledger._connect(this)
+    this.emit('connected')
+  }
+
+  async disconnect () {
+    if (!this._connected) return
+    this._connected = false
+    this._subscriptions.clear()
+    this._ledger._disconnect(this)
+    this.emit('disconnected', 1000)
+  }
+
+  async request (request: { command: string, accounts?: string[] }): Promise<object> {
+    if (!this._connected) {
+      throw new NotConnectedError()
+    }
+
+    switch (request.command) {
+      case 'subscribe':
+        for (const account of request.accounts || []) {
+          this._subscriptions.add(account)
+        }
+        return {}
+
+      case 'unsubscribe':
+        for (const account of request.accounts || []) {
+          this._subscriptions.delete(account)
+        }
+        return {}
+
+      default:
+        throw new RippledError('unknownCmd')
+    }
+  }
+
+  async hasLedgerVersion (ledgerVersion: number): Promise<boolean> {
+    return ledgerVersion <= this._ledger.getLedgerVersion()
+  }
+
+  _notifyTransaction (entry: ValidatedTransaction) {
+    if (!Array.from(entry.affected).some(a => this._subscriptions.has(a))) return
+
+    this.emit('transaction', {
+      type: 'transaction',
+      validated: true,
+      ledger_index: entry.ledgerVersion,
+      engine_result: entry.result,
+      transaction: Object.assign({}, entry.tx, { hash: entry.hash }),
+      meta: { TransactionResult: entry.result }
+    })
+  }
+
+  _notifyLedgerClosed () {
+    const info = this._ledger._getServerInfo()
+    this.emit('ledgerClosed', {
+      type: 'ledgerClosed',
+      ledger_index: info.validatedLedger.ledgerVersion,
+      ledger_time: this._ledger._getCloseTime(),
+      fee_base: this._ledger._getFee().toNumber(),
+      validated_ledgers: '1-' + info.validatedLedger.ledgerVersion
+    })
+  }
+}
+
+// The part of RippleAPI which the plugin and ilp-plugin-xrp-paychan-shared
+// use, backed by a MockLedger. Signing and claim verification are ripple-lib's.
+export class MockRippleAPI extends EventEmitter {
+  connection: MockConnection
+  errors: any
+  private _ledger: MockLedger
+  private _offlineApi: RippleAPI
+
+  constructor (ledger: MockLedger) {
+    super()
+    this._ledger = ledger
+    this._offlineApi = new RippleAPI()
+    this.errors = new RippleAPI().errors
+    this.connection = new MockConnection(ledger)
+    this.connection.on('connected', () => this.emit('connected'))
+    this.connection.on('disconnected', (code: number) => this.emit('disconnected', code))
+  }
+
+  isConnected (): boolean {
+    return this.connection.isConnected()
+  }
+
+  connect (): Promise<void> {
+    return this.connection.connect()
+  }
+
+  disconnect (): Promise<void> {
+    return this.connection.disconnect()
+  }
+
+  async getServerInfo () {
+    this._assertConnected()
+    return this._ledger._getServerInfo()
+  }
+
+  async getFee (): Promise<string> {
+    this._assertConnected()
+    return this._ledger._getFee().times(FEE_CUSHION).integerValue(BigNumber.ROUND_CEIL)
+      .dividedBy(DROPS_PER_XRP).toString()
+  }
+
+  async getLedgerVersion (): Promise<number> {
+    this._assertConnected()
+    return this._ledger.getLedgerVersion()
+  }
+
+  async getAccountInfo (address: string) {
+    this._assertConnected()
+    const account = this._ledger._getAccountRoot(address)
+    return removeUndefined({
+      sequence: account.sequence,
+      xrpBalance: account.balance.dividedBy(DROPS_PER_XRP).toString(),
+      ownerCount: account.ownerCount,
+      previousAffectingTransactionID: account.previousTxnId,
+      previousAffectingTransactionLedgerVersion: account.previousTxnLgrSeq
+    })
+  }
+
+  async getPaymentChannel (id: string) {
+    this._assertConnected()
+    const channel = this._ledger._getChannel(id)
+    return removeUndefined({
+      account: channel.account,
+      amount: channel.amount.dividedBy(DROPS_PER_XRP).toString(),
+      balance: channel.balance.dividedBy(DROPS_PER_XRP).toString(),
+      destination: channel.destination,
+      publicKey: channel.publicKey,
+      settleDelay: channel.settleDelay,
+      expiration: fromRippleTime(channel.expiration),
+      cancelAfter: fromRippleTime(channel.cancelAfter),
+      sourceTag: channel.sourceTag,
+      destinationTag: channel.destinationTag,
+      previousAffectingTransactionID: channel.previousTxnId,
+      previousAffectingTransactionLedgerVersion: channel.previousTxnLgrSeq
+    })
+  }
+
+  async getTransaction (id: string) {
+    this._assertConnected()
+    const { tx, result, ledgerVersion } = this._ledger._getTransaction(id)
+    return {
+      id,
+      type: tx.TransactionType,
+      address: tx.Account,
+      sequence: tx.Sequence,
+      outcome: {
+        result,
+        ledgerVersion,
+        fee: new BigNumber(tx.Fee).dividedBy(DROPS_PER_XRP).toString()
+      }
+    }
+  }
+
+  async preparePayment (address: string, payment: any, instructions?: any) {
+    const amount = payment.destination.amount || payment.destination.minAmount
+    if (amount.currency !== 'XRP') {
+      throw new ValidationError('only XRP payments are supported')
+    }
+
+    return this._prepare(address, {
+      TransactionType: 'Payment',
+      Destination: payment.destination.address,
+      Amount: xrpToDrops(amount.value),
+      SourceTag: payment.source.tag,
+      DestinationTag: payment.destination.tag
+    }, instructions)
+  }
+
+  async preparePaymentChannelCreate (address: string, create: any, instructions?: any) {
+    return this._prepare(address, {
+      TransactionType: 'PaymentChannelCreate',
+      Amount: xrpToDrops(create.amount),
+      Destination: create.destination,
+      SettleDelay: create.settleDelay,
+      PublicKey: create.publicKey.toUpperCase(),
+      CancelAfter: create.cancelAfter && toRippleTime(Date.parse(create.cancelAfter)),
+      SourceTag: create.sourceTag,
+      DestinationTag: create.destinationTag
+    }, instructions)
+  }
+
+  async preparePaymentChannelFund (address: string, fund: any, instructions?: any) {
+    return this._prepare(address, {
+      TransactionType: 'PaymentChannelFund',
+      Channel: fund.channel,
+      Amount: xrpToDrops(fund.amount),
+      Expiration: fund.expiration && toRippleTime(Date.parse(fund.expiration))
+    }, instructions)
+  }
+
+  async preparePaymentChannelClaim (address: string, claim: any, instructions?: any) {
+    // added up, as bitwise operators would make the flags negative
+    const flags = TF_FULLY_CANONICAL_SIG +
+      (claim.renew ? TF_RENEW : 0) +
+      (claim.close ? TF_CLOSE : 0)
+
+    return this._prepare(address, {
+      TransactionType: 'PaymentChannelClaim',
+      Flags: flags,
+      Channel: claim.channel,
+      Balance: claim.balance && xrpToDrops(claim.balance),
+      Amount: claim.amount && xrpToDrops(claim.amount),
+      Signature: claim.signature && claim.signature.toUpperCase(),
+      PublicKey: claim.publicKey && claim.publicKey.toUpperCase()
+    }, instructions)
+  }
+
+  sign (txJSON: string, secret: string) {
+    return this._offlineApi.sign(txJSON, secret)
+  }
+
+  async submit (signedTransaction: string) {
+    this._assertConnected()
+    return this._ledger._submit(signedTransaction)
+  }
+
+  signPaymentChannelClaim (channel: string, amount: string, privateKey: string): string {
+    return this._offlineApi.signPaymentChannelClaim(channel, amount, privateKey)
+  }
+
+  verifyPaymentChannelClaim (channel: string, amount: string, signature: string, publicKey: string): boolean {
+    // ripple-lib's typings say string
+    return this._offlineApi.verifyPaymentChannelClaim(channel, amount, signature, publicKey) as any
+  }
+
+  private async _prepare (address: string, fields: object, instructions: any = {}) {
+    this._assertConnected()
+
+    const fee = instructions.fee
+      ? xrpToDrops(instructions.fee)
+      : this._ledger._getFee().times(FEE_CUSHION).integerValue(BigNumber.ROUND_CEIL).toString()
+    const sequence = instructions.sequence || this._ledger._getNextSequence(address)
+    const maxLedgerVersion = instructions.maxLedgerVersion ||
+      this._ledger.getLedgerVersion() + (instructions.maxLedgerVersionOffset || MAX_LEDGER_VERSION_OFFSET)
+
+    const tx = removeUndefined(Object.assign({
+      Flags: TF_FULLY_CANONICAL_SIG
+    }, fields, {
+      Account: address,
+      Fee: fee,
+      Sequence: sequence,
+      LastLedgerSequence: maxLedgerVersion
+    }))
+
+    return {
+      txJSON: JSON.stringify(tx),
+      instructions: {
+        fee: new BigNumber(fee).dividedBy(DROPS_PER_XRP).toString(),
+        sequence,
+        maxLedgerVersion
+      }
+    }
+  }
+
+  private _assertConnected () {
+    if (!this.isConnected()) {
+      throw new NotConnectedError()
+    }
+  }
+}
+
+// An XRP ledger held in memory, for development and integration tests without
+// a rippled. It keeps balances, owner reserves and payment channels, applies
+// PaymentChannelCreate/Fund/Claim and XRP payments with the ledger's rules
+// and checks transaction and claim signatures. Channels which are closing
+// expire after their settle delay, so a ChannelWatcher polling the ledger sees
+// them close. Connect to it through `createApi()`.
+export class MockLedger {
+  private _accounts: Map<string, AccountRoot>
+  private _channels: Map<string, ChannelEntry>
+  private _pending: PendingTransaction[]
+  private _transactions: Map<string, ValidatedTransaction>
+  private _connections: Set<MockConnection>
+  private _ledgerVersion: number
+  private _closeTime: number
+  private _ledgerInterval: number
+  private _ledgerIntervalId?: NodeJS.Timer
+  private _closeScheduled: boolean
+  private _baseFee: number
+  private _loadFactor: number
+  private _reserveBase: number
+  private _reserveIncrement: number
+  private _offlineApi: RippleAPI
+
+  constructor (opts: MockLedgerOpts = {}) {
+    this._accounts = new Map()
+    this._channels = new Map()
+    this._pending = []
+    this._transactions = new Map()
+    this._connections = new Set()
+    this._ledgerVersion = 1
+    this._closeTime = toRippleTime(Date.now())
+    this._ledgerInterval = opts.ledgerInterval || 0
+    this._closeScheduled = false
+    this._baseFee = opts.baseFee || DEFAULT_BASE_FEE
+    this._loadFactor = 1
+    this._reserveBase = opts.reserveBase || DEFAULT_RESERVE_BASE
+    this._reserveIncrement = opts.reserveIncrement || DEFAULT_RESERVE_INCREMENT
+    this._offlineApi = new RippleAPI()
+  }
+
+  createApi (): RippleAPI {
+    // only the subset of RippleAPI used by this plugin is implemented
+    return new MockRippleAPI(this) as any as RippleAPI
+  }
+
+  // creates and funds a new account, like the testnet faucet
+  createAccount (xrp: string): MockAccount {
+    const { address, secret } = this._offlineApi.generateAddress() as MockAccount
+    this.fund(address, xrp)
+    return { address, secret }
+  }
+
+  fund (address: string, xrp: string) {
+    const drops = new BigNumber(xrp).times(DROPS_PER_XRP)
+    const account = this._accounts.get(address)
+    if (account) {
+      account.balance = account.balance.plus(drops)
+    } else {
+      this._accounts.set(address, { balance: drops, sequence: 1, ownerCount: 0 })
+    }
+  }
+
+  getBalance (address: string): string {
+    const account = this._getAccountRoot(address)
+    return account.balance.dividedBy(DROPS_PER_XRP).toString()
+  }
+
+  getLedgerVersion (): number {
+    return this._ledgerVersion
+  }
+
+  // multiplies the fee required for transactions, as a busy server would
+  setLoadFactor (loadFactor: number) {
+    this._loadFactor = loadFactor
+  }
+
+  start () {
+    if (this._ledgerIntervalId || !this._ledgerInterval) return
+    this._ledgerIntervalId = global.setInterval(() => this.closeLedger(), this._ledgerInterval)
+  }
+
+  stop () {
+    if (this._ledgerIntervalId) {
+      clearInterval(this._ledgerIntervalId)
+      delete this._ledgerIntervalId
+    }
+  }
+
+  // validates a new ledger with all pending transactions which can be applied,
+  // then notifies the subscribed connections
+  closeLedger (): number {
+    this._ledgerVersion++
+    this._closeTime = Math.max(toRippleTime(Date.now()), this._closeTime + 1)
+
+    const validated: ValidatedTransaction[] = []
+    const pending = this._pending
+    this._pending = []
+
+    for (const { hash, tx } of pending) {
+      const account = this._accounts.get(tx.Account)
+      if (tx.LastLedgerSequence < this._ledgerVersion || !account || tx.Sequence < account.sequence) {
+        continue
+      } else if (tx.Sequence > account.sequence) {
+        // waits for the transactions before it
+        this._pending.push({ hash, tx })
+        continue
+      }
+
+      const affected = new Set([ tx.Account ])
+      const result = account.balance.lt(tx.Fee) ? 'terINSUF_FEE_B' : this._apply(tx, hash, affected)
+
+      // only applied and claimed (tec) transactions make it into the ledger
+      if (!/^te[sc]/.test(result)) continue
+
+      account.balance = account.balance.minus(tx.Fee)
+      account.sequence++
+      account.previousTxnId = hash
+      account.previousTxnLgrSeq = this._ledgerVersion
+
+      const entry = { hash, tx, result, ledgerVersion: this._ledgerVersion, affected }
+      this._transactions.set(hash, entry)
+      validated.push(entry)
+    }
+
+    for (const connection of this._connections) {
+      for (const entry of validated) {
+        connection._notifyTransaction(entry)
+      }
+      connection._notifyLedgerClosed()
+    }
+
+    return this._ledgerVersion
+  }
+
+  _connect (connection: MockConnection) {
+    this._connections.add(connection)
+  }
+
+  _disconnect (connection: MockConnection) {
+    this._connections.delete(connection)
+  }
+
+  _getAccountRoot (address: string): AccountRoot {
+    const account = this._accounts.get(address)
+    if (!account) {
+      throw new RippledError('actNotFound')
+    }
+    return account
+  }
+
+  _getChannel (id: string): ChannelEntry {
+    const channel = this._channels.get(id)
+    if (!channel) {
+      throw new RippledError('entryNotFound')
+    }
+    return channel
+  }
+
+  _getTransaction (hash: string): ValidatedTransaction {
+    const entry = this._transactions.get(hash)
+    if (!entry) {
+      throw new NotFoundError('Transaction not found')
+    }
+    return entry
+  }
+
+  _getCloseTime (): number {
+    return this._closeTime
+  }
+
+  _getFee (): BigNumber {
+    return new BigNumber(this._baseFee).times(this._loadFactor).integerValue(BigNumber.ROUND_CEIL)
+  }
+
+  _getReserve (ownerCount: number): BigNumber {
+    return new BigNumber(this._reserveIncrement).times(ownerCount).plus(this._reserveBase)
+  }
+
+  _getServerInfo () {
+    return {
+      loadFactor: this._loadFactor,
+      validatedLedger: {
+        age: 0,
+        baseFeeXRP: new BigNumber(this._baseFee).dividedBy(DROPS_PER_XRP).toString(),
+        ledgerVersion: this._ledgerVersion,
+        reserveBaseXRP: new BigNumber(this._reserveBase).dividedBy(DROPS_PER_XRP).toString(),
+        reserveIncrementXRP: new BigNumber(this._reserveIncrement).dividedBy(DROPS_PER_XRP).toString()
+      }
+    }
+  }
+
+  // sequence of the next transaction, counting the ones which are pending
+  _getNextSequence (address: string): number {
+    const account = this._getAccountRoot(address)
+    const pending = this._pending.filter(p => p.tx.Account === address)
+    return account.sequence + pending.length
+  }
+
+  // checks a signed transaction the way rippled does before it is queued.
+  // transactions which fail here are never included in a ledger.
+  _submit (signedTransaction: string): { resultCode: string, resultMessage: string } {
+    let tx: any
+    try {
+      tx = binary.decode(signedTransaction)
+    } catch (e) {
+      return { resultCode: 'temMALFORMED', resultMessage: 'Malformed transaction.' }
+    }
+
+    const hash = hashes.computeBinaryTransactionHash(signedTransaction)
+
+    if (!tx.SigningPubKey || !tx.TxnSignature ||
+      !keypairs.verify(binary.encodeForSigning(tx), tx.TxnSignature, tx.SigningPubKey)) {
+      return { resultCode: 'temBAD_SIGNATURE', resultMessage: 'Invalid signature.' }
+    }
+
+    const preflight = this._preflight(tx)
+    if (preflight) {
+      return { resultCode: preflight, resultMessage: PREFLIGHT_MESSAGES[preflight] }
+    }
+
+    const account = this._accounts.get(tx.Account)
+    if (!account) {
+      return { resultCode: 'terNO_ACCOUNT', resultMessage: 'The source account does not exist.' }
+    }
+
+    if (keypairs.deriveAddress(tx.SigningPubKey) !== tx.Account) {
+      return { resultCode: 'tefBAD_AUTH', resultMessage: 'Transaction\'s public key is not authorized.' }
+    }
+
+    if (account.balance.lt(tx.Fee)) {
+      return { resultCode: 'terINSUF_FEE_B', resultMessage: 'Account balance can\'t pay fee.' }
+    }
+
+    if (tx.Sequence < account.sequence) {
+      return { resultCode: 'tefPAST_SEQ', resultMessage: 'This sequence number has already passed.' }
+    }
+
+    if (new BigNumber(tx.Fee).lt(this._getFee())) {
+      return { resultCode: 'telINSUF_FEE_P', resultMessage: 'Fee insufficient.' }
+    }
+
+    if (this._transactions.has(hash) || this._pending.find(p => p.hash === hash)) {
+      return { resultCode: 'tefALREADY', resultMessage: 'The exact transaction was already in this ledger.' }
+    }
+
+    this._pending.push({ hash, tx })
+    if (!this._ledgerInterval && !this._closeScheduled) {
+      this._closeScheduled = true
+      setImmediate(() => {
+        this._closeScheduled = false
+        this.closeLedger()
+      })
+    }
+
+    return { resultCode: 'tesSUCCESS', resultMessage: 'The transaction was applied. Only final in a validated ledger.' }
+  }
+
+  private _preflight (tx: any): string | void {
+    if (!tx.LastLedgerSequence || typeof tx.Sequence !== 'number' || !tx.Fee) {
+      return 'temMALFORMED'
+    }
+
+    switch (tx.TransactionType) {
+      case 'Payment':
+        if (typeof tx.Amount !== 'string' || new BigNumber(tx.Amount).lte(0)) return 'temBAD_AMOUNT'
+        if (tx.Destination === tx.Account) return 'temREDUNDANT'
+        return
+
+      case 'PaymentChannelCreate':
+        if (new BigNumber(tx.Amount).lte(0)) return 'temBAD_AMOUNT'
+        if (tx.Destination === tx.Account) return 'temDST_IS_SRC'
+        return
+
+      case 'PaymentChannelFund':
+        if (new BigNumber(tx.Amount).lte(0)) return 'temBAD_AMOUNT'
+        return
+
+      case 'PaymentChannelClaim':
+        if ((tx.Flags & TF_CLOSE) && (tx.Flags & TF_RENEW)) return 'temMALFORMED'
+        if (tx.Signature) {
+          if (!tx.PublicKey || !tx.Balance) return 'temMALFORMED'
+          const authorized = tx.Amount || tx.Balance
+          if (new BigNumber(tx.Balance).gt(authorized)) return 'temBAD_AMOUNT'
+
+          const valid = this._offlineApi.verifyPaymentChannelClaim(tx.Channel,
+            new BigNumber(authorized).dividedBy(DROPS_PER_XRP).toString(),
+            tx.Signature, tx.PublicKey)
+          if (!valid) return 'temBAD_SIGNATURE'
+        }
+        return
+
+      default:
+        return 'temUNKNOWN'
+    }
+  }
+
+  // applies a transaction to the ledger. the fee and the sequence are taken
+  // care of by the caller. results other than tes and tec must not change
+  // anything, as they are not included in the ledger.
+  private _apply (tx: any, hash: string, affected: Set<string>): string {
+    const account = this._getAccountRoot(tx.Account)
+    const spendable = account.balance.minus(tx.Fee)
+
+    switch (tx.TransactionType) {
+      case 'Payment': {
+        const amount = new BigNumber(tx.Amount)
+        if (spendable.minus(amount).lt(this._getReserve(account.ownerCount))) {
+          return 'tecUNFUNDED_PAYMENT'
+        }
+
+        const destination = this._accounts.get(tx.Destination)
+        if (!destination && amount.lt(this._reserveBase)) {
+          return 'tecNO_DST_INSUF_XRP'
+        }
+
+        account.balance = account.balance.minus(amount)
+        this._credit(tx.Destination, amount, hash)
+        affected.add(tx.Destination)
+        return 'tesSUCCESS'
+      }
+
+      case 'PaymentChannelCreate': {
+        const amount = new BigNumber(tx.Amount)
+        if (!this._accounts.has(tx.Destination)) {
+          return 'tecNO_DST'
+        }
+
+        if (spendable.lt(this._getReserve(account.ownerCount + 1))) {
+          return 'tecINSUFFICIENT_RESERVE'
+        }
+
+        if (spendable.minus(amount).lt(this._getReserve(account.ownerCount + 1))) {
+          return 'tecUNFUNDED'
+        }
+
+        const id = util.computeChannelId(tx.Account, tx.Destination, tx.Sequence)
+        account.balance = account.balance.minus(amount)
+        account.ownerCount++
+        this._channels.set(id, {
+          account: tx.Account,
+          destination: tx.Destination,
+          amount,
+          balance: new BigNumber(0),
+          publicKey: tx.PublicKey,
+          settleDelay: tx.SettleDelay,
+          cancelAfter: tx.CancelAfter,
+          sourceTag: tx.SourceTag,
+          destinationTag: tx.DestinationTag,
+          previousTxnId: hash,
+          previousTxnLgrSeq: this._ledgerVersion
+        })
+        affected.add(tx.Destination)
+        return 'tesSUCCESS'
+      }
+
+      case 'PaymentChannelFund': {
+        const channel = this._channels.get(tx.Channel)
+        if (!channel) return 'tecNO_ENTRY'
+        affected.add(channel.destination)
+
+        if (channel.account !== tx.Account) return 'tecNO_PERMISSION'
+        if (this._isExpired(channel)) {
+          this._closeChannel(tx.Channel)
+          return 'tesSUCCESS'
+        }
+
+        const amount = new BigNumber(tx.Amount)
+        if (spendable.minus(amount).lt(this._getReserve(account.ownerCount))) {
+          return 'tecUNFUNDED'
+        }
+
+        if (tx.Expiration !== undefined) {
+          if (tx.Expiration < this._closeTime + channel.settleDelay) return 'temBAD_EXPIRATION'
+          channel.expiration = tx.Expiration
+        }
+
+        account.balance = account.balance.minus(amount)
+        channel.amount = channel.amount.plus(amount)
+        this._touchChannel(channel, hash)
+        return 'tesSUCCESS'
+      }
+
+      case 'PaymentChannelClaim': {
+        const channel = this._channels.get(tx.Channel)
+        if (!channel) return 'tecNO_ENTRY'
+        affected.add(channel.account)
+        affected.add(channel.destination)
+
+        if (tx.Account !== channel.account && tx.Account !== channel.destination) {
+          return 'tecNO_PERMISSION'
+        }
+
+        if (this._isExpired(channel)) {
+          this._closeChannel(tx.Channel)
+          return 'tesSUCCESS'
+        }
+
+        if (tx.Balance) {
+          const balance = new BigNumber(tx.Balance)
+          if (tx.Account === channel.destination && !tx.Signature) return 'temBAD_SIGNATURE'
+          if (tx.Signature && tx.PublicKey !== channel.publicKey) return 'temBAD_SIGNER'
+          if (balance.gt(channel.amount)) return 'tecUNFUNDED_PAYMENT'
+          if (balance.lte(channel.balance)) return 'tecUNFUNDED_PAYMENT'
+
+          this._credit(channel.destination, balance.minus(channel.balance), hash)
+          channel.balance = balance
+          this._touchChannel(channel, hash)
+        }
+
+        if (tx.Flags & TF_RENEW) {
+          if (tx.Account !== channel.account) return 'tecNO_PERMISSION'
+          delete channel.expiration
+        }
+
+        if (tx.Flags & TF_CLOSE) {
+          if (tx.Account === channel.destination || channel.balance.eq(channel.amount)) {
+            this._closeChannel(tx.Channel)
+          } else {
+            const expiration = this._closeTime + channel.settleDelay
+            channel.expiration = channel.expiration === undefined
+              ? expiration
+              : Math.min(channel.expiration, expiration)
+            this._touchChannel(channel, hash)
+          }
+        }
+
+        return 'tesSUCCESS'
+      }
+
+      default:
+        return 'temUNKNOWN'
+    }
+  }
+
+  private _isExpired (channel: ChannelEntry): boolean {
+    return (channel.expiration !== undefined && this._closeTime >= channel.expiration) ||
+      (channel.cancelAfter !== undefined && this._closeTime >= channel.cancelAfter)
+  }
+
+  // returns the unclaimed amount to the channel's source
+  private _closeChannel (id: string) {
+    const channel = this._getChannel(id)
+    const source = this._getAccountRoot(channel.account)
+
+    source.balance = source.balance.plus(channel.amount.minus(channel.balance))
+    source.ownerCount--
+    this._channels.delete(id)
+  }
+
+  private _touchChannel (channel: ChannelEntry, hash: string) {
+    channel.previousTxnId = hash
+    channel.previousTxnLgrSeq = this._ledgerVersion
+  }
+
+  private _credit (address: string, amount: BigNumber, hash: string) {
+    const account = this._accounts.get(address)
+    if (account) {
+      account.balance = account.balance.plus(amount)
+    } else {
+      this._accounts.set(address, { balance: amount, sequence: 1, ownerCount: 0 })
+    }
+
+    const credited = this._accounts.get(address) as AccountRoot
+    credited.previousTxnId = hash
+    credited.previousTxnLgrSeq = this._ledgerVersion
+  }
+}
+
+function xrpToDrops (xrp: string): string {
+  return new BigNumber(xrp).times(DROPS_PER_XRP).integerValue(BigNumber.ROUND_DOWN).toString()
+}
@@ -0,0 +1,167 @@
+'use strict'
+
+import BigNumber from 'bignumber.js'
+
+export interface BucketState {
+  capacity: string
+  available: string
+}
+
+export interface RateLimits {
+  maxPacketsPerSecond?: BigNumber.Value
+  maxThroughput?: BigNumber.Value
+}
+
+export interface RateLimitState {
+  packets: BucketState | null
+  throughput: BucketState | null
+}
+
+export class TokenBucket {
+  private _capacity: BigNumber
+  private _refillInterval: number
+  private _tokens: BigNumber
+  private _lastRefill: number
+
+  // the bucket starts full and refills its whole capacity over refillInterval
+  constructor (capacity: BigNumber.Value, refillInterval: number) {
+    this._capacity = new BigNumber(capacity)
+    this._refillInterval = refillInterval
+    this._tokens = this._capacity
+    this._lastRefill = Date.now()
+  }
+
+  getCapacity (): BigNumber {
+    return this._capacity
+  }
+
+  take (amount: BigNumber.Value): boolean {
+    this._refill()
+    if (this._tokens.lt(amount)) return false
+
+    this._tokens = this._tokens.minus(amount)
+    return true
+  }
+
+  // gives back tokens which were taken for something that didn't happen
+  refund (amount: BigNumber.Value) {
+    this._refill()
+    this._tokens = BigNumber.min(this._capacity, this._tokens.plus(amount))
+  }
+
+  isFull (): boolean {
+    this._refill()
+    return this._tokens.gte(this._capacity)
+  }
+
+  getState (): BucketState {
+    this._refill()
+    return {
+      capacity: this._capacity.toString(),
+      available: this._tokens.integerValue(BigNumber.ROUND_FLOOR).toString()
+    }
+  }
+
+  private _refill () {
+    const now = Date.now()
+    const refilled = this._capacity
+      .times(now - this._lastRefill)
+      .div(this._refillInterval)
+
+    this._tokens = BigNumber.min(this._capacity, this._tokens.plus(refilled))
+    this._lastRefill = now
+  }
+}
+
+export default class RateLimiter {
+  private _throughputInterval: number
+  private _packetBuckets: Map<string, TokenBucket>
+  private _throughputBuckets: Map<string, TokenBucket>
+
+  constructor (throughputInterval: number) {
+    this._throughputInterval = throughputInterval
+    this._packetBuckets = new Map()
+    this._throughputBuckets = new Map()
+  }
+
+  takePacket (account: string, limits: RateLimits): boolean {
+    if (limits.maxPacketsPerSecond === undefined) return true
+    return this._getBucket(this._packetBuckets, account, limits.maxPacketsPerSecond, 1000)
+      .take(1)
+  }
+
+  takeThroughput (account: string, limits: RateLimits, amount: BigNumber.Value): boolean {
+    if (limits.maxThroughput === undefined) return true
+    return this._getBucket(this._throughputBuckets, account, limits.maxThroughput, this._throughputInterval)
+      .take(amount)
+  }
+
+  // the throughput of a packet which was rejected after it was taken
+  refundThroughput (account: string, limits: RateLimits, amount: BigNumber.Value) {
+    if (limits.maxThroughput === undefined) return
+    const bucket = this._throughputBuckets.get(account)
+    if (bucket && bucket.getCapacity().eq(limits.maxThroughput)) {
+      bucket.refund(amount)
+    }
+  }
+
+  getState (account: string, limits: RateLimits): RateLimitState {
+    return {
+      packets: this._getBucketState(this._packetBuckets, account, limits.maxPacketsPerSecond),
+      throughput: this._getBucketState(this._throughputBuckets, account, limits.maxThroughput)
+    }
+  }
+
+  remove (account: string) {
+    this._packetBuckets.delete(account)
+    this._throughputBuckets.delete(account)
+  }
+
+  // drops the buckets of accounts which aren't kept. a bucket is only dropped
+  // once it is full again, since a new one would start full.
+  prune (keep: (account: string) => boolean) {
+    for (const buckets of [ this._packetBuckets, this._throughputBuckets ]) {
+      for (const [ account, bucket ] of buckets) {
+        if (!keep(account) && bucket.isFull()) {
+          buckets.delete(account)
+        }
+      }
+    }
+  }
+
+  private _getBucket (
+    buckets: Map<string, TokenBucket>,
+    account: string,
+    capacity: BigNumber.Value,
+    refillInterval: number
+  ): TokenBucket {
+    let bucket = buckets.get(account)
+
+    // a changed limit starts over with a full bucket
+    if (!bucket || !bucket.getCapacity().eq(capacity)) {
+      bucket = new TokenBucket(capacity, refillInterval)
+      buckets.set(account, bucket)
+    }
+
+    return bucket
+  }
+
+  private _getBucketState (
+    buckets: Map<string, TokenBucket>,
+    account: string,
+    capacity?: BigNumber.Value
+  ): BucketState | null {
+    if (capacity === undefined) return null
+
+    const bucket = buckets.get(account)
+    if (bucket && bucket.getCapacity().eq(capacity)) {
+      return bucket.getState()
+    }
+
+    // no packets have been seen under this limit yet, so the bucket is full
+    return {
+      capacity: new BigNumber(capacity).toString(),
+      available: new BigNumber(capacity).toString()
+    }
+  }
+}
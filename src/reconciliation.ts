@@ -0,0 +1,35 @@
+export enum DiscrepancyType {
+  CHANNEL_NOT_FOUND = 'channel_not_found',
+  CLIENT_CHANNEL_NOT_FOUND = 'client_channel_not_found',
+  PAYCHAN_STALE = 'paychan_stale',
+  CLIENT_PAYCHAN_STALE = 'client_paychan_stale',
+  LAST_CLAIMED_BEHIND = 'last_claimed_behind',
+  LAST_CLAIMED_AHEAD = 'last_claimed_ahead',
+  CLAIM_EXCEEDS_CHANNEL = 'claim_exceeds_channel',
+  OUTGOING_BALANCE_BEHIND = 'outgoing_balance_behind',
+  OUTGOING_BALANCE_EXCEEDS_CHANNEL = 'outgoing_balance_exceeds_channel'
+}
+
+// Stored and ledger values are given in the plugin's base units, except for
+// stale paychans, where they are the JSON of the cached and the ledger entry.
+export interface Discrepancy {
+  account: string
+  type: DiscrepancyType
+  channel: string
+  stored: string | null
+  ledger: string | null
+  repaired: boolean
+}
+
+export interface ReconciliationError {
+  account: string
+  error: string
+}
+
+export interface ReconciliationReport {
+  timestamp: string
+  repair: boolean
+  accounts: number
+  discrepancies: Discrepancy[]
+  errors: ReconciliationError[]
+}
@@ -0,0 +1,191 @@
+'use strict'
+
+import { EventEmitter } from 'events'
+import { RippleAPI } from 'ripple-lib'
+
+const DEFAULT_HEALTH_CHECK_INTERVAL = 30 * 1000
+const HEALTH_CHECK_TIMEOUT = 10 * 1000
+const MAX_HEALTH_CHECK_FAILURES = 2
+
+export interface ServerFailoverParams {
+  api: RippleAPI
+  servers: string[]
+  healthCheckInterval?: number
+  log: any
+}
+
+export interface ServerStatus {
+  server: string
+  active: boolean
+  lastError: string | null
+}
+
+export interface ServerFailoverStatus {
+  active: string
+  lastSwitch: string | null
+  servers: ServerStatus[]
+}
+
+// Keeps the plugin's RippleAPI connected to one of several rippled servers.
+// The same RippleAPI instance is shared by accounts, the channel watcher and
+// the transaction submitter, so a switch points its connection at another
+// server instead of creating a new instance. Emits 'switch' with the old and
+// the new server once the new one is connected.
+export default class ServerFailover extends EventEmitter {
+  private _api: RippleAPI
+  private _servers: string[]
+  private _active: number
+  private _lastErrors: Map<string, string>
+  private _lastSwitch?: Date
+  private _failures: number
+  private _healthCheckInterval: number
+  private _healthCheckIntervalId?: NodeJS.Timer
+  private _switching?: Promise<void>
+  private _log: any
+
+  constructor (opts: ServerFailoverParams) {
+    super()
+
+    if (!opts.servers.length) {
+      throw new Error('at least one xrp server must be specified')
+    }
+
+    this._api = opts.api
+    this._servers = opts.servers
+    this._active = 0
+    this._lastErrors = new Map()
+    this._failures = 0
+    this._healthCheckInterval = opts.healthCheckInterval || DEFAULT_HEALTH_CHECK_INTERVAL
+    this._log = opts.log
+  }
+
+  getActiveServer (): string {
+    return this._servers[this._active]
+  }
+
+  // tries every server in turn until one of them connects
+  async connect (): Promise<void> {
+    for (let i = 0; i < this._servers.length; i++) {
+      try {
+        await this._api.connect()
+        return
+      } catch (e) {
+        this._recordError(e)
+        if (i === this._servers.length - 1) throw e
+        await this._useServer((this._active + 1) % this._servers.length)
+      }
+    }
+  }
+
+  start () {
+    if (this._healthCheckIntervalId || this._servers.length < 2) return
+
+    this._healthCheckIntervalId = global.setInterval(() => {
+      this.check().catch((e: Error) => {
+        this._log.error('xrp server health check failed. error=' + e.stack)
+      })
+    }, this._healthCheckInterval)
+  }
+
+  stop () {
+    if (this._healthCheckIntervalId) {
+      clearInterval(this._healthCheckIntervalId)
+      delete this._healthCheckIntervalId
+    }
+  }
+
+  async check (): Promise<void> {
+    if (this._switching) return
+
+    let timeout: NodeJS.Timer | undefined
+    try {
+      await Promise.race([
+        this._api.getServerInfo(),
+        new Promise((resolve, reject) => {
+          timeout = setTimeout(() => {
+            reject(new Error('timed out waiting for server info'))
+          }, HEALTH_CHECK_TIMEOUT)
+        })
+      ])
+      this._failures = 0
+    } catch (e) {
+      this._failures++
+      this._recordError(e)
+      this._log.warn('xrp server failed health check.' +
+        ' server=' + this.getActiveServer() +
+        ' failures=' + this._failures +
+        ' error=' + e.message)
+
+      if (this._failures >= MAX_HEALTH_CHECK_FAILURES) {
+        try {
+          await this.switchServer()
+        } catch (err) {
+          this._log.error('failed to connect to next xrp server.' +
+            ' server=' + this.getActiveServer() +
+            ' error=' + err.message)
+        }
+      }
+    } finally {
+      if (timeout) clearTimeout(timeout)
+    }
+  }
+
+  // moves on to the next server. a server which fails to connect counts as
+  // a failed health check, so the one after it is tried next time.
+  async switchServer (): Promise<void> {
+    if (this._switching) return this._switching
+
+    const from = this.getActiveServer()
+    this._switching = (async () => {
+      await this._useServer((this._active + 1) % this._servers.length)
+      this._failures = 0
+
+      try {
+        await this._api.connect()
+      } catch (e) {
+        this._failures = MAX_HEALTH_CHECK_FAILURES - 1
+        this._recordError(e)
+        throw e
+      }
+
+      this._lastSwitch = new Date()
+      this._log.info('switched xrp server. from=' + from + ' to=' + this.getActiveServer())
+      this.emit('switch', from, this.getActiveServer())
+    })()
+
+    try {
+      await this._switching
+    } finally {
+      delete this._switching
+    }
+  }
+
+  getStatus (): ServerFailoverStatus {
+    return {
+      active: this.getActiveServer(),
+      lastSwitch: this._lastSwitch ? this._lastSwitch.toISOString() : null,
+      servers: this._servers.map((server, i) => ({
+        server,
+        active: i === this._active,
+        lastError: this._lastErrors.get(server) || null
+      }))
+    }
+  }
+
+  private async _useServer (index: number) {
+    // stops ripple-lib from reconnecting to the old server
+    await this._api.disconnect()
+    this._active = index
+
+    // ripple-lib has no way to change the server of a connection, so the
+    // private field it connects to is set instead. ripple-lib is pinned for
+    // this, and serverFailoverSpec checks the field against the real
+    // connection, so an upgrade which drops it fails the tests.
+    const connection = this._api.connection as any
+    connection._url = this.getActiveServer()
+  }
+
+  private _recordError (e: Error) {
+    this._lastErrors.set(this.getActiveServer(), e.message)
+  }
+}
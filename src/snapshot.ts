@@ -0,0 +1,44 @@
+import { AccountLimits } from './account'
+import { Claim } from './util'
+
+export const SNAPSHOT_VERSION = 1
+
+// The stored state of an account. Amounts are in the plugin's base units,
+// lastSettlement and lastClaimTime are in milliseconds since the epoch.
+export interface AccountSnapshot {
+  account: string
+  balance: string
+  incomingClaim: Claim | null
+  lastClaimedAmount: string
+  // missing from snapshots exported before it was added
+  lastClaimTime?: number | null
+  channel: string | null
+  clientChannel: string | null
+  clientChannelClosing: boolean
+  outgoingBalance: string
+  owedBalance: string
+  lastSettlement: number | null
+  blocked: boolean
+  blockReason: string | null
+  limits: AccountLimits
+}
+
+// channels maps each incoming channel to the account it was registered by
+export interface Snapshot {
+  version: number
+  timestamp: string
+  xrpAddress: string
+  currencyScale: number
+  accounts: AccountSnapshot[]
+  channels: { [channel: string]: string }
+}
+
+export interface SnapshotError {
+  account: string
+  error: string
+}
+
+export interface ImportReport {
+  accounts: number
+  channels: number
+}
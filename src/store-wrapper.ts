@@ -1,12 +1,22 @@
-import { Store } from './util'
+import { Store, StoreOperation } from './util'
+
+// write-ahead record of the batch being committed, for stores which can't
+// write several keys at once
+const BATCH_KEY = 'store_wrapper:batch'
 
 export default class StoreWrapper {
   private _store?: Store
   private _cache: Map<string, string | void | object>
   private _write: Promise<void>
+  private _batch?: StoreOperation[]
+  private _recovered?: Promise<void>
+  private _prefix: string
 
-  constructor (store: Store) {
+  // the prefix is added to every key written to the store, so that several
+  // plugins can share it. keys in the cache don't have it.
+  constructor (store: Store, prefix = '') {
     this._store = store
+    this._prefix = prefix
     this._cache = new Map()
     this._write = Promise.resolve()
   }
@@ -17,7 +27,8 @@ export default class StoreWrapper {
   private async _load (key: string, parse: boolean) {
     if (!this._store) return
     if (this._cache.has(key)) return
-    const value = await this._store.get(key)
+    await this._recover()
+    const value = await this._store.get(this._prefix + key)
 
     // once the call to the store returns, double-check that the cache is still empty.
     if (!this._cache.has(key)) {
@@ -45,26 +56,108 @@ export default class StoreWrapper {
 
   set (key: string, value: string | object) {
     this._cache.set(key, value)
-    const valueStr = typeof value === 'object' ? JSON.stringify(value) : value
-    this._write = this._write.then(() => {
-      if (this._store) {
-        return this._store.put(key, valueStr)
-      }
-    })
+    this._put(key, typeof value === 'object' ? JSON.stringify(value) : value)
   }
 
   delete (key: string) {
     this._cache.delete(key)
-    this._write = this._write.then(() => {
-      if (this._store) {
-        return this._store.del(key)
+    this._queue({ type: 'del', key })
+  }
+
+  // writes a value without keeping it in the cache, for data which is
+  // rarely read back
+  write (key: string, value: string | object) {
+    this._cache.delete(key)
+    this._put(key, typeof value === 'object' ? JSON.stringify(value) : value)
+  }
+
+  // commits every set, delete and write which fn makes to the store at once.
+  // only the calls made before fn returns are part of the batch, so anything
+  // fn does after an await is written on its own. batches can be nested.
+  batch<T> (fn: () => T): T {
+    if (this._batch) return fn()
+
+    const operations: StoreOperation[] = []
+    this._batch = operations
+    try {
+      return fn()
+    } finally {
+      // whatever made it into the cache is committed, also if fn threw
+      delete this._batch
+      if (operations.length) {
+        this._enqueue(() => this._commit(operations))
       }
-    })
+    }
   }
 
+  flush (): Promise<void> { return this._write }
+
   setCache (key: string, value: string) {
     this._cache.set(key, value)
   }
 
   close (): Promise<void> { return this._write }
+
+  private _put (key: string, value: string) {
+    this._queue({ type: 'put', key, value })
+  }
+
+  private _queue (operation: StoreOperation) {
+    if (this._batch) {
+      this._batch.push(operation)
+    } else {
+      this._enqueue(() => this._apply([ operation ]))
+    }
+  }
+
+  private _enqueue (write: () => Promise<void>) {
+    this._write = this._write.then(async () => {
+      if (!this._store) return
+      await this._recover()
+      return write()
+    })
+  }
+
+  private async _commit (operations: StoreOperation[]) {
+    const store = this._store as Store
+    if (store.batch) {
+      return store.batch(operations.map(op => ({ ...op, key: this._prefix + op.key })))
+    }
+
+    await store.put(this._prefix + BATCH_KEY, JSON.stringify(operations))
+    await this._apply(operations)
+    await store.del(this._prefix + BATCH_KEY)
+  }
+
+  private async _apply (operations: StoreOperation[]) {
+    const store = this._store as Store
+    for (const operation of operations) {
+      const key = this._prefix + operation.key
+      if (operation.type === 'put') {
+        await store.put(key, operation.value)
+      } else {
+        await store.del(key)
+      }
+    }
+  }
+
+  // finishes a batch which was interrupted before it was fully written.
+  // runs once, before anything else is read or written.
+  private _recover (): Promise<void> {
+    if (!this._recovered) {
+      this._recovered = this._replayBatch()
+    }
+    return this._recovered
+  }
+
+  private async _replayBatch () {
+    const store = this._store as Store
+    if (store.batch) return
+
+    const record = await store.get(this._prefix + BATCH_KEY)
+    if (!record) return
+
+    await this._apply(JSON.parse(record))
+    await store.del(this._prefix + BATCH_KEY)
+  }
 }
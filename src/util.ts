@@ -31,8 +31,19 @@ export type Paychan = {
   previousAffectingTransactionLedgerVersion: number
 }
 
+export type StoreOperation = {
+  type: 'put',
+  key: string,
+  value: string
+} | {
+  type: 'del',
+  key: string
+}
+
 export type Store = {
   get: (key: string) => Promise<string | void>
   put: (key: string, value: string) => Promise<void>
   del: (key: string) => Promise<void>
+  // optional. must apply all operations or none of them.
+  batch?: (operations: StoreOperation[]) => Promise<void>
 }
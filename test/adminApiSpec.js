@@ -0,0 +1,276 @@
+'use strict' /* eslint-env mocha */
+
+const http = require('http')
+const chai = require('chai')
+const assert = chai.assert
+const sinon = require('sinon')
+const EventEmitter = require('events')
+
+const PluginXrpAsymServer = require('..')
+const Store = require('./util/memStore')
+const { ReadyState } = require('../src/account')
+
+const TOKEN = 'admin_token'
+
+function createPlugin (opts = {}) {
+  return new PluginXrpAsymServer(Object.assign({
+    prefix: 'test.example.',
+    port: 3033,
+    address: 'r9Ggkrw4VCfRzSqgrkJTeyfZvBvaG9z3hg',
+    secret: 'snRHsS3wLzbfeDNSVmtLKjE6sPMws',
+    xrpServer: 'wss://s.altnet.rippletest.net:51233',
+    claimInterval: 1000 * 30,
+    bandwidth: 1000000,
+    _store: new Store(null, 'test.example.'),
+    adminApi: {
+      port: 0,
+      token: TOKEN
+    },
+    debugHostIldcpInfo: {
+      clientAddress: 'test.example',
+      assetScale: 6,
+      assetCode: 'XRP'
+    }
+  }, opts))
+}
+
+function request (port, method, path, { token = TOKEN, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const headers = {}
+    if (token) headers.Authorization = 'Bearer ' + token
+
+    const req = http.request({ host: '127.0.0.1', port, method, path, headers }, res => {
+      const chunks = []
+      res.on('data', chunk => chunks.push(chunk))
+      res.on('end', () => {
+        resolve({
+          status: res.statusCode,
+          body: JSON.parse(Buffer.concat(chunks).toString())
+        })
+      })
+    })
+
+    req.on('error', reject)
+    req.end(body)
+  })
+}
+
+describe('adminApiSpec', () => {
+  beforeEach(async function () {
+    this.sinon = sinon.sandbox.create()
+    this.plugin = createPlugin()
+    this.plugin._api.connect = () => Promise.resolve()
+    this.plugin._api.connection = new EventEmitter()
+    this.plugin._api.connection.request = () => Promise.resolve()
+    this.plugin._api.disconnect = () => Promise.resolve()
+    this.plugin._api.getAccountInfo = () => Promise.resolve({
+      xrpBalance: '10000',
+      ownerCount: '200'
+    })
+    this.plugin._api.getServerInfo = () => Promise.resolve({
+      validatedLedger: {
+        reserveIncrementXRP: '4'
+      }
+    })
+
+    await this.plugin.connect()
+    this.port = this.plugin._adminApi.getPort()
+
+    this.from = 'test.example.35YywQ-3GYiO3MM4tvfaSGhty9NZELIBO3kmilL0Wak'
+    this.channelId = '45455C767516029F34E9A9CEDD8626E5D955964A041F6C9ACD11F9325D6164E0'
+    this.account = this.plugin._getAccount(this.from)
+    this.account._state = ReadyState.READY
+    this.plugin._store.setCache(this.account.getAccount() + ':channel', this.channelId)
+    this.plugin._store.setCache(this.account.getAccount() + ':client_channel', this.channelId)
+  })
+
+  afterEach(async function () {
+    this.sinon.restore()
+    await this.plugin.disconnect()
+  })
+
+  it('should reject requests without a bearer token', async function () {
+    const res = await request(this.port, 'GET', '/accounts', { token: null })
+    assert.equal(res.status, 401)
+    assert.equal(res.body.error, 'UnauthorizedError')
+  })
+
+  it('should reject requests with the wrong bearer token', async function () {
+    const res = await request(this.port, 'GET', '/accounts', { token: 'wrong' })
+    assert.equal(res.status, 401)
+  })
+
+  it('should return 404 for an unknown route', async function () {
+    const res = await request(this.port, 'GET', '/foo')
+    assert.equal(res.status, 404)
+  })
+
+  it('should get the hot wallet balance', async function () {
+    const res = await request(this.port, 'GET', '/balance')
+    assert.equal(res.status, 200)
+    assert.deepEqual(res.body, {
+      total: '10000',
+      reserved: '800',
+      available: '9200'
+    })
+  })
+
+  it('should list accounts', async function () {
+    const res = await request(this.port, 'GET', '/accounts')
+    assert.equal(res.status, 200)
+    assert.lengthOf(res.body, 1)
+    assert.equal(res.body[0].account, this.account.getAccount())
+  })
+
+  it('should get the details of an account', async function () {
+    this.account.setBalance('100')
+    this.account.setOwedBalance('5')
+
+    const res = await request(this.port, 'GET', '/accounts/' + this.account.getAccount())
+    assert.equal(res.status, 200)
+    assert.deepEqual(res.body, {
+      account: this.account.getAccount(),
+      state: 'READY',
+      balance: '100',
+      incomingClaim: null,
+      lastClaimedAmount: '0',
+      channel: this.channelId,
+      paychan: null,
+      clientChannel: this.channelId,
+      clientPaychan: null,
+      clientChannelClosing: false,
+      outgoingBalance: '0',
+      owedBalance: '5',
+      lastSettlement: null,
+      blocked: false,
+      blockReason: null,
+      limits: {
+        maxBalance: null,
+        maxPacketAmount: null,
+        minIncomingChannelAmount: null,
+        maxPacketsPerSecond: null,
+        maxThroughput: null,
+        maxOutgoingChannelAmount: null,
+        maxOwedBalance: null
+      },
+      rateLimit: {
+        packets: null,
+        throughput: null
+      }
+    })
+  })
+
+  it('should return 404 for an unknown account', async function () {
+    const res = await request(this.port, 'GET', '/accounts/nobody')
+    assert.equal(res.status, 404)
+    assert.equal(res.body.error, 'AccountNotFoundError')
+  })
+
+  it('should apply a command', async function () {
+    const res = await request(this.port, 'POST', '/accounts/' + this.account.getAccount() + '/block')
+    assert.equal(res.status, 200)
+    assert.isTrue(this.account.isBlocked())
+  })
+
+  it('should pass the request body to the command', async function () {
+    const stub = this.sinon.stub(this.plugin, 'sendAdminInfo').resolves({})
+    const res = await request(this.port, 'POST', '/accounts/' + this.account.getAccount() + '/settle', {
+      body: JSON.stringify({ amount: '10' })
+    })
+
+    assert.equal(res.status, 200)
+    assert.deepEqual(stub.firstCall.args, [{
+      account: this.account.getAccount(),
+      command: 'settle',
+      amount: '10'
+    }])
+  })
+
+  it('should page through an account\'s journal', async function () {
+    this.account.setBalance('10', { cause: 'admin' })
+    this.account.setBalance('20', { cause: 'admin' })
+
+    const res = await request(this.port, 'GET', '/accounts/' + this.account.getAccount() + '/journal?offset=1&limit=10')
+    assert.equal(res.status, 200)
+    assert.equal(res.body.total, 2)
+    assert.deepEqual(res.body.entries.map(e => e.newValue), [ '20' ])
+  })
+
+  it('should return 400 for an invalid journal page', async function () {
+    const res = await request(this.port, 'GET', '/accounts/' + this.account.getAccount() + '/journal?limit=foo')
+    assert.equal(res.status, 400)
+    assert.equal(res.body.error, 'InvalidCommandError')
+  })
+
+  it('should get the xrp server status', async function () {
+    const res = await request(this.port, 'GET', '/servers')
+    assert.equal(res.status, 200)
+    assert.deepEqual(res.body, {
+      active: 'wss://s.altnet.rippletest.net:51233',
+      lastSwitch: null,
+      servers: [{
+        server: 'wss://s.altnet.rippletest.net:51233',
+        active: true,
+        lastError: null
+      }]
+    })
+  })
+
+  it('should run a reconciliation', async function () {
+    const stub = this.sinon.stub(this.plugin, 'reconcile').resolves({ accounts: 0 })
+    const res = await request(this.port, 'POST', '/reconcile', {
+      body: JSON.stringify({ repair: true })
+    })
+
+    assert.equal(res.status, 200)
+    assert.deepEqual(res.body, { accounts: 0 })
+    assert.deepEqual(stub.firstCall.args, [ true ])
+  })
+
+  it('should export a snapshot of the given accounts', async function () {
+    const stub = this.sinon.stub(this.plugin, 'exportSnapshot').resolves({ version: 1 })
+    const res = await request(this.port, 'GET', '/snapshot?accounts=a,b')
+
+    assert.equal(res.status, 200)
+    assert.deepEqual(res.body, { version: 1 })
+    assert.deepEqual(stub.firstCall.args, [ [ 'a', 'b' ] ])
+  })
+
+  it('should import a snapshot', async function () {
+    const stub = this.sinon.stub(this.plugin, 'importSnapshot').resolves({ accounts: 0, channels: 0 })
+    const res = await request(this.port, 'POST', '/snapshot', {
+      body: JSON.stringify({ version: 1 })
+    })
+
+    assert.equal(res.status, 200)
+    assert.deepEqual(res.body, { accounts: 0, channels: 0 })
+    assert.deepEqual(stub.firstCall.args, [ { version: 1 } ])
+  })
+
+  it('should return 400 for an invalid snapshot', async function () {
+    const res = await request(this.port, 'POST', '/snapshot', {
+      body: JSON.stringify({ version: 2 })
+    })
+    assert.equal(res.status, 400)
+    assert.equal(res.body.message, 'unsupported snapshot version. version=2 supported=1')
+  })
+
+  it('should return 400 for an unknown command', async function () {
+    const res = await request(this.port, 'POST', '/accounts/' + this.account.getAccount() + '/foo')
+    assert.equal(res.status, 400)
+    assert.equal(res.body.error, 'InvalidCommandError')
+  })
+
+  it('should return 400 for an invalid request body', async function () {
+    const res = await request(this.port, 'POST', '/accounts/' + this.account.getAccount() + '/settle', {
+      body: '{'
+    })
+    assert.equal(res.status, 400)
+  })
+
+  it('should return 409 if the account is in the wrong state', async function () {
+    const res = await request(this.port, 'POST', '/accounts/' + this.account.getAccount() + '/unblock')
+    assert.equal(res.status, 409)
+    assert.equal(res.body.error, 'InvalidStateError')
+  })
+})
@@ -0,0 +1,176 @@
+'use strict' /* eslint-env mocha */
+
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+const assert = chai.assert
+const sinon = require('sinon')
+const debug = require('debug')
+
+const ClaimQueue = require('../src/claim-queue').default
+const StoreWrapper = require('../src/store-wrapper').default
+const Store = require('./util/memStore')
+
+function createLog () {
+  return {
+    info: debug('test:info'),
+    warn: debug('test:warn'),
+    error: debug('test:error')
+  }
+}
+
+describe('ClaimQueue', () => {
+  beforeEach(async function () {
+    this.clock = sinon.useFakeTimers({ now: 1000000, toFake: [ 'Date' ] })
+    this.store = new Store(null, 'test.example.')
+    this.submit = sinon.stub().resolves('result')
+    this.createQueue = (store = new StoreWrapper(this.store)) => new ClaimQueue({
+      store,
+      log: createLog(),
+      submit: this.submit,
+      getFee: () => Promise.resolve('0.000012'),
+      retryDelay: 1000,
+      maxRetryDelay: 3000,
+      maxFee: '0.00005'
+    })
+    this.queue = this.createQueue()
+    await this.queue.load()
+  })
+
+  afterEach(function () {
+    this.queue.stop()
+    this.clock.restore()
+  })
+
+  it('should submit a claim with the network fee', async function () {
+    assert.equal(await this.queue.add('alice'), 'result')
+    assert.equal(this.submit.firstCall.args[1], '0.000012')
+    assert.include(this.submit.firstCall.args[0], { account: 'alice', close: false, attempts: 0 })
+    assert.deepEqual(this.queue.getClaims(), [])
+  })
+
+  it('should keep a failed claim and retry it with backoff and a higher fee', async function () {
+    this.submit.onCall(0).rejects(new Error('tefPAST_SEQ'))
+    this.submit.onCall(1).rejects(new Error('telINSUF_FEE_P'))
+
+    await assert.isRejected(this.queue.add('alice'), /tefPAST_SEQ/)
+    assert.deepEqual(this.queue.getClaims(), [{
+      account: 'alice',
+      close: false,
+      attempts: 1,
+      retryAt: 1001000,
+      lastError: 'tefPAST_SEQ'
+    }])
+
+    await this.queue.process()
+    assert.equal(this.submit.callCount, 1)
+
+    this.clock.tick(1000)
+    await this.queue.process()
+    assert.equal(this.submit.secondCall.args[1], '0.000024')
+    assert.include(this.queue.getClaim('alice'), { attempts: 2, retryAt: 1003000 })
+
+    this.clock.tick(2000)
+    await this.queue.process()
+    assert.equal(this.submit.thirdCall.args[1], '0.000048')
+    assert.deepEqual(this.queue.getClaims(), [])
+  })
+
+  it('should not go above the maximum fee or retry delay', async function () {
+    this.submit.rejects(new Error('telINSUF_FEE_P'))
+    await assert.isRejected(this.queue.add('alice'))
+    for (let i = 0; i < 3; i++) {
+      this.clock.tick(3000)
+      await this.queue.process()
+    }
+
+    assert.equal(this.submit.lastCall.args[1], '0.00005')
+    assert.equal(this.queue.getClaim('alice').retryAt, Date.now() + 3000)
+  })
+
+  it('should not bring a claim forward unless it is immediate', async function () {
+    this.submit.onCall(0).rejects(new Error('tefPAST_SEQ'))
+    await assert.isRejected(this.queue.add('alice'))
+
+    const result = this.queue.add('alice')
+    await Promise.resolve()
+    assert.equal(this.submit.callCount, 1)
+
+    assert.equal(await this.queue.add('alice', { immediate: true }), 'result')
+    assert.equal(await result, 'result')
+    assert.equal(this.submit.callCount, 2)
+  })
+
+  it('should bring a claim which closes the channel forward', async function () {
+    this.submit.onCall(0).rejects(new Error('tefPAST_SEQ'))
+    await assert.isRejected(this.queue.add('alice'))
+
+    await this.queue.add('alice', { close: true })
+    assert.include(this.submit.secondCall.args[0], { close: true, attempts: 1 })
+  })
+
+  it('should attempt a claim again if it is queued while being submitted', async function () {
+    let validate
+    this.submit.onCall(0).returns(new Promise(resolve => { validate = resolve }))
+
+    const first = this.queue.add('alice')
+    const second = this.queue.add('alice', { close: true })
+    validate('first')
+
+    assert.equal(await first, 'first')
+    assert.equal(await second, 'result')
+    assert.include(this.submit.secondCall.args[0], { close: true })
+  })
+
+  it('should limit the claims submitted at once', async function () {
+    const validate = []
+    this.submit.callsFake(() => new Promise(resolve => validate.push(resolve)))
+    this.queue._maxConcurrentClaims = 2
+
+    const claims = [ 'alice', 'bob', 'carol' ].map(account => this.queue.add(account))
+    await this.queue.process()
+    await new Promise(resolve => setImmediate(resolve))
+    assert.equal(this.submit.callCount, 2)
+
+    validate.forEach(resolve => resolve('result'))
+    await Promise.all(claims.slice(0, 2))
+    const processed = this.queue.process()
+    await new Promise(resolve => setImmediate(resolve))
+    assert.equal(this.submit.callCount, 3)
+
+    validate[2]('result')
+    await processed
+    assert.equal(await claims[2], 'result')
+  })
+
+  it('should submit claims which close a channel first', async function () {
+    this.queue._maxConcurrentClaims = 1
+    let validate
+    this.submit.onCall(0).returns(new Promise(resolve => { validate = resolve }))
+
+    const first = this.queue.add('alice')
+    const claims = [ this.queue.add('bob'), this.queue.add('carol', { close: true }) ]
+    validate('result')
+    await first
+    await this.queue.process()
+    assert.include(this.submit.secondCall.args[0], { account: 'carol', close: true })
+
+    await this.queue.process()
+    await Promise.all(claims)
+    assert.include(this.submit.thirdCall.args[0], { account: 'bob' })
+  })
+
+  it('should resume the claims in the store', async function () {
+    this.submit.onCall(0).rejects(new Error('tefPAST_SEQ'))
+    await assert.isRejected(this.queue.add('alice'))
+    await this.queue._store.flush()
+
+    const queue = this.createQueue()
+    await queue.load()
+    this.clock.tick(1000)
+    await queue.process()
+
+    assert.equal(this.submit.callCount, 2)
+    assert.deepEqual(queue.getClaims(), [])
+  })
+})
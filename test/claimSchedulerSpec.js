@@ -0,0 +1,149 @@
+'use strict' /* eslint-env mocha */
+
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+const assert = chai.assert
+const sinon = require('sinon')
+const debug = require('debug')
+
+const ClaimScheduler = require('../src/claim-scheduler').default
+
+function createLog () {
+  return {
+    trace: debug('test:trace'),
+    info: debug('test:info'),
+    warn: debug('test:warn'),
+    error: debug('test:error')
+  }
+}
+
+function createAccount (name, amount, lastClaimed = '0') {
+  return {
+    getAccount: () => name,
+    getIncomingClaim: () => ({ amount }),
+    getLastClaimedAmount: () => lastClaimed
+  }
+}
+
+describe('ClaimScheduler', () => {
+  beforeEach(function () {
+    this.clock = sinon.useFakeTimers({ now: 1000000, toFake: [ 'Date' ] })
+    this.visited = []
+    this.autoClaim = sinon.spy(account => {
+      this.visited.push(account.getAccount())
+      return Promise.resolve()
+    })
+    this.getFee = sinon.stub().resolves('0.000012')
+    this.ledgerVersion = 100
+    this.scheduler = new ClaimScheduler({
+      log: createLog(),
+      interval: 60000,
+      autoClaim: this.autoClaim,
+      getFee: this.getFee,
+      getLedgerVersion: () => Promise.resolve(this.ledgerVersion)
+    })
+  })
+
+  afterEach(function () {
+    this.scheduler.stop()
+    this.clock.restore()
+  })
+
+  it('should visit an account once per interval', async function () {
+    this.scheduler.add(createAccount('alice', '100'))
+
+    await this.scheduler.process()
+    assert.deepEqual(this.visited, [])
+
+    this.clock.tick(60000)
+    await this.scheduler.process()
+    await this.scheduler.process()
+    assert.deepEqual(this.visited, [ 'alice' ])
+
+    this.clock.tick(60000)
+    await this.scheduler.process()
+    assert.deepEqual(this.visited, [ 'alice', 'alice' ])
+  })
+
+  it('should visit the accounts with the most unclaimed value first', async function () {
+    this.scheduler.add(createAccount('alice', '100', '90'))
+    this.scheduler.add(createAccount('bob', '100'))
+    this.scheduler.add(createAccount('carol', '300', '250'))
+
+    this.clock.tick(60000)
+    await this.scheduler.process()
+    assert.deepEqual(this.visited, [ 'bob', 'carol', 'alice' ])
+  })
+
+  it('should not visit an account which is still being visited', async function () {
+    let finish
+    this.autoClaim = sinon.stub().returns(new Promise(resolve => { finish = resolve }))
+    this.scheduler._autoClaim = this.autoClaim
+    this.scheduler.add(createAccount('alice', '100'))
+
+    this.clock.tick(60000)
+    const processed = this.scheduler.process()
+    this.clock.tick(60000)
+    await this.scheduler.process()
+    assert.equal(this.autoClaim.callCount, 1)
+
+    finish()
+    await processed
+    await this.scheduler.process()
+    assert.equal(this.autoClaim.callCount, 2)
+  })
+
+  it('should keep visiting other accounts when one fails', async function () {
+    this.scheduler._autoClaim = sinon.stub().rejects(new Error('fail'))
+    this.scheduler.add(createAccount('alice', '100'))
+
+    this.clock.tick(60000)
+    await this.scheduler.process()
+    assert.isTrue(this.scheduler.has(createAccount('alice')))
+  })
+
+  it('should not visit a removed account', async function () {
+    const alice = createAccount('alice', '100')
+    this.scheduler.add(alice)
+    this.scheduler.remove(alice)
+
+    this.clock.tick(60000)
+    await this.scheduler.process()
+    assert.deepEqual(this.visited, [])
+    assert.equal(this.scheduler.size(), 0)
+  })
+
+  it('should forget every account when stopped', function () {
+    this.scheduler.add(createAccount('alice', '100'))
+    this.scheduler.start()
+    this.scheduler.stop()
+    assert.equal(this.scheduler.size(), 0)
+    assert.isUndefined(this.scheduler._intervalId)
+  })
+
+  it('should fetch the fee once per ledger', async function () {
+    assert.equal(await this.scheduler.getFee(), '0.000012')
+    assert.equal(await this.scheduler.getFee(), '0.000012')
+    assert.equal(this.getFee.callCount, 1)
+
+    this.ledgerVersion = 101
+    this.getFee.resolves('0.000015')
+    assert.equal(await this.scheduler.getFee(), '0.000015')
+    assert.equal(this.getFee.callCount, 2)
+  })
+
+  it('should fetch the fee again after a failure', async function () {
+    this.getFee.onCall(0).rejects(new Error('disconnected'))
+    await assert.isRejected(this.scheduler.getFee(), /disconnected/)
+    assert.equal(await this.scheduler.getFee(), '0.000012')
+    assert.equal(this.getFee.callCount, 2)
+  })
+
+  it('should fetch the fee every time without a ledger version', async function () {
+    this.scheduler._getLedgerVersion = () => Promise.reject(new Error('not connected'))
+    await this.scheduler.getFee()
+    await this.scheduler.getFee()
+    assert.equal(this.getFee.callCount, 2)
+  })
+})
@@ -0,0 +1,171 @@
+'use strict' /* eslint-env mocha */
+
+const http = require('http')
+const crypto = require('crypto')
+const BtpPacket = require('btp-packet')
+const IlpPacket = require('ilp-packet')
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+const assert = chai.assert
+const sinon = require('sinon')
+const EventEmitter = require('events')
+
+const PluginXrpAsymServer = require('..')
+const Store = require('./util/memStore')
+const { ReadyState } = require('../src/account')
+
+function createPlugin (opts = {}) {
+  return new PluginXrpAsymServer(Object.assign({
+    prefix: 'test.example.',
+    port: 3033,
+    address: 'r9Ggkrw4VCfRzSqgrkJTeyfZvBvaG9z3hg',
+    secret: 'snRHsS3wLzbfeDNSVmtLKjE6sPMws',
+    xrpServer: 'wss://s.altnet.rippletest.net:51233',
+    claimInterval: 1000 * 30,
+    bandwidth: 1000000,
+    _store: new Store(null, 'test.example.'),
+    metrics: {
+      port: 0
+    },
+    debugHostIldcpInfo: {
+      clientAddress: 'test.example',
+      assetScale: 6,
+      assetCode: 'XRP'
+    }
+  }, opts))
+}
+
+function get (port, path) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path }, res => {
+      const chunks = []
+      res.on('data', chunk => chunks.push(chunk))
+      res.on('end', () => {
+        resolve({
+          status: res.statusCode,
+          contentType: res.headers['content-type'],
+          body: Buffer.concat(chunks).toString()
+        })
+      })
+    }).on('error', reject)
+  })
+}
+
+describe('metricsSpec', () => {
+  beforeEach(async function () {
+    this.sinon = sinon.sandbox.create()
+    this.plugin = createPlugin()
+    this.plugin._api.connect = () => Promise.resolve()
+    this.plugin._api.connection = new EventEmitter()
+    this.plugin._api.connection.request = () => Promise.resolve()
+    this.plugin._api.disconnect = () => Promise.resolve()
+    this.plugin._api.getAccountInfo = () => Promise.resolve({
+      xrpBalance: '10000',
+      ownerCount: '200'
+    })
+    this.plugin._api.getServerInfo = () => Promise.resolve({
+      validatedLedger: {
+        reserveIncrementXRP: '4'
+      }
+    })
+
+    await this.plugin.connect()
+    this.port = this.plugin._metricsExporter.getPort()
+
+    this.from = 'test.example.35YywQ-3GYiO3MM4tvfaSGhty9NZELIBO3kmilL0Wak'
+    this.channelId = '45455C767516029F34E9A9CEDD8626E5D955964A041F6C9ACD11F9325D6164E0'
+    this.account = this.plugin._getAccount(this.from)
+    this.account._state = ReadyState.READY
+    this.plugin._store.setCache(this.account.getAccount() + ':channel', this.channelId)
+    this.plugin._store.setCache(this.account.getAccount() + ':claim', {
+      amount: '12345',
+      signature: 'foo'
+    })
+    this.account._paychan = this.account._clientPaychan = {
+      account: 'rPbVxek7Bovu4pWyCfGCVtgGbhwL6D55ot',
+      amount: '1',
+      balance: '0',
+      destination: 'r9Ggkrw4VCfRzSqgrkJTeyfZvBvaG9z3hg',
+      publicKey: 'EDD69138B8AB9B0471A734927FABE2B20D2943215C8EEEC61DC11598C79424414D',
+      settleDelay: 3600,
+      sourceTag: 1280434065,
+      previousAffectingTransactionID: '51F331B863D078CF5EFEF1FBFF2D0F4C4D12FD160272EEB03F572C904B800057',
+      previousAffectingTransactionLedgerVersion: 6089142
+    }
+  })
+
+  afterEach(async function () {
+    this.sinon.restore()
+    await this.plugin.disconnect()
+  })
+
+  it('should report account balances', async function () {
+    this.account.setBalance('100')
+    this.account.setOutgoingBalance('200')
+    this.account.setOwedBalance('5')
+    this.account.setLastClaimedAmount('10')
+
+    const metrics = await this.plugin.getMetrics()
+    const labels = '{account="' + this.account.getAccount() + '"}'
+    assert.include(metrics, 'ilp_plugin_xrp_asym_server_balance' + labels + ' 100')
+    assert.include(metrics, 'ilp_plugin_xrp_asym_server_incoming_claim' + labels + ' 12345')
+    assert.include(metrics, 'ilp_plugin_xrp_asym_server_last_claimed' + labels + ' 10')
+    assert.include(metrics, 'ilp_plugin_xrp_asym_server_outgoing_balance' + labels + ' 200')
+    assert.include(metrics, 'ilp_plugin_xrp_asym_server_client_channel_capacity' + labels + ' 1000000')
+    assert.include(metrics, 'ilp_plugin_xrp_asym_server_owed_balance' + labels + ' 5')
+  })
+
+  it('should report the hot wallet balance', async function () {
+    const metrics = await this.plugin.getMetrics()
+    assert.include(metrics, 'ilp_plugin_xrp_asym_server_xrp_balance{type="available"} 9200')
+    assert.include(metrics, 'ilp_plugin_xrp_asym_server_xrp_balance{type="reserved"} 800')
+  })
+
+  it('should count claim submissions', async function () {
+    this.sinon.stub(this.plugin._api, 'getPaymentChannel').resolves(this.account._paychan)
+    this.sinon.stub(this.plugin._api, 'getFee').resolves('0.000012')
+    this.sinon.stub(this.plugin._txSubmitter, 'submit')
+      .onCall(0).resolves()
+      .onCall(1).rejects(new Error('tx failed'))
+
+    await this.plugin._channelClaim(this.account)
+    await assert.isRejected(this.plugin._channelClaim(this.account))
+
+    const metrics = await this.plugin.getMetrics()
+    assert.include(metrics, 'ilp_plugin_xrp_asym_server_claims_total{result="success"} 1')
+    assert.include(metrics, 'ilp_plugin_xrp_asym_server_claims_total{result="failure"} 1')
+    assert.include(metrics, 'ilp_plugin_xrp_asym_server_claim_duration_seconds_count{result="success"} 1')
+  })
+
+  it('should count rejected incoming prepares by code', async function () {
+    const prepare = { data: { protocolData: [ {
+      protocolName: 'ilp',
+      contentType: BtpPacket.MIME_APPLICATION_OCTET_STREAM,
+      data: IlpPacket.serializeIlpPrepare({
+        destination: this.from,
+        amount: '1234567',
+        executionCondition: crypto.randomBytes(32),
+        expiresAt: new Date(Date.now() + 10000),
+        data: Buffer.alloc(0)
+      })
+    } ] } }
+
+    await this.plugin._handleCustomData(this.from, prepare)
+
+    const metrics = await this.plugin.getMetrics()
+    assert.include(metrics, 'ilp_plugin_xrp_asym_server_incoming_rejects_total{code="T04"} 1')
+  })
+
+  it('should serve metrics over http', async function () {
+    const res = await get(this.port, '/metrics')
+    assert.equal(res.status, 200)
+    assert.match(res.contentType, /^text\/plain/)
+    assert.include(res.body, 'ilp_plugin_xrp_asym_server_balance')
+  })
+
+  it('should return 404 for other paths', async function () {
+    const res = await get(this.port, '/foo')
+    assert.equal(res.status, 404)
+  })
+})
@@ -0,0 +1,146 @@
+'use strict' /* eslint-env mocha */
+
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+const assert = chai.assert
+const sinon = require('sinon')
+const debug = require('debug')
+
+const Migrator = require('../src/migrations').default
+const { MIGRATIONS } = require('../src/migrations')
+const StoreWrapper = require('../src/store-wrapper').default
+const Store = require('./util/memStore')
+
+function createLog () {
+  return {
+    info: debug('test:info'),
+    warn: debug('test:warn'),
+    error: debug('test:error')
+  }
+}
+
+describe('Migrator', () => {
+  beforeEach(function () {
+    this.store = new Store(null, 'test.example.')
+    this.wrapper = new StoreWrapper(this.store)
+    this.migrations = [{
+      version: 2,
+      description: 'rename foo',
+      up: sinon.spy(async (store) => {
+        await store.load('foo')
+        store.batch(() => {
+          store.set('bar', store.get('foo'))
+          store.delete('foo')
+        })
+      })
+    }, {
+      version: 1,
+      description: 'baseline',
+      up: sinon.spy(async () => {})
+    }]
+    this.migrator = new Migrator({
+      store: this.wrapper,
+      log: createLog(),
+      migrations: this.migrations
+    })
+  })
+
+  it('should run pending migrations in order', async function () {
+    this.store.store = { foo: 'baz' }
+    await this.migrator.migrate()
+
+    assert.isTrue(this.migrations[1].up.calledBefore(this.migrations[0].up))
+    assert.deepEqual(this.store.store, { bar: 'baz', 'plugin:schema_version': '2' })
+    assert.equal(await this.migrator.getVersion(), 2)
+  })
+
+  it('should skip migrations which were already applied', async function () {
+    this.store.store = { foo: 'baz', 'plugin:schema_version': '1' }
+    await this.migrator.migrate()
+
+    assert.isFalse(this.migrations[1].up.called)
+    assert.isTrue(this.migrations[0].up.calledOnce)
+    assert.equal(this.store.store['plugin:schema_version'], '2')
+  })
+
+  it('should do nothing if the store is up to date', async function () {
+    this.store.store = { foo: 'baz', 'plugin:schema_version': '2' }
+    await this.migrator.migrate()
+
+    assert.isFalse(this.migrations[0].up.called)
+    assert.deepEqual(this.store.store, { foo: 'baz', 'plugin:schema_version': '2' })
+  })
+
+  it('should refuse a store from a newer version', async function () {
+    this.store.store = { 'plugin:schema_version': '3' }
+    await assert.isRejected(this.migrator.migrate(),
+      /store was written by a newer version of this plugin. version=3 supported=2/)
+    assert.isFalse(this.migrations[1].up.called)
+  })
+
+  it('should read version 1 from the old key', async function () {
+    this.store.store = { schema_version: '1' }
+    await this.migrator.migrate()
+
+    assert.isFalse(this.migrations[1].up.called)
+    assert.isTrue(this.migrations[0].up.calledOnce)
+    assert.equal(this.store.store['plugin:schema_version'], '2')
+    assert.equal(this.store.store.schema_version, '1')
+  })
+
+  it('should not take the balance of an account named schema_version for a version', async function () {
+    this.store.store = { schema_version: '1000' }
+    await this.migrator.migrate()
+
+    assert.isTrue(this.migrations[1].up.calledOnce)
+    assert.equal(this.store.store['plugin:schema_version'], '2')
+    assert.equal(this.store.store.schema_version, '1000')
+  })
+
+  it('should keep the version of the last migration which succeeded', async function () {
+    this.migrations[0].up = sinon.stub().rejects(new Error('oops'))
+    await assert.isRejected(this.migrator.migrate(), /oops/)
+    assert.equal(this.store.store['plugin:schema_version'], '1')
+  })
+
+  describe('version 2', () => {
+    beforeEach(function () {
+      this.migrator = new Migrator({ store: this.wrapper, log: createLog() })
+    })
+
+    it('should move the account index under plugin:', async function () {
+      this.store.store = { schema_version: '1', accounts: JSON.stringify([ 'alice', 'bob' ]) }
+      await this.migrator.migrate()
+
+      assert.isUndefined(this.store.store.accounts)
+      assert.deepEqual(JSON.parse(this.store.store['plugin:accounts']), [ 'alice', 'bob' ])
+    })
+
+    it('should move the claim queue under plugin:', async function () {
+      const queue = { alice: { account: 'alice', close: false, attempts: 1, retryAt: 0, lastError: null } }
+      this.store.store = { schema_version: '1', claim_queue: JSON.stringify(queue) }
+      await this.migrator.migrate()
+
+      assert.isUndefined(this.store.store.claim_queue)
+      assert.deepEqual(JSON.parse(this.store.store['plugin:claim_queue']), queue)
+    })
+
+    it('should leave the balance of an account named like a global key', async function () {
+      this.store.store = { schema_version: '1', accounts: '-300', claim_queue: '5' }
+      await this.migrator.migrate()
+
+      assert.equal(this.store.store.accounts, '-300')
+      assert.equal(this.store.store.claim_queue, '5')
+      assert.isUndefined(this.store.store['plugin:accounts'])
+      assert.isUndefined(this.store.store['plugin:claim_queue'])
+    })
+  })
+
+  it('should version a new store with the default migrations', async function () {
+    const migrator = new Migrator({ store: this.wrapper, log: createLog() })
+    await migrator.migrate()
+    assert.equal(this.store.store['plugin:schema_version'],
+      String(MIGRATIONS[MIGRATIONS.length - 1].version))
+  })
+})
@@ -0,0 +1,301 @@
+'use strict' /* eslint-env mocha */
+
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+const assert = chai.assert
+const sinon = require('sinon')
+const sodium = require('sodium-universal')
+
+const PluginXrpAsymServer = require('..')
+const Store = require('./util/memStore')
+const { ReadyState } = require('../src/account')
+const { MockLedger } = require('../src/mock-ledger')
+const { createClaimStrategy } = require('../src/claim-strategy')
+const {
+  util,
+  createSubmitter
+} = require('ilp-plugin-xrp-paychan-shared')
+
+function createKeyPair () {
+  const keyPair = {
+    publicKey: Buffer.alloc(sodium.crypto_sign_PUBLICKEYBYTES),
+    secretKey: Buffer.alloc(sodium.crypto_sign_SECRETKEYBYTES)
+  }
+  sodium.crypto_sign_keypair(keyPair.publicKey, keyPair.secretKey)
+  return keyPair
+}
+
+function sign (message, keyPair) {
+  const signature = Buffer.alloc(sodium.crypto_sign_BYTES)
+  sodium.crypto_sign_detached(signature, message, keyPair.secretKey)
+  return signature
+}
+
+function signClaim (channel, drops, keyPair) {
+  return sign(util.encodeClaim(drops, channel), keyPair).toString('hex').toUpperCase()
+}
+
+describe('MockLedger', () => {
+  beforeEach(async function () {
+    this.ledger = new MockLedger()
+    this.alice = this.ledger.createAccount('1000')
+    this.bob = this.ledger.createAccount('100')
+    this.keyPair = createKeyPair()
+    this.publicKey = 'ED' + this.keyPair.publicKey.toString('hex').toUpperCase()
+
+    // every address gets a single submitter, so the accounts must be new
+    this.submitter = createSubmitter(this.ledger.createApi(), this.alice.address, this.alice.secret)
+    this.bobSubmitter = createSubmitter(this.ledger.createApi(), this.bob.address, this.bob.secret)
+    await this.submitter._api.connect()
+    await this.submitter._api.connection.request({ command: 'subscribe', accounts: [ this.alice.address ] })
+    await this.bobSubmitter._api.connect()
+    await this.bobSubmitter._api.connection.request({ command: 'subscribe', accounts: [ this.bob.address ] })
+
+    this.api = this.submitter._api
+    this.createChannel = async (amount = '10') => {
+      const ev = await this.submitter.submit('preparePaymentChannelCreate', {
+        amount,
+        destination: this.bob.address,
+        settleDelay: 3600,
+        publicKey: this.publicKey
+      })
+      return util.computeChannelId(ev.transaction.Account, ev.transaction.Destination, ev.transaction.Sequence)
+    }
+  })
+
+  it('should create a payment channel', async function () {
+    const channel = await this.createChannel()
+    const paychan = await this.api.getPaymentChannel(channel)
+
+    assert.include(paychan, {
+      account: this.alice.address,
+      destination: this.bob.address,
+      amount: '10',
+      balance: '0',
+      publicKey: this.publicKey,
+      settleDelay: 3600
+    })
+    assert.equal(this.ledger.getBalance(this.alice.address), '989.999988')
+
+    const info = await this.api.getAccountInfo(this.alice.address)
+    assert.equal(info.ownerCount, 1)
+    assert.equal(info.sequence, 2)
+  })
+
+  it('should fail a channel which the account cannot fund', async function () {
+    await assert.isRejected(this.createChannel('980'), /tecUNFUNDED/)
+    assert.equal(this.ledger.getBalance(this.alice.address), '999.999988')
+  })
+
+  it('should report a missing channel like rippled', async function () {
+    const err = await this.api.getPaymentChannel('00'.repeat(32)).catch(e => e)
+    assert.equal(err.name, 'RippledError')
+    assert.equal(err.message, 'entryNotFound')
+  })
+
+  it('should not accept a transaction signed by another account', async function () {
+    const tx = await this.api.preparePaymentChannelCreate(this.alice.address, {
+      amount: '10',
+      destination: this.bob.address,
+      settleDelay: 3600,
+      publicKey: this.publicKey
+    })
+    const signed = this.api.sign(tx.txJSON, this.bob.secret)
+    const result = await this.api.submit(signed.signedTransaction)
+    assert.equal(result.resultCode, 'tefBAD_AUTH')
+  })
+
+  it('should pay out a signed claim', async function () {
+    const channel = await this.createChannel()
+    await this.bobSubmitter.submit('preparePaymentChannelClaim', {
+      channel,
+      balance: '2',
+      signature: signClaim(channel, '2000000', this.keyPair),
+      publicKey: this.publicKey
+    })
+
+    const paychan = await this.api.getPaymentChannel(channel)
+    assert.equal(paychan.balance, '2')
+    assert.equal(this.ledger.getBalance(this.bob.address), '101.999988')
+  })
+
+  it('should reject a claim with an invalid signature', async function () {
+    const channel = await this.createChannel()
+    await assert.isRejected(this.bobSubmitter.submit('preparePaymentChannelClaim', {
+      channel,
+      balance: '3',
+      signature: signClaim(channel, '2000000', this.keyPair),
+      publicKey: this.publicKey
+    }), /Invalid signature/)
+  })
+
+  it('should close a channel after its settle delay', async function () {
+    const clock = sinon.useFakeTimers({ now: Date.now(), toFake: [ 'Date' ] })
+    try {
+      const channel = await this.createChannel()
+      await this.submitter.submit('preparePaymentChannelClaim', { channel, close: true })
+
+      const paychan = await this.api.getPaymentChannel(channel)
+      assert.isString(paychan.expiration)
+      assert.equal(this.ledger.getBalance(this.alice.address), '989.999976')
+
+      clock.tick(3700 * 1000)
+      await this.submitter.submit('preparePaymentChannelClaim', { channel, close: true })
+
+      await assert.isRejected(this.api.getPaymentChannel(channel), /entryNotFound/)
+      assert.equal(this.ledger.getBalance(this.alice.address), '999.999964')
+    } finally {
+      clock.restore()
+    }
+  })
+
+  it('should require higher fees under load', async function () {
+    this.ledger.setLoadFactor(10)
+    assert.equal(await this.api.getFee(), '0.00012')
+  })
+
+  describe('with the plugin', () => {
+    beforeEach(async function () {
+      this.createPlugin = (store, port = 3033) => new PluginXrpAsymServer({
+        prefix: 'test.example.',
+        port,
+        address: this.bob.address,
+        secret: this.bob.secret,
+        api: this.bobSubmitter._api,
+        claimInterval: 1000 * 30,
+        bandwidth: 1000000,
+        _store: store,
+        debugHostIldcpInfo: {
+          clientAddress: 'test.example',
+          assetScale: 6,
+          assetCode: 'XRP'
+        }
+      })
+      this.plugin = this.createPlugin(new Store(null, 'test.example.'))
+      await this.plugin.connect()
+
+      this.from = 'test.example.35YywQ-3GYiO3MM4tvfaSGhty9NZELIBO3kmilL0Wak'
+      this.account = await this.plugin._getAccount(this.from)
+      await this.account.connect()
+
+      this.registerChannel = (channel) => this.plugin._handleCustomData(this.from, {
+        data: {
+          protocolData: [{
+            protocolName: 'channel',
+            contentType: 0,
+            data: Buffer.from(channel, 'hex')
+          }, {
+            protocolName: 'channel_signature',
+            contentType: 0,
+            data: sign(util.encodeChannelProof(channel, this.from), this.keyPair)
+          }]
+        }
+      })
+    })
+
+    afterEach(async function () {
+      await this.plugin.disconnect()
+    })
+
+    it('should register a channel and claim from it', async function () {
+      const channel = await this.createChannel()
+      await this.registerChannel(channel)
+      assert.equal(this.account.getState(), ReadyState.ESTABLISHING_CLIENT_CHANNEL)
+
+      this.plugin._handleClaim(this.account, {
+        amount: '5000000',
+        signature: signClaim(channel, '5000000', this.keyPair)
+      })
+      await this.plugin._channelClaim(this.account)
+
+      const paychan = await this.api.getPaymentChannel(channel)
+      assert.equal(paychan.balance, '5')
+      assert.equal(this.ledger.getBalance(this.bob.address), '104.999988')
+    })
+
+    it('should claim once the ledger shows the channel closing', async function () {
+      // the ledger's close time runs a little ahead of the clock
+      this.plugin._claimStrategy = createClaimStrategy({ type: 'expiration', margin: 3700 * 1000 })
+      const channel = await this.createChannel()
+      await this.registerChannel(channel)
+      this.plugin._handleClaim(this.account, {
+        amount: '5000000',
+        signature: signClaim(channel, '5000000', this.keyPair)
+      })
+      assert.isFalse(await this.plugin._shouldClaim(this.account))
+
+      // the client starts closing its channel, which gives it an expiration
+      // one settle delay from now
+      await this.submitter.submit('preparePaymentChannelClaim', { channel, close: true })
+      assert.isTrue(await this.plugin._shouldClaim(this.account))
+
+      const submitted = new Promise(resolve => this.plugin.once('claim.submitted', resolve))
+      await this.plugin._autoClaim(this.account)
+      assert.include(await submitted, { channel, amount: '5000000', close: false })
+    })
+
+    it('should claim from a closing channel after a restart', async function () {
+      const channel = await this.createChannel()
+      await this.registerChannel(channel)
+      this.plugin._handleClaim(this.account, {
+        amount: '5000000',
+        signature: signClaim(channel, '5000000', this.keyPair)
+      })
+      await this.plugin._store.flush()
+
+      // the client closes its channel before the new process starts. the old
+      // one stays connected, because disconnecting would also detach the
+      // shared submitter from the api.
+      await this.submitter.submit('preparePaymentChannelClaim', { channel, close: true })
+
+      const oldPlugin = this.plugin
+      const plugin = this.plugin = this.createPlugin(oldPlugin._store._store, 3034)
+      const submitted = new Promise(resolve => plugin.once('claim.submitted', resolve))
+      await plugin.connect()
+
+      try {
+        assert.include(await submitted, { channel, amount: '5000000', close: true })
+        assert.equal(this.ledger.getBalance(this.bob.address), '104.999988')
+      } finally {
+        await oldPlugin.disconnect()
+      }
+    })
+
+    it('should move an account to another store with a snapshot', async function () {
+      const channel = await this.createChannel()
+      await this.registerChannel(channel)
+      this.plugin._handleClaim(this.account, {
+        amount: '3000000',
+        signature: signClaim(channel, '3000000', this.keyPair)
+      })
+      this.account.setBalance('-3000000')
+
+      const snapshot = JSON.parse(JSON.stringify(await this.plugin.exportSnapshot()))
+      assert.deepEqual(snapshot.channels, { [channel]: this.account.getAccount() })
+
+      await this.plugin.disconnect()
+      const store = new Store(null, 'test.example.')
+      const plugin = this.plugin = this.createPlugin(store)
+      await plugin.connect()
+      assert.deepEqual(await plugin.importSnapshot(snapshot), { accounts: 1, channels: 1 })
+
+      const account = plugin._getAccount(this.from)
+      await account.connect()
+      assert.equal(account.getChannel(), channel)
+      assert.equal(account.getBalance().toString(), '-3000000')
+      assert.equal(account.getIncomingClaim().amount, '3000000')
+      assert.equal(store.store['channel:' + channel], account.getAccount())
+      assert.deepEqual((await account.getJournal()).entries.map(e => [ e.field, e.newValue, e.cause ]), [
+        [ 'balance', '-3000000', 'import' ],
+        [ 'incoming_claim', '3000000', 'import' ]
+      ])
+
+      await assert.isRejected(plugin.importSnapshot(snapshot),
+        /account already exists in this store/)
+      assert.equal(account.getChannel(), channel)
+      assert.equal(account.getBalance().toString(), '-3000000')
+      assert.equal(account.getIncomingClaim().amount, '3000000')
+    })
+  })
+})
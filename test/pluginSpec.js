@@ -16,6 +16,8 @@ const EventEmitter = require('events')
 const PluginXrpAsymServer = require('..')
 const Store = require('./util/memStore')
 const { ReadyState } = require('../src/account')
+const { createFundingStrategy } = require('../src/funding-strategy')
+const { createClaimStrategy } = require('../src/claim-strategy')
 const {
   util
 } = require('ilp-plugin-xrp-paychan-shared')
@@ -44,6 +46,19 @@ describe('pluginSpec', () => {
       assert.throws(() => createPlugin({ currencyScale: 'oaimwdaiowdoamwdaoiw' }),
         /currency scale must be a number if specified/)
     })
+
+    it('should version the store on connect', function () {
+      assert.equal(this.plugin._store._store.store['plugin:schema_version'], '2')
+    })
+
+    it('should refuse to connect to a store from a newer version', async function () {
+      const plugin = createPlugin()
+      plugin._store._store.store['plugin:schema_version'] = '1000'
+      const connect = this.sinon.stub(plugin._serverFailover, 'connect').resolves()
+      await assert.isRejected(plugin.connect(), /Failed to connect/)
+      await assert.isRejected(plugin._migrator.migrate(), /store was written by a newer version of this plugin/)
+      assert.isFalse(connect.called)
+    })
   })
 
   beforeEach(async function () {
@@ -226,7 +241,58 @@ describe('pluginSpec', () => {
     it('should call channelClose when close event is emitted', async function () {
       const closeStub = this.sinon.stub(this.plugin, '_channelClose').resolves()
       await this.plugin._watcher.emitAsync('channelClose', this.channelId, this.paychan)
-      assert.deepEqual(closeStub.firstCall.args, [ this.channelId ])
+      assert.deepEqual(closeStub.firstCall.args, [ this.channelId, this.paychan ])
+    })
+
+    it('should notify the client before blocking the account', async function () {
+      this.sinon.stub(util, '_requestId').resolves(12345)
+      this.sinon.stub(this.plugin._txSubmitter, 'submit').resolves()
+      const callStub = this.sinon.stub(this.plugin, '_call').resolves(null)
+      const expiration = new Date(Date.now() + 3600 * 1000).toISOString()
+
+      await this.plugin._channelClose(this.channelId, Object.assign({}, this.paychan, { expiration }))
+
+      const notices = callStub.args.map(([ to, packet ]) => {
+        assert.equal(to, this.from)
+        assert.equal(packet.type, BtpPacket.TYPE_MESSAGE)
+        const [ { protocolName, data } ] = packet.data.protocolData
+        return [ protocolName, JSON.parse(data.toString()) ]
+      })
+      assert.deepEqual(notices, [
+        [ 'channel_closing', {
+          channel: this.channelId,
+          expiration,
+          amount: '1000',
+          amountDrops: '1000'
+        } ],
+        [ 'account_blocked', {
+          reason: 'channel is closing/closed. channelId=' + this.channelId,
+          channel: this.channelId
+        } ]
+      ])
+    })
+
+    it('should not fail to close the channel if the client is not connected', async function () {
+      const submitStub = this.sinon.stub(this.plugin._txSubmitter, 'submit').resolves()
+      await this.plugin._channelClose(this.channelId)
+      assert.isTrue(submitStub.called)
+      assert.isTrue(this.account.isBlocked())
+    })
+
+    it('should stop auto-claiming from a closed channel', async function () {
+      this.sinon.stub(this.plugin._txSubmitter, 'submit').resolves()
+      this.plugin._claimScheduler.add(this.account)
+
+      await this.plugin._channelClose(this.channelId)
+      assert.isFalse(this.plugin._claimScheduler.has(this.account))
+    })
+
+    it('should remove the account from the index once its channel is closing', async function () {
+      this.sinon.stub(this.plugin._txSubmitter, 'submit').resolves()
+      this.plugin._accountIndex.add(this.account.getAccount())
+
+      await this.plugin._channelClose(this.channelId)
+      assert.isFalse(this.plugin._accountIndex.has(this.account.getAccount()))
     })
 
     it('should submit the correct claim tx on channel close', async function () {
@@ -295,6 +361,12 @@ describe('pluginSpec', () => {
           'account=35YywQ-3GYiO3MM4tvfaSGhty9NZELIBO3kmilL0Wak associated=some_other_account')
       })
 
+      it('should add the account to the account index', async function () {
+        this.account._state = ReadyState.ESTABLISHING_CHANNEL
+        await this.plugin._handleCustomData(this.from, this.channelProtocol)
+        assert.deepEqual(this.plugin._accountIndex.getAccounts(), [ this.account.getAccount() ])
+      })
+
       it('don\'t throw if an account associates the same paychan again', async function () {
         const sendChannelProof = () => this.plugin._handleCustomData(this.from, this.channelProtocol)
         return assert.isFulfilled(Promise.all([sendChannelProof(), sendChannelProof()]))
@@ -302,6 +374,118 @@ describe('pluginSpec', () => {
     })
   })
 
+  describe('restore accounts', () => {
+    beforeEach(async function () {
+      this.channelId = '45455C767516029F34E9A9CEDD8626E5D955964A041F6C9ACD11F9325D6164E0'
+      this.store = new Store(null, 'test.example.')
+      this.store.store = {
+        'plugin:schema_version': '2',
+        'plugin:accounts': JSON.stringify([ 'with_channel', 'without_channel', 'blocked' ]),
+        'with_channel:channel': this.channelId,
+        'blocked:channel': this.channelId,
+        'blocked:block': 'true'
+      }
+
+      this.restored = createPlugin({ _store: this.store, api: this.plugin._api, port: 3034 })
+      this.watchSpy = this.sinon.spy(this.restored._watcher, 'watch')
+      await this.restored.connect()
+    })
+
+    afterEach(async function () {
+      await this.restored.disconnect()
+    })
+
+    it('should watch and claim from the channels of indexed accounts', function () {
+      const account = this.restored._accounts.get('with_channel')
+      assert.equal(account.getStateString(), 'ESTABLISHING_CLIENT_CHANNEL')
+      assert.strictEqual(this.restored._channelToAccount.get(this.channelId), account)
+      assert.deepEqual(this.watchSpy.args, [ [ this.channelId ] ])
+      assert.isTrue(this.restored._claimScheduler.has(account))
+    })
+
+    it('should skip accounts without a channel and blocked accounts', function () {
+      assert.equal(this.restored._accounts.get('without_channel').getStateString(), 'ESTABLISHING_CHANNEL')
+      assert.isFalse(this.restored._claimScheduler.has(this.restored._accounts.get('without_channel')))
+      assert.isTrue(this.restored._accounts.get('blocked').isBlocked())
+      assert.isFalse(this.restored._claimScheduler.has(this.restored._accounts.get('blocked')))
+    })
+
+    it('should remove an account from the index when its channel is deleted', async function () {
+      const account = this.restored._accounts.get('with_channel')
+      account.deleteChannel()
+      await this.restored._store.flush()
+
+      assert.deepEqual(JSON.parse(this.store.store['plugin:accounts']), [ 'without_channel', 'blocked' ])
+      assert.isFalse(this.restored._channelToAccount.has(this.channelId))
+      assert.isFalse(this.restored._claimScheduler.has(account))
+    })
+
+    it('should load the claim queue before restoring accounts', async function () {
+      const store = new Store(null, 'test.example.')
+      store.store = {
+        'plugin:schema_version': '2',
+        'plugin:claim_queue': JSON.stringify({ foo: {
+          account: 'foo',
+          close: false,
+          attempts: 3,
+          retryAt: Date.now() + 60000,
+          lastError: 'tefMAX_LEDGER'
+        } })
+      }
+      const plugin = createPlugin({ _store: store, api: this.plugin._api, port: 3035 })
+      let queued
+      this.sinon.stub(plugin, '_restoreAccounts').callsFake(async () => {
+        queued = plugin._claimQueue.getClaim('foo')
+      })
+
+      await plugin.connect()
+      await plugin.disconnect()
+      assert.equal(queued.attempts, 3)
+    })
+
+    it('should restore a limited number of accounts at a time', async function () {
+      const names = Array.from({ length: 25 }, (_, i) => 'account' + i)
+      this.restored._store.setCache('plugin:accounts', names)
+      let restoring = 0
+      let maxRestoring = 0
+      const restoreStub = this.sinon.stub(this.restored, '_restoreAccount').callsFake(async () => {
+        maxRestoring = Math.max(maxRestoring, ++restoring)
+        await new Promise(resolve => setImmediate(resolve))
+        restoring--
+      })
+
+      await this.restored._restoreAccounts()
+      assert.deepEqual(restoreStub.args.map(args => args[0]), names)
+      assert.equal(maxRestoring, 10)
+    })
+
+    it('should keep the index apart from the balance of an account named accounts', async function () {
+      const account = this.restored._getAccount('test.example.accounts')
+      await account.connect()
+      account.setBalance('100')
+      this.restored._accountIndex.add('accounts')
+      await this.restored._store.flush()
+
+      assert.equal(account.getBalance().toString(), '100')
+      assert.equal(this.store.store.accounts, '100')
+      assert.deepEqual(JSON.parse(this.store.store['plugin:accounts']),
+        [ 'with_channel', 'without_channel', 'blocked', 'accounts' ])
+    })
+
+    it('should refuse account names which are not ILP address segments', function () {
+      assert.throws(() => this.restored._getAccount('test.example.plugin:accounts'),
+        /account name must be a valid ILP address segment. account=plugin:accounts/)
+      assert.isFalse(this.restored._accounts.has('plugin:accounts'))
+    })
+
+    it('should remove an account from the index when it is reset', async function () {
+      const account = this.restored._accounts.get('without_channel')
+      await this.restored._resetAccount(account)
+      await this.restored._store.flush()
+      assert.deepEqual(JSON.parse(this.store.store['plugin:accounts']), [ 'with_channel', 'blocked' ])
+    })
+  })
+
   describe('connect account', () => {
     beforeEach(function () {
       this.from = 'test.example.35YywQ-3GYiO3MM4tvfaSGhty9NZELIBO3kmilL0Wak'
@@ -366,6 +550,19 @@ describe('pluginSpec', () => {
       assert.isNotOk(this.plugin._store.get(this.account + ':channel'))
       assert.isNotOk(this.plugin._store.get(this.account + ':last_claimed'))
     })
+
+    it('should settle the owed balance when the client reconnects', async function () {
+      const account = await this.plugin._getAccount(this.from)
+      account._state = ReadyState.READY
+      account._paychan = await this.plugin._api.getPaymentChannel(this.channelId)
+      this.plugin._store.setCache(this.account + ':channel', this.channelId)
+      this.plugin._store.setCache(this.account + ':client_channel', this.channelId)
+      account.setOwedBalance('100')
+      const stub = this.sinon.stub(this.plugin, '_settleOwedBalanceInBackground')
+
+      await this.plugin._connect(this.from, {})
+      assert.deepEqual(stub.firstCall.args, [ account, { cause: 'settlement' } ])
+    })
   })
 
   describe('get extra info', () => {
@@ -427,7 +624,7 @@ describe('pluginSpec', () => {
         publicKey: 'bar',
         close: false,
         channel: '45455C767516029F34E9A9CEDD8626E5D955964A041F6C9ACD11F9325D6164E0'
-      }), 'unexpected args: ' + JSON.stringify(stub.args))
+      }, { fee: '0.000016' }), 'unexpected args: ' + JSON.stringify(stub.args))
     })
 
     it('should scale the claim amount appropriately', async function () {
@@ -440,7 +637,7 @@ describe('pluginSpec', () => {
         publicKey: 'bar',
         close: false,
         channel: '45455C767516029F34E9A9CEDD8626E5D955964A041F6C9ACD11F9325D6164E0'
-      }), 'unexpected args: ' + JSON.stringify(stub.args))
+      }, { fee: '0.000016' }), 'unexpected args: ' + JSON.stringify(stub.args))
     })
 
     it('should give an error if submit fails', async function () {
@@ -457,6 +654,79 @@ describe('pluginSpec', () => {
         'Error submitting claim')
     })
 
+    it('should emit claim.submitted when a claim is submitted', async function () {
+      this.sinon.stub(this.plugin._txSubmitter, 'submit').resolves()
+      const spy = this.sinon.spy()
+      this.plugin.on('claim.submitted', spy)
+
+      await this.plugin._channelClaim(this.account)
+      assert.deepEqual(spy.firstCall.args, [{
+        account: this.account.getAccount(),
+        channel: this.channelId,
+        amount: '12345',
+        amountDrops: '12345',
+        close: false,
+        fee: '0.000016'
+      }])
+    })
+
+    it('should emit claim.failed when a claim submission fails', async function () {
+      const error = new Error('tx failed')
+      this.sinon.stub(this.plugin._txSubmitter, 'submit').rejects(error)
+      const spy = this.sinon.spy()
+      this.plugin.on('claim.failed', spy)
+
+      await assert.isRejected(this.plugin._channelClaim(this.account))
+      assert.deepEqual(spy.firstCall.args, [{
+        account: this.account.getAccount(),
+        channel: this.channelId,
+        amount: '12345',
+        amountDrops: '12345',
+        close: false,
+        fee: '0.000016',
+        error
+      }])
+    })
+
+    it('should only raise lastClaimedAmount once the claim is validated', async function () {
+      let validate
+      this.sinon.stub(this.plugin._txSubmitter, 'submit')
+        .returns(new Promise(resolve => { validate = resolve }))
+
+      const claimed = this.plugin._channelClaim(this.account)
+      await new Promise(resolve => setImmediate(resolve))
+      assert.equal(this.account.getLastClaimedAmount(), '0')
+      assert.isUndefined(this.account.getLastClaimTime())
+
+      validate()
+      await claimed
+      assert.equal(this.account.getLastClaimedAmount(), '12345')
+      assert.isNumber(this.account.getLastClaimTime())
+    })
+
+    it('should queue a failed auto claim for a retry', async function () {
+      this.feeStub.resolves('0.000001')
+      this.sinon.stub(this.plugin._txSubmitter, 'submit').rejects(new Error('tx failed'))
+      const claimSpy = this.sinon.spy(this.plugin, '_channelClaim')
+
+      await this.plugin._autoClaim(this.account)
+      await assert.isRejected(claimSpy.firstCall.returnValue)
+      assert.equal(this.account.getLastClaimedAmount(), '0')
+      assert.include(this.plugin._claimQueue.getClaim(this.account.getAccount()), {
+        attempts: 1,
+        lastError: 'Error submitting claim. err=Error: tx failed'
+      })
+    })
+
+    it('should not wait for an auto claim to be submitted', async function () {
+      this.feeStub.resolves('0.000001')
+      this.sinon.stub(this.plugin._txSubmitter, 'submit').returns(new Promise(() => {}))
+
+      await this.plugin._autoClaim(this.account)
+      assert.isOk(this.plugin._claimQueue.getClaim(this.account.getAccount()))
+      assert.equal(this.account.getLastClaimedAmount(), '0')
+    })
+
     it('should not auto claim when more has been claimed than the plugin thought', async function () {
       this.plugin._api.getPaymentChannel = () => Promise.resolve({
         account: 'rPbVxek7Bovu4pWyCfGCVtgGbhwL6D55ot',
@@ -573,6 +843,23 @@ describe('pluginSpec', () => {
 
         assert.isTrue(spy.calledWith(this.claim))
       })
+
+      it('should emit claim.received when a higher claim is saved', function () {
+        this.claim.amount = 123456
+        this.sinon.stub(require('sodium-universal'), 'crypto_sign_verify_detached')
+          .returns(true)
+
+        const spy = this.sinon.spy()
+        this.plugin.on('claim.received', spy)
+        this.plugin._handleClaim(this.account, this.claim)
+
+        assert.deepEqual(spy.firstCall.args, [{
+          account: this.account.getAccount(),
+          channel: this.channelId,
+          amount: '123456',
+          amountDrops: '123456'
+        }])
+      })
     })
   })
 
@@ -622,6 +909,242 @@ describe('pluginSpec', () => {
         assert.equal(Number(parsed.amount), oldAmount + 100)
       })
 
+      it('should record the time of the settlement', function () {
+        const before = Date.now()
+        this.plugin._sendMoneyToAccount(100, this.from)
+        assert.isAtLeast(this.account.getLastSettlement(), before)
+      })
+
+      describe('funding strategy', function () {
+        beforeEach(function () {
+          this.fundStub = this.sinon.stub(util, 'fundChannel').resolves()
+          this.sinon.stub(this.plugin, '_call').resolves(null)
+          this.sinon.stub(this.plugin._api, 'getPaymentChannel').resolves(this.account._clientPaychan)
+        })
+
+        it('should size top-ups by the recent settlement volume', function () {
+          this.plugin._fundingStrategy = createFundingStrategy({
+            type: 'proportional',
+            volumeMultiplier: 2,
+            maxAmount: 5000000
+          }, 1000000)
+
+          this.plugin._sendMoneyToAccount(100, this.from)
+          assert.isFalse(this.fundStub.called)
+
+          this.plugin._settlementVolume.record(this.account.getAccount(), 999900)
+          this.plugin._sendMoneyToAccount(100, this.from)
+          assert.equal(this.fundStub.firstCall.args[0].amount, 2000000)
+        })
+
+        it('should not top up beyond the max outgoing channel amount', function () {
+          this.plugin._maxOutgoingChannelAmount = 700000
+          this.plugin._store.setCache(this.account.getAccount() + ':outgoing_balance', '800000')
+
+          this.plugin._sendMoneyToAccount(100, this.from)
+          assert.equal(this.fundStub.firstCall.args[0].amount, 500000)
+        })
+
+        it('should not top up once the account\'s max outgoing channel amount is reached', function () {
+          this.plugin._maxOutgoingChannelAmount = 5000000
+          this.account.setLimits({ maxOutgoingChannelAmount: '5000' })
+          this.plugin._store.setCache(this.account.getAccount() + ':outgoing_balance', '990000')
+
+          this.plugin._sendMoneyToAccount(100, this.from)
+          assert.isFalse(this.fundStub.called)
+        })
+
+        it('should keep topping up a channel whose amount is past the max outgoing channel amount', function () {
+          this.plugin._maxOutgoingChannelAmount = 1500000
+          this.account._clientPaychan.amount = '3'
+          this.plugin._store.setCache(this.account.getAccount() + ':outgoing_balance', '2999000')
+
+          this.plugin._sendMoneyToAccount(100, this.from)
+          assert.equal(this.fundStub.firstCall.args[0].amount, 1000000)
+        })
+
+        it('should create a client channel with the initial amount', async function () {
+          this.plugin._fundingStrategy = createFundingStrategy({
+            type: 'fixed',
+            initialAmount: 3000000,
+            topUpAmount: 1000000
+          }, 1000000)
+          this.account._state = ReadyState.ESTABLISHING_CLIENT_CHANNEL
+          delete this.account._clientPaychan
+          const submitStub = this.sinon.stub(this.plugin._txSubmitter, 'submit').resolves({
+            transaction: {
+              Account: 'r9Ggkrw4VCfRzSqgrkJTeyfZvBvaG9z3hg',
+              Destination: 'rPbVxek7Bovu4pWyCfGCVtgGbhwL6D55ot',
+              Sequence: 1
+            }
+          })
+
+          await this.plugin._fundOutgoingChannel(this.account, {
+            data: Buffer.from('rPbVxek7Bovu4pWyCfGCVtgGbhwL6D55ot')
+          })
+          assert.equal(submitStub.firstCall.args[1].amount, '3')
+        })
+
+        it('should not create a client channel if the max outgoing channel amount is zero', async function () {
+          this.account.setLimits({ maxOutgoingChannelAmount: '0' })
+          this.account._state = ReadyState.ESTABLISHING_CLIENT_CHANNEL
+          delete this.account._clientPaychan
+
+          await assert.isRejected(this.plugin._fundOutgoingChannel(this.account, {
+            data: Buffer.from('rPbVxek7Bovu4pWyCfGCVtgGbhwL6D55ot')
+          }), /max outgoing channel amount does not allow a client channel/)
+          assert.equal(this.account.getStateString(), 'ESTABLISHING_CLIENT_CHANNEL')
+        })
+      })
+
+      describe('hot wallet guard', function () {
+        beforeEach(function () {
+          this.fundStub = this.sinon.stub(util, 'fundChannel').resolves()
+          this.sinon.stub(this.plugin, '_call').resolves(null)
+          this.sinon.stub(this.plugin._api, 'getPaymentChannel').resolves(this.account._clientPaychan)
+          this.sinon.stub(this.plugin._api, 'getAccountInfo').resolves({
+            xrpBalance: '105',
+            ownerCount: '1'
+          })
+          this.sinon.stub(this.plugin._api, 'getServerInfo').resolves({
+            validatedLedger: {
+              reserveIncrementXRP: '5'
+            }
+          })
+          this.submitStub = this.sinon.stub(this.plugin._txSubmitter, 'submit').resolves({
+            transaction: {
+              Account: 'r9Ggkrw4VCfRzSqgrkJTeyfZvBvaG9z3hg',
+              Destination: 'rPbVxek7Bovu4pWyCfGCVtgGbhwL6D55ot',
+              Sequence: 1
+            }
+          })
+          this.account._state = ReadyState.ESTABLISHING_CLIENT_CHANNEL
+          delete this.account._clientPaychan
+        })
+
+        it('should create a client channel above the floor', async function () {
+          this.plugin._minAvailableXrp = '94'
+          await this.plugin._fundOutgoingChannel(this.account, {
+            data: Buffer.from('rPbVxek7Bovu4pWyCfGCVtgGbhwL6D55ot')
+          })
+          assert.isTrue(this.submitStub.called)
+        })
+
+        it('should not create a client channel below the floor', async function () {
+          this.plugin._minAvailableXrp = '95'
+          await assert.isRejected(this.plugin._fundOutgoingChannel(this.account, {
+            data: Buffer.from('rPbVxek7Bovu4pWyCfGCVtgGbhwL6D55ot')
+          }), /server cannot create client channel because its XRP balance is too low/)
+          assert.isFalse(this.submitStub.called)
+          assert.equal(this.account.getStateString(), 'ESTABLISHING_CLIENT_CHANNEL')
+        })
+
+        it('should not top up a client channel below the floor', async function () {
+          this.plugin._minAvailableXrp = '100'
+          this.account._state = ReadyState.READY
+          this.account._clientPaychan = this.account._paychan
+          this.plugin._store.setCache(this.account.getAccount() + ':outgoing_balance', '990000')
+
+          this.plugin._sendMoneyToAccount(100, this.from)
+          assert.isTrue(this.account.isFunding())
+          await new Promise(resolve => setImmediate(resolve))
+
+          assert.isFalse(this.fundStub.called)
+          assert.isFalse(this.account.isFunding())
+        })
+
+        it('should warn when the balance drops below the low balance threshold', async function () {
+          this.plugin._lowAvailableXrp = '1000'
+          const spy = this.sinon.spy()
+          this.plugin.on('hot_wallet.low_balance', spy)
+
+          await this.plugin._fundOutgoingChannel(this.account, {
+            data: Buffer.from('rPbVxek7Bovu4pWyCfGCVtgGbhwL6D55ot')
+          })
+          assert.isTrue(this.submitStub.called)
+          assert.deepEqual(spy.firstCall.args, [{
+            total: '105',
+            reserved: '5',
+            available: '94',
+            threshold: '1000'
+          }])
+        })
+
+        it('should not count the reserve when topping up a client channel', async function () {
+          this.plugin._minAvailableXrp = '99'
+          this.account._state = ReadyState.READY
+          this.account._clientPaychan = this.account._paychan
+          this.plugin._store.setCache(this.account.getAccount() + ':outgoing_balance', '990000')
+
+          this.plugin._sendMoneyToAccount(100, this.from)
+          await new Promise(resolve => setImmediate(resolve))
+          await new Promise(resolve => setImmediate(resolve))
+
+          assert.isTrue(this.fundStub.called)
+        })
+
+        it('should fetch the hot wallet balance once per ledger', async function () {
+          this.plugin._lowAvailableXrp = '1000'
+          const ledgerStub = this.sinon.stub(this.plugin._api, 'getLedgerVersion').resolves(100)
+
+          await this.plugin._reserveHotWalletBalance(1000000, 'fund client channel')
+          await this.plugin._reserveHotWalletBalance(1000000, 'fund client channel')
+          assert.equal(this.plugin._api.getAccountInfo.callCount, 1)
+
+          ledgerStub.resolves(101)
+          await this.plugin._reserveHotWalletBalance(1000000, 'fund client channel')
+          assert.equal(this.plugin._api.getAccountInfo.callCount, 2)
+        })
+
+        it('should hold back the amounts of spends in the same ledger', async function () {
+          this.plugin._minAvailableXrp = '90'
+          this.sinon.stub(this.plugin._api, 'getLedgerVersion').resolves(100)
+
+          const release = await this.plugin._reserveHotWalletBalance(4000000, 'fund client channel')
+          await this.plugin._reserveHotWalletBalance(4000000, 'fund client channel')
+          await assert.isRejected(this.plugin._reserveHotWalletBalance(4000000, 'fund client channel'),
+            /server cannot fund client channel because its XRP balance is too low/)
+
+          release()
+          await this.plugin._reserveHotWalletBalance(4000000, 'fund client channel')
+        })
+
+        it('should hold back a channel create until its transaction is done', async function () {
+          this.plugin._minAvailableXrp = '94'
+          this.sinon.stub(this.plugin._api, 'getLedgerVersion').resolves(100)
+          let submitted
+          this.submitStub.callsFake(() => new Promise(resolve => {
+            submitted = () => resolve({ transaction: {
+              Account: 'r9Ggkrw4VCfRzSqgrkJTeyfZvBvaG9z3hg',
+              Destination: 'rPbVxek7Bovu4pWyCfGCVtgGbhwL6D55ot',
+              Sequence: 1
+            } })
+          }))
+
+          const creating = this.plugin._fundOutgoingChannel(this.account, {
+            data: Buffer.from('rPbVxek7Bovu4pWyCfGCVtgGbhwL6D55ot')
+          })
+          while (!submitted) await new Promise(resolve => setImmediate(resolve))
+          assert.equal(this.plugin._hotWalletPending.toString(), '6')
+          await assert.isRejected(this.plugin._reserveHotWalletBalance(1000000, 'fund client channel'),
+            /server cannot fund client channel because its XRP balance is too low/)
+
+          submitted()
+          await creating
+          assert.equal(this.plugin._hotWalletPending.toString(), '0')
+        })
+
+        it('should release a spend whose transaction fails', async function () {
+          this.plugin._minAvailableXrp = '80'
+          this.submitStub.rejects(new Error('tecUNFUNDED'))
+
+          await assert.isRejected(this.plugin._fundOutgoingChannel(this.account, {
+            data: Buffer.from('rPbVxek7Bovu4pWyCfGCVtgGbhwL6D55ot')
+          }), /tecUNFUNDED/)
+          assert.equal(this.plugin._hotWalletPending.toString(), '0')
+        })
+      })
+
       describe('with high scale', function () {
         beforeEach(function () {
           this.plugin._currencyScale = 9
@@ -880,6 +1403,135 @@ describe('pluginSpec', () => {
       })
     })
 
+    it('should use the account\'s max packet amount if it is set', async function () {
+      this.plugin._maxPacketAmount = new BigNumber(100)
+      this.account.setLimits({ maxPacketAmount: '1000' })
+
+      this.plugin._handleIncomingPrepare(this.account, this.prepare.data.protocolData[0].data)
+      assert.equal(this.account.getBalance().toString(), '123')
+
+      this.account.setLimits({ maxPacketAmount: '10' })
+      assert.throws(
+        () => this.plugin._handleIncomingPrepare(this.account, this.prepare.data.protocolData[0].data),
+        /Packet size is too large/)
+    })
+
+    it('should journal a prepare and its rollback', async function () {
+      const ilpData = this.prepare.data.protocolData[0].data
+      this.plugin._handleIncomingPrepare(this.account, ilpData)
+      this.plugin._rejectIncomingTransfer(this.account, ilpData)
+
+      const { total, entries } = await this.account.getJournal()
+      assert.equal(total, 2)
+      assert.deepInclude(entries[0], {
+        index: 0,
+        account: this.account.getAccount(),
+        field: 'balance',
+        oldValue: '0',
+        newValue: '123',
+        cause: 'prepare',
+        reference: this.condition.toString('hex')
+      })
+      assert.deepInclude(entries[1], {
+        index: 1,
+        field: 'balance',
+        oldValue: '123',
+        newValue: '0',
+        cause: 'reject',
+        reference: this.condition.toString('hex')
+      })
+    })
+
+    it('should use the account\'s max balance if it is set', async function () {
+      this.account.setLimits({ maxBalance: '2000000' })
+      this.account._paychan.amount = '2'
+      this.prepare.data.protocolData[0].data = IlpPacket.serializeIlpPrepare({
+        destination: this.from,
+        amount: '1234567',
+        executionCondition: this.condition,
+        expiresAt: new Date(Date.now() + 10000),
+        data: Buffer.alloc(0)
+      })
+
+      this.plugin._handleIncomingPrepare(this.account, this.prepare.data.protocolData[0].data)
+      assert.equal(this.account.getBalance().toString(), '1234567')
+    })
+
+    it('should use the account\'s min incoming channel amount if it is set', async function () {
+      this.account._state = ReadyState.ESTABLISHING_CLIENT_CHANNEL
+      this.account.setLimits({ minIncomingChannelAmount: '2000000' })
+
+      await assert.isRejected(this.plugin._handleCustomData(this.from, { data: { protocolData: [ {
+        protocolName: 'fund_channel',
+        contentType: BtpPacket.MIME_APPLICATION_OCTET_STREAM,
+        data: Buffer.from('rPbVxek7Bovu4pWyCfGCVtgGbhwL6D55ot')
+      } ] } }), /must put 2000000 drops on hold/)
+    })
+
+    it('should return a reject if the packet rate is exceeded', async function () {
+      this.plugin._maxPacketsPerSecond = 1
+
+      await this.plugin._handleCustomData(this.from, this.prepare)
+      const res = await this.plugin._handleCustomData(this.from, this.prepare)
+      const parsed = IlpPacket.deserializeIlpReject(res[0].data)
+
+      assert.equal(parsed.code, 'T05')
+      assert.equal(parsed.message, 'Too many packets, max: 1 per second')
+    })
+
+    it('should not debit the account if the throughput is exceeded', async function () {
+      this.account.setLimits({ maxThroughput: '200' })
+      const ilpData = this.prepare.data.protocolData[0].data
+
+      this.plugin._handleIncomingPrepare(this.account, ilpData)
+      assert.equal(this.account.getBalance().toString(), '123')
+
+      assert.throws(() => this.plugin._handleIncomingPrepare(this.account, ilpData),
+        'Throughput limit exceeded, max: 200')
+      assert.equal(this.account.getBalance().toString(), '123')
+    })
+
+    it('should refund the throughput of a rejected packet', async function () {
+      this.account.setLimits({ maxThroughput: '200' })
+      const ilpData = this.prepare.data.protocolData[0].data
+
+      this.plugin._handleIncomingPrepare(this.account, ilpData)
+      this.plugin._rejectIncomingTransfer(this.account, ilpData)
+      this.plugin._handleIncomingPrepare(this.account, ilpData)
+      assert.equal(this.account.getBalance().toString(), '123')
+    })
+
+    it('should drop the full rate limit buckets of disconnected accounts', async function () {
+      this.plugin._maxPacketsPerSecond = 10
+      this.plugin._handleIncomingPrepare(this.account, this.prepare.data.protocolData[0].data)
+      const buckets = this.plugin._rateLimiter._packetBuckets
+
+      await this.plugin._close(this.from)
+      assert.isTrue(buckets.has(this.account.getAccount()), 'a bucket which is not full is kept')
+
+      this.sinon.useFakeTimers(Date.now() + 1000)
+      this.plugin._connections.set(this.account.getAccount(), new Set())
+      await this.plugin._close(this.from)
+      assert.isTrue(buckets.has(this.account.getAccount()), 'the bucket of a connected account is kept')
+
+      this.plugin._connections.delete(this.account.getAccount())
+      await this.plugin._close(this.from)
+      assert.isFalse(buckets.has(this.account.getAccount()))
+    })
+
+    it('should show the rate limit buckets in admin info', async function () {
+      this.plugin._maxPacketsPerSecond = 10
+      this.plugin._handleIncomingPrepare(this.account, this.prepare.data.protocolData[0].data)
+
+      assert.deepEqual(this.plugin.getAdminAccount(this.account.getAccount()).rateLimit, {
+        packets: {
+          capacity: '10',
+          available: '9'
+        },
+        throughput: null
+      })
+    })
+
     it('should return a reject if there is no channel to peer', async function () {
       delete this.account._paychan
       this.account._state = ReadyState.LOADING_CHANNEL
@@ -966,42 +1618,144 @@ describe('pluginSpec', () => {
         assert.isFalse(stub.called)
       })
     })
-  })
 
-  describe('handle prepare response', () => {
-    beforeEach(async function () {
-      this.from = 'test.example.35YywQ-3GYiO3MM4tvfaSGhty9NZELIBO3kmilL0Wak'
-      this.channelId = '45455C767516029F34E9A9CEDD8626E5D955964A041F6C9ACD11F9325D6164E0'
-      this.account = await this.plugin._getAccount(this.from)
-      this.account._state = ReadyState.READY
-      this.plugin._store.setCache(this.account.getAccount() + ':channel', this.channelId)
-      this.plugin._store.setCache(this.account.getAccount() + ':claim', {
-        amount: '12345',
-        signature: 'foo'
+    describe('with a claim strategy', () => {
+      beforeEach(function () {
+        // far too expensive for the fee ratio
+        this.feeStub.resolves('1')
+        this.stub = this.sinon.stub(this.plugin, '_channelClaim').resolves()
+        this.useStrategy = (opts) => {
+          this.plugin._claimStrategy = createClaimStrategy(opts, this.plugin._maxFeePercent)
+        }
       })
-      this.account._paychan = {
-        account: 'rPbVxek7Bovu4pWyCfGCVtgGbhwL6D55ot',
-        amount: '1',
-        balance: '0',
-        destination: 'r9Ggkrw4VCfRzSqgrkJTeyfZvBvaG9z3hg',
-        publicKey: 'EDD69138B8AB9B0471A734927FABE2B20D2943215C8EEEC61DC11598C79424414D',
-        settleDelay: 3600,
-        sourceTag: 1280434065,
-        previousAffectingTransactionID: '51F331B863D078CF5EFEF1FBFF2D0F4C4D12FD160272EEB03F572C904B800057',
-        previousAffectingTransactionLedgerVersion: 6089142
-      }
 
-      this.fulfillment = crypto.randomBytes(32)
-      this.condition = crypto.createHash('sha256')
-        .update(this.fulfillment)
-        .digest()
+      it('should claim once the unclaimed amount reaches the threshold', async function () {
+        this.useStrategy({ type: 'unclaimed', threshold: '1602' })
+        await this.plugin._autoClaim(this.account)
+        assert.isFalse(this.stub.called)
 
-      this.prepare = {
-        type: IlpPacket.Type.TYPE_ILP_PREPARE,
-        data: {
-          destination: this.from,
-          amount: 123,
-          executionCondition: this.condition,
+        this.useStrategy({ type: 'unclaimed', threshold: '1601' })
+        await this.plugin._autoClaim(this.account)
+        assert.isTrue(this.stub.called)
+      })
+
+      it('should claim once the last claim is older than the max age', async function () {
+        this.useStrategy({ type: 'max_age', maxAge: 60 * 1000 })
+        this.account.setLastClaimTime(Date.now() - 30 * 1000)
+        await this.plugin._autoClaim(this.account)
+        assert.isFalse(this.stub.called)
+
+        this.account.setLastClaimTime(Date.now() - 60 * 1000)
+        await this.plugin._autoClaim(this.account)
+        assert.isTrue(this.stub.called)
+      })
+
+      it('should claim within the settle delay of the channel closing', async function () {
+        this.useStrategy({ type: 'expiration' })
+        const paychan = this.account._paychan
+        const ledgerStub = this.sinon.stub(this.plugin._api, 'getPaymentChannel').resolves(paychan)
+        await this.plugin._autoClaim(this.account)
+        assert.isFalse(this.stub.called)
+
+        // the expiration is only set on the ledger, not in the cached details
+        ledgerStub.resolves(Object.assign({}, paychan, {
+          expiration: new Date(Date.now() + 2 * 3600 * 1000).toISOString()
+        }))
+        await this.plugin._autoClaim(this.account)
+        assert.isFalse(this.stub.called)
+
+        ledgerStub.resolves(Object.assign({}, paychan, {
+          expiration: new Date(Date.now() + 3600 * 1000).toISOString()
+        }))
+        await this.plugin._autoClaim(this.account)
+        assert.isTrue(this.stub.called)
+        assert.isUndefined(this.account._paychan.expiration)
+        assert.deepEqual(ledgerStub.lastCall.args, [ this.channelId ])
+      })
+
+      it('should decide with the cached channel details if the ledger fails', async function () {
+        this.useStrategy({ type: 'expiration' })
+        this.sinon.stub(this.plugin._api, 'getPaymentChannel').rejects(new Error('disconnected'))
+        this.account._paychan.cancelAfter = new Date(Date.now() + 1000).toISOString()
+
+        await this.plugin._autoClaim(this.account)
+        assert.isTrue(this.stub.called)
+      })
+
+      it('should claim as soon as any strategy in a list would', async function () {
+        this.useStrategy([
+          { type: 'fee_ratio' },
+          { type: 'unclaimed', threshold: '1000' }
+        ])
+        await this.plugin._autoClaim(this.account)
+        assert.isTrue(this.stub.called)
+      })
+
+      it('should use a custom strategy', async function () {
+        const shouldClaim = this.sinon.stub().returns(false)
+        this.useStrategy({ shouldClaim })
+        await this.plugin._autoClaim(this.account)
+
+        assert.isFalse(this.stub.called)
+        assert.include(shouldClaim.firstCall.args[0], {
+          account: this.account.getAccount(),
+          settleDelay: 3600
+        })
+        assert.equal(shouldClaim.firstCall.args[0].unclaimed.toString(), '1601')
+        assert.equal(shouldClaim.firstCall.args[0].fee.toString(), '1000000')
+      })
+
+      it('should not ask the strategy when nothing is unclaimed', async function () {
+        const shouldClaim = this.sinon.stub().returns(true)
+        this.useStrategy({ shouldClaim })
+        this.account.setLastClaimedAmount('13901')
+        await this.plugin._autoClaim(this.account)
+
+        assert.isFalse(shouldClaim.called)
+        assert.isFalse(this.stub.called)
+      })
+
+      it('should reject an unknown strategy', function () {
+        assert.throws(() => this.useStrategy({ type: 'foo' }),
+          /unknown claim strategy. type=foo/)
+      })
+    })
+  })
+
+  describe('handle prepare response', () => {
+    beforeEach(async function () {
+      this.from = 'test.example.35YywQ-3GYiO3MM4tvfaSGhty9NZELIBO3kmilL0Wak'
+      this.channelId = '45455C767516029F34E9A9CEDD8626E5D955964A041F6C9ACD11F9325D6164E0'
+      this.account = await this.plugin._getAccount(this.from)
+      this.account._state = ReadyState.READY
+      this.plugin._store.setCache(this.account.getAccount() + ':channel', this.channelId)
+      this.plugin._store.setCache(this.account.getAccount() + ':claim', {
+        amount: '12345',
+        signature: 'foo'
+      })
+      this.account._paychan = {
+        account: 'rPbVxek7Bovu4pWyCfGCVtgGbhwL6D55ot',
+        amount: '1',
+        balance: '0',
+        destination: 'r9Ggkrw4VCfRzSqgrkJTeyfZvBvaG9z3hg',
+        publicKey: 'EDD69138B8AB9B0471A734927FABE2B20D2943215C8EEEC61DC11598C79424414D',
+        settleDelay: 3600,
+        sourceTag: 1280434065,
+        previousAffectingTransactionID: '51F331B863D078CF5EFEF1FBFF2D0F4C4D12FD160272EEB03F572C904B800057',
+        previousAffectingTransactionLedgerVersion: 6089142
+      }
+
+      this.fulfillment = crypto.randomBytes(32)
+      this.condition = crypto.createHash('sha256')
+        .update(this.fulfillment)
+        .digest()
+
+      this.prepare = {
+        type: IlpPacket.Type.TYPE_ILP_PREPARE,
+        data: {
+          destination: this.from,
+          amount: 123,
+          executionCondition: this.condition,
           expiresAt: new Date(Date.now() + 10000),
           data: Buffer.alloc(0)
         }
@@ -1064,6 +1818,40 @@ describe('pluginSpec', () => {
       }])
     })
 
+    it('should emit settlement.sent after settling a fulfill', async function () {
+      this.sinon.stub(this.plugin, '_call')
+        .returns(Promise.resolve())
+      const spy = this.sinon.spy()
+      this.plugin.on('settlement.sent', spy)
+
+      this.plugin._handlePrepareResponse(this.from, this.fulfill, this.prepare)
+      await new Promise(resolve => setTimeout(resolve, 10))
+      assert.deepEqual(spy.firstCall.args, [{
+        account: this.account.getAccount(),
+        clientChannel: undefined,
+        amount: '123',
+        amountDrops: '123'
+      }])
+    })
+
+    it('should emit settlement.failed if the transfer fails', async function () {
+      const error = new Error('no')
+      this.sinon.stub(this.plugin, '_call')
+        .returns(Promise.reject(error))
+      const spy = this.sinon.spy()
+      this.plugin.on('settlement.failed', spy)
+
+      this.plugin._handlePrepareResponse(this.from, this.fulfill, this.prepare)
+      await new Promise(resolve => setTimeout(resolve, 10))
+      assert.deepEqual(spy.firstCall.args, [{
+        account: this.account.getAccount(),
+        clientChannel: undefined,
+        amount: '123',
+        amountDrops: '123',
+        error
+      }])
+    })
+
     it('should ignore fulfillments for zero-amount packets', async function () {
       const stub = this.sinon.stub(this.plugin, '_call')
         .returns(Promise.resolve())
@@ -1147,6 +1935,137 @@ describe('pluginSpec', () => {
         assert.isFalse(stub.called)
       })
     })
+
+    describe('settlement batching', () => {
+      beforeEach(function () {
+        this.plugin._settlementThreshold = new BigNumber('200')
+        this.plugin._settlementMaxDelay = 50
+        this.callStub = this.sinon.stub(this.plugin, '_call').resolves()
+        this.transfers = () => this.callStub.args.map(([ to, packet ]) => packet.data.amount)
+      })
+
+      it('should settle fulfills once the owed balance reaches the threshold', async function () {
+        this.plugin._handlePrepareResponse(this.from, this.fulfill, this.prepare)
+        await new Promise(resolve => setTimeout(resolve, 10))
+        assert.equal(this.account.getOwedBalance().toString(), '123')
+        assert.deepEqual(this.transfers(), [])
+
+        this.plugin._handlePrepareResponse(this.from, this.fulfill, this.prepare)
+        await new Promise(resolve => setTimeout(resolve, 10))
+        assert.equal(this.account.getOwedBalance().toString(), '0')
+        assert.deepEqual(this.transfers(), [ '246' ])
+        assert.isFalse(this.plugin._settlementTimeouts.has(this.account.getAccount()))
+      })
+
+      it('should settle fulfills after the maximum delay', async function () {
+        this.plugin._handlePrepareResponse(this.from, this.fulfill, this.prepare)
+        await new Promise(resolve => setTimeout(resolve, 10))
+        assert.deepEqual(this.transfers(), [])
+
+        await new Promise(resolve => setTimeout(resolve, 60))
+        assert.equal(this.account.getOwedBalance().toString(), '0')
+        assert.deepEqual(this.transfers(), [ '123' ])
+      })
+
+      it('should settle the batch on a T04', async function () {
+        this.plugin._handlePrepareResponse(this.from, this.fulfill, this.prepare)
+        this.reject.data.code = 'T04'
+        this.plugin._handlePrepareResponse(this.from, this.reject, this.prepare)
+        await new Promise(resolve => setTimeout(resolve, 10))
+        assert.deepEqual(this.transfers(), [ '123' ])
+        assert.isFalse(this.plugin._settlementTimeouts.has(this.account.getAccount()))
+      })
+
+      it('should settle once the owed balance reaches the credit limit', async function () {
+        this.plugin._settlementThreshold = new BigNumber('Infinity')
+        this.account.setLimits({ maxOwedBalance: '100' })
+
+        this.plugin._handlePrepareResponse(this.from, this.fulfill, this.prepare)
+        await new Promise(resolve => setTimeout(resolve, 10))
+        assert.deepEqual(this.transfers(), [ '123' ])
+      })
+
+      it('should reject a prepare which would exceed the credit limit', async function () {
+        this.plugin._maxOwedBalance = '200'
+        this.account.setOwedBalance('100')
+        this.account._state = ReadyState.READY
+
+        assert.throws(() => this.plugin._sendPrepare(this.from, this.prepare),
+          /owed balance would exceed the credit limit. owed=100 inFlight=0 max=200/)
+        await new Promise(resolve => setTimeout(resolve, 10))
+        assert.deepEqual(this.transfers(), [ '100' ])
+
+        assert.doesNotThrow(() => this.plugin._sendPrepare(this.from, this.prepare))
+      })
+
+      it('should count prepares in flight toward the credit limit', function () {
+        this.plugin._maxOwedBalance = '200'
+        const second = Object.assign({}, this.prepare)
+
+        this.plugin._sendPrepare(this.from, this.prepare)
+        assert.throws(() => this.plugin._sendPrepare(this.from, second),
+          /owed balance would exceed the credit limit. owed=0 inFlight=123 max=200/)
+
+        this.plugin._handlePrepareResponse(this.from, this.reject, this.prepare)
+        assert.equal(this.plugin._getInFlightAmount(this.account).toString(), '0')
+        assert.doesNotThrow(() => this.plugin._sendPrepare(this.from, second))
+
+        this.plugin._handlePrepareResponse(this.from, this.fulfill, second)
+        assert.equal(this.plugin._getInFlightAmount(this.account).toString(), '0')
+        assert.equal(this.account.getOwedBalance().toString(), '123')
+      })
+
+      it('should release a prepare in flight once it expires', async function () {
+        this.plugin._maxOwedBalance = '200'
+        this.prepare.data.expiresAt = new Date(Date.now() + 10)
+
+        this.plugin._sendPrepare(this.from, this.prepare)
+        assert.equal(this.plugin._getInFlightAmount(this.account).toString(), '123')
+
+        await new Promise(resolve => setTimeout(resolve, 20))
+        assert.equal(this.plugin._getInFlightAmount(this.account).toString(), '0')
+        assert.isFalse(this.plugin._inFlightPrepares.has(this.prepare))
+      })
+    })
+
+    describe('owed balance retries', () => {
+      beforeEach(function () {
+        this.callStub = this.sinon.stub(this.plugin, '_call').resolves()
+        this.account.setOwedBalance('100')
+        this.plugin._connections.set(this.account.getAccount(), new Set())
+      })
+
+      it('should settle the owed balance of a connected account', async function () {
+        await this.plugin._retryOwedBalances()
+        assert.equal(this.account.getOwedBalance().toString(), '0')
+        assert.isTrue(this.sendMoneyStub.calledWith('100', this.from))
+        assert.equal(this.callStub.firstCall.args[1].data.amount, '100')
+      })
+
+      it('should not settle while the client is not connected', async function () {
+        this.plugin._connections.delete(this.account.getAccount())
+        await this.plugin._retryOwedBalances()
+        assert.equal(this.account.getOwedBalance().toString(), '100')
+        assert.isFalse(this.callStub.called)
+      })
+
+      it('should not settle an account which is not ready', async function () {
+        this.account._state = ReadyState.ESTABLISHING_CLIENT_CHANNEL
+        await this.plugin._retryOwedBalances()
+        assert.equal(this.account.getOwedBalance().toString(), '100')
+        assert.isFalse(this.callStub.called)
+      })
+
+      it('should keep the owed balance if the settlement fails', async function () {
+        this.sendMoneyStub.throws(new Error('failed to sign claim'))
+        const spy = this.sinon.spy()
+        this.plugin.on('settlement.failed', spy)
+
+        await this.plugin._retryOwedBalances()
+        assert.equal(this.account.getOwedBalance().toString(), '100')
+        assert.equal(spy.firstCall.args[0].amount, '100')
+      })
+    })
   })
 
   describe('Account', function () {
@@ -1223,6 +2142,50 @@ describe('pluginSpec', () => {
 
       assert.equal(this.account.getStateString(), 'READY')
     })
+
+    it('should remove a closing client channel which is gone from the ledger', async function () {
+      this.account._store.setCache(this.account.getAccount() + ':channel', 'my_channel_id')
+      this.account._store.setCache(this.account.getAccount() + ':client_channel', 'my_client_channel_id')
+      this.account._store.setCache(this.account.getAccount() + ':client_channel_closing', 'true')
+      this.sinon.stub(this.account._api, 'getPaymentChannel')
+        .onCall(0).resolves(this.paychan)
+        .onCall(1).callsFake(() => {
+          const e = new Error('entryNotFound')
+          e.name = 'RippledError'
+          return Promise.reject(e)
+        })
+
+      await this.account.connect()
+
+      assert.equal(this.account.getStateString(), 'ESTABLISHING_CLIENT_CHANNEL')
+      assert.isFalse(this.account.isBlocked())
+      assert.isFalse(this.account.isClientChannelClosing())
+    })
+    it('should delete a channel in a single batch', async function () {
+      this.account._store.setCache(this.account.getAccount() + ':channel', 'my_channel_id')
+      this.sinon.stub(this.account._api, 'getPaymentChannel').resolves(this.paychan)
+      await this.account.connect()
+      this.account.setBalance('100')
+      await this.plugin._store.flush()
+
+      const store = this.plugin._store._store
+      store.batch = this.sinon.stub().resolves()
+      const putSpy = this.sinon.spy(store, 'put')
+      const delSpy = this.sinon.spy(store, 'del')
+
+      this.account.deleteChannel()
+      await this.plugin._store.flush()
+
+      assert.isFalse(putSpy.called)
+      assert.isFalse(delSpy.called)
+      assert.isTrue(store.batch.calledOnce)
+      assert.includeDeepMembers(store.batch.firstCall.args[0], [
+        { type: 'put', key: this.account.getAccount(), value: '100' },
+        { type: 'del', key: this.account.getAccount() + ':last_claimed' },
+        { type: 'del', key: this.account.getAccount() + ':claim' },
+        { type: 'del', key: this.account.getAccount() + ':channel' }
+      ])
+    })
   })
 
   describe('admin interface', function () {
@@ -1264,6 +2227,7 @@ describe('pluginSpec', () => {
     })
 
     it('should get admin info', async function () {
+      this.account.setOwedBalance('150')
       assert.deepEqual(await this.plugin.getAdminInfo(), {
         clients: [{
           account: '35YywQ-3GYiO3MM4tvfaSGhty9NZELIBO3kmilL0Wak',
@@ -1271,10 +2235,17 @@ describe('pluginSpec', () => {
           channelBalance: '0',
           clientChannel: '45455C767516029F34E9A9CEDD8626E5D955964A041F6C9ACD11F9325D6164E0',
           clientChannelBalance: '0.000000',
+          owedBalance: '150',
           state: 'READY',
+          rateLimit: {
+            packets: null,
+            throughput: null
+          },
           xrpAddress: 'rPbVxek7Bovu4pWyCfGCVtgGbhwL6D55ot'
         }],
+        owedBalance: '150',
         xrpAddress: 'r9Ggkrw4VCfRzSqgrkJTeyfZvBvaG9z3hg',
+        xrpServer: 'wss://s.altnet.rippletest.net:51233',
         xrpBalance: {
           'available': '9200',
           'reserved': '800',
@@ -1287,7 +2258,9 @@ describe('pluginSpec', () => {
       this.account._paychan = null
       assert.deepEqual(await this.plugin.getAdminInfo(), {
         clients: [],
+        owedBalance: '0',
         xrpAddress: 'r9Ggkrw4VCfRzSqgrkJTeyfZvBvaG9z3hg',
+        xrpServer: 'wss://s.altnet.rippletest.net:51233',
         xrpBalance: {
           'available': '9200',
           'reserved': '800',
@@ -1307,7 +2280,7 @@ describe('pluginSpec', () => {
         amount: '100',
         account: this.account.getAccount()
       }), {})
-      assert.deepEqual(sendStub.firstCall.args, [ '100000000', this.from ])
+      assert.deepEqual(sendStub.firstCall.args, [ '100000000', this.from, { cause: 'admin' } ])
       assert.deepEqual(callStub.firstCall.args, [
         'test.example.35YywQ-3GYiO3MM4tvfaSGhty9NZELIBO3kmilL0Wak',
         {
@@ -1329,5 +2302,773 @@ describe('pluginSpec', () => {
       }), {})
       assert.isTrue(this.account.isBlocked())
     })
+
+    it('should emit account.blocked when an account is blocked', async function () {
+      const spy = this.sinon.spy()
+      this.plugin.on('account.blocked', spy)
+
+      await this.plugin.sendAdminInfo({
+        command: 'block',
+        account: this.account.getAccount()
+      })
+      assert.deepEqual(spy.firstCall.args, [{
+        account: this.account.getAccount(),
+        reason: 'channel must be re-established',
+        channel: this.channelId
+      }])
+    })
+
+    it('should apply a "set_limits" command', async function () {
+      assert.deepEqual(await this.plugin.sendAdminInfo({
+        command: 'set_limits',
+        account: this.account.getAccount(),
+        maxBalance: '5000000',
+        maxPacketAmount: '1000'
+      }), {
+        maxBalance: '5000000',
+        maxPacketAmount: '1000',
+        minIncomingChannelAmount: null,
+        maxPacketsPerSecond: null,
+        maxThroughput: null,
+        maxOutgoingChannelAmount: null,
+        maxOwedBalance: null
+      })
+
+      assert.deepEqual(await this.plugin.sendAdminInfo({
+        command: 'set_limits',
+        account: this.account.getAccount(),
+        maxBalance: null,
+        minIncomingChannelAmount: '20000000'
+      }), {
+        maxBalance: null,
+        maxPacketAmount: '1000',
+        minIncomingChannelAmount: '20000000',
+        maxPacketsPerSecond: null,
+        maxThroughput: null,
+        maxOutgoingChannelAmount: null,
+        maxOwedBalance: null
+      })
+    })
+
+    it('should not apply a "set_limits" command with an invalid amount', async function () {
+      await assert.isRejected(this.plugin.sendAdminInfo({
+        command: 'set_limits',
+        account: this.account.getAccount(),
+        maxBalance: '-1'
+      }), /limit must be a non-negative number/)
+      assert.deepEqual(this.account.getLimits(), {
+        maxBalance: null,
+        maxPacketAmount: null,
+        minIncomingChannelAmount: null,
+        maxPacketsPerSecond: null,
+        maxThroughput: null,
+        maxOutgoingChannelAmount: null,
+        maxOwedBalance: null
+      })
+    })
+
+    it('should apply an "unblock" command', async function () {
+      this.account.block(true, 'blocked by test')
+      this.sinon.stub(this.plugin._api, 'getPaymentChannel')
+        .resolves(this.account._paychan)
+
+      assert.deepEqual(await this.plugin.sendAdminInfo({
+        command: 'unblock',
+        account: this.account.getAccount()
+      }), {})
+      assert.isFalse(this.account.isBlocked())
+      assert.equal(this.account.getStateString(), 'READY')
+      assert.equal(this.plugin._channelToAccount.get(this.channelId), this.account)
+      assert.isTrue(this.plugin._watcher.channelIds.has(this.channelId))
+      assert.isTrue(this.plugin._claimScheduler.has(this.account))
+    })
+
+    it('should block an account again if its channel is invalid when it is unblocked', async function () {
+      this.account.block(true, 'blocked by test')
+      this.account.setIncomingClaim({ amount: '0' })
+      this.sinon.stub(this.plugin._api, 'getPaymentChannel')
+        .resolves(Object.assign({}, this.account._paychan, {
+          expiration: new Date(Date.now() + 1000).toISOString()
+        }))
+
+      await assert.isRejected(this.plugin.sendAdminInfo({
+        command: 'unblock',
+        account: this.account.getAccount()
+      }), /account was blocked again/)
+      assert.isTrue(this.account.isBlocked())
+      assert.match(this.account.getBlockReason(), /failed to validate channel/)
+      assert.isFalse(this.plugin._claimScheduler.has(this.account))
+    })
+
+    it('should not apply an "unblock" command to an account which is not blocked', async function () {
+      await assert.isRejected(this.plugin.sendAdminInfo({
+        command: 'unblock',
+        account: this.account.getAccount()
+      }), /account must be in state BLOCKED/)
+    })
+
+    it('should apply a "reset" command after a final claim', async function () {
+      const paychan = this.account._paychan
+      this.sinon.stub(this.plugin._api, 'getPaymentChannel')
+        .onCall(0).resolves(paychan)
+        .onCall(1).resolves(paychan)
+        .onCall(2).resolves(Object.assign({}, paychan, { balance: '0.012345' }))
+      const submitStub = this.sinon.stub(this.plugin._txSubmitter, 'submit').resolves()
+      this.account.setBalance('12345')
+      this.account.deleteClientChannel()
+      this.plugin._store.set('channel:' + this.channelId, this.account.getAccount())
+      this.plugin._channelToAccount.set(this.channelId, this.account)
+      this.plugin._watcher.channelIds.add(this.channelId)
+
+      assert.deepEqual(await this.plugin.sendAdminInfo({
+        command: 'reset',
+        account: this.account.getAccount()
+      }), {})
+
+      assert.deepEqual(submitStub.firstCall.args, [ 'preparePaymentChannelClaim', {
+        balance: '0.012345',
+        signature: 'FOO',
+        publicKey: paychan.publicKey,
+        close: false,
+        channel: this.channelId
+      }, { fee: '0.000016' } ])
+      assert.equal(this.account.getStateString(), 'ESTABLISHING_CHANNEL')
+      assert.isFalse(this.account.hasChannel())
+      assert.equal(this.account.getBalance().toString(), '0')
+      assert.equal(this.account.getOutgoingBalance().toString(), '0')
+      assert.equal(this.account.getIncomingClaim().amount, '0')
+      assert.isUndefined(this.plugin._store.get('channel:' + this.channelId))
+      assert.isFalse(this.plugin._channelToAccount.has(this.channelId))
+      assert.isFalse(this.plugin._watcher.channelIds.has(this.channelId))
+    })
+
+    it('should not apply a "reset" command while there is a client channel', async function () {
+      const submitStub = this.sinon.stub(this.plugin._txSubmitter, 'submit').resolves()
+
+      await assert.isRejected(this.plugin.sendAdminInfo({
+        command: 'reset',
+        account: this.account.getAccount()
+      }), /cannot reset account with a client channel/)
+      assert.isFalse(submitStub.called)
+      assert.isTrue(this.account.hasChannel())
+      assert.equal(this.account.getClientChannel(), this.channelId)
+    })
+
+    it('should not apply a "reset" command if the incoming balance cannot be claimed', async function () {
+      this.account.deleteClientChannel()
+      this.sinon.stub(this.plugin._api, 'getPaymentChannel')
+        .resolves(this.account._paychan)
+      this.sinon.stub(this.plugin._txSubmitter, 'submit').resolves()
+
+      await assert.isRejected(this.plugin.sendAdminInfo({
+        command: 'reset',
+        account: this.account.getAccount()
+      }), /cannot reset account with unclaimed incoming balance/)
+      assert.isTrue(this.account.hasChannel())
+      assert.equal(this.account.getStateString(), 'ESTABLISHING_CLIENT_CHANNEL')
+    })
+
+    it('should not apply a "reset" command if there is an owed balance', async function () {
+      this.account.deleteClientChannel()
+      this.sinon.stub(this.plugin._api, 'getPaymentChannel')
+        .resolves(Object.assign({}, this.account._paychan, { balance: '0.012345' }))
+      this.account.setOwedBalance('10')
+
+      await assert.isRejected(this.plugin.sendAdminInfo({
+        command: 'reset',
+        account: this.account.getAccount()
+      }), /cannot reset account with owed balance/)
+      assert.isTrue(this.account.hasChannel())
+    })
+
+    it('should load an account before applying a "reset" command', async function () {
+      const store = this.plugin._store._store.store
+      store['bob:channel'] = this.channelId
+      store['bob:claim'] = JSON.stringify({ amount: '999', signature: 'foo' })
+      this.sinon.stub(this.plugin._api, 'getPaymentChannel')
+        .resolves(this.account._paychan)
+      this.sinon.stub(this.plugin._txSubmitter, 'submit').resolves()
+      const bob = this.plugin._getAccount('test.example.bob')
+      assert.equal(bob.getStateString(), 'INITIAL')
+
+      await assert.isRejected(this.plugin.sendAdminInfo({
+        command: 'reset',
+        account: 'bob'
+      }), /cannot reset account with unclaimed incoming balance/)
+      assert.equal(store['bob:channel'], this.channelId)
+      assert.equal(JSON.parse(store['bob:claim']).amount, '999')
+    })
+
+    it('should apply a "claim" command regardless of fee', async function () {
+      this.plugin._maxFeePercent = '0'
+      const paychan = this.account._paychan
+      this.sinon.stub(this.plugin._api, 'getPaymentChannel')
+        .onCall(0).resolves(paychan)
+        .onCall(1).resolves(paychan)
+        .onCall(2).resolves(Object.assign({}, paychan, { balance: '0.012345' }))
+      const submitStub = this.sinon.stub(this.plugin._txSubmitter, 'submit')
+        .resolves({ meta: { TransactionResult: 'tesSUCCESS' } })
+
+      assert.deepEqual(await this.plugin.sendAdminInfo({
+        command: 'claim',
+        account: this.account.getAccount()
+      }), {
+        transaction: { meta: { TransactionResult: 'tesSUCCESS' } },
+        lastClaimedAmount: '12345'
+      })
+      assert.deepEqual(submitStub.firstCall.args, [ 'preparePaymentChannelClaim', {
+        balance: '0.012345',
+        signature: 'FOO',
+        publicKey: paychan.publicKey,
+        close: false,
+        channel: this.channelId
+      }, { fee: '0.000016' } ])
+    })
+
+    it('should not submit a "claim" command if the ledger balance is already higher', async function () {
+      this.sinon.stub(this.plugin._api, 'getPaymentChannel')
+        .resolves(Object.assign({}, this.account._paychan, { balance: '0.1' }))
+      const submitStub = this.sinon.stub(this.plugin._txSubmitter, 'submit').resolves()
+
+      assert.deepEqual(await this.plugin.sendAdminInfo({
+        command: 'claim',
+        account: this.account.getAccount()
+      }), {
+        transaction: null,
+        lastClaimedAmount: '100000'
+      })
+      assert.isFalse(submitStub.called)
+    })
+
+    describe('close_client_channel', function () {
+      beforeEach(function () {
+        this.expiration = new Date(Date.now() + 3600 * 1000).toISOString()
+        this.getStub = this.sinon.stub(this.plugin._api, 'getPaymentChannel')
+        this.getStub.onCall(0).resolves(this.account._clientPaychan)
+        this.getStub.onCall(1).resolves(Object.assign({}, this.account._clientPaychan, {
+          balance: '0.001000',
+          expiration: this.expiration
+        }))
+        this.submitStub = this.sinon.stub(this.plugin._txSubmitter, 'submit').resolves()
+        this.account.setOutgoingBalance('1000')
+      })
+
+      it('should pay out the outgoing balance and close the client channel', async function () {
+        assert.deepEqual(await this.plugin.sendAdminInfo({
+          command: 'close_client_channel',
+          account: this.account.getAccount()
+        }), {
+          clientChannel: this.channelId,
+          expiration: this.expiration
+        })
+
+        assert.deepEqual(this.submitStub.firstCall.args, [ 'preparePaymentChannelClaim', {
+          balance: '0.001000',
+          channel: this.channelId,
+          close: true
+        } ])
+        assert.isTrue(this.account.isClientChannelClosing())
+        assert.isOk(this.account.getClientChannelCloseTimeout())
+      })
+
+      it('should not sign outgoing claims once the client channel is closing', async function () {
+        await this.plugin.sendAdminInfo({
+          command: 'close_client_channel',
+          account: this.account.getAccount()
+        })
+
+        assert.throws(() => this.plugin._sendMoneyToAccount('100', this.from),
+          /client channel is closing/)
+        assert.throws(() => this.plugin._sendPrepare(this.from, {}),
+          /client channel is closing/)
+      })
+
+      it('should remove the client channel once it is gone from the ledger', async function () {
+        this.getStub.onCall(1).callsFake(() => {
+          const e = new Error('entryNotFound')
+          e.name = 'RippledError'
+          return Promise.reject(e)
+        })
+
+        await this.plugin.sendAdminInfo({
+          command: 'close_client_channel',
+          account: this.account.getAccount()
+        })
+
+        assert.equal(this.account.getStateString(), 'ESTABLISHING_CLIENT_CHANNEL')
+        assert.isFalse(this.account.isClientChannelClosing())
+        assert.equal(this.account.getOutgoingBalance().toString(), '0')
+        assert.throws(() => this.account.getClientChannel())
+      })
+
+      it('should submit another claim to remove the channel after it expires', async function () {
+        this.getStub.onCall(1).resolves(Object.assign({}, this.account._clientPaychan, {
+          expiration: new Date(Date.now() - 1000).toISOString()
+        }))
+
+        await this.plugin.sendAdminInfo({
+          command: 'close_client_channel',
+          account: this.account.getAccount()
+        })
+
+        assert.deepEqual(this.submitStub.secondCall.args, [ 'preparePaymentChannelClaim', {
+          channel: this.channelId,
+          close: true
+        } ])
+      })
+
+      it('should check the client channel again if the check fails', async function () {
+        this.getStub.onCall(1).rejects(new Error('disconnected'))
+
+        await assert.isRejected(this.plugin.sendAdminInfo({
+          command: 'close_client_channel',
+          account: this.account.getAccount()
+        }), /disconnected/)
+        assert.isTrue(this.account.isClientChannelClosing())
+        assert.isOk(this.account.getClientChannelCloseTimeout())
+      })
+
+      it('should check the client channel again if removing it fails', async function () {
+        this.getStub.onCall(1).resolves(Object.assign({}, this.account._clientPaychan, {
+          expiration: new Date(Date.now() - 1000).toISOString()
+        }))
+        this.submitStub.onCall(1).rejects(new Error('tefMAX_LEDGER'))
+
+        await assert.isRejected(this.plugin.sendAdminInfo({
+          command: 'close_client_channel',
+          account: this.account.getAccount()
+        }), /tefMAX_LEDGER/)
+        assert.isOk(this.account.getClientChannelCloseTimeout())
+      })
+
+      it('should not leave the client channel closing if the close fails', async function () {
+        this.submitStub.onCall(0).rejects(new Error('tefMAX_LEDGER'))
+
+        await assert.isRejected(this.plugin.sendAdminInfo({
+          command: 'close_client_channel',
+          account: this.account.getAccount()
+        }), /tefMAX_LEDGER/)
+        assert.isFalse(this.account.isClientChannelClosing())
+        assert.isNotOk(this.account.getClientChannelCloseTimeout())
+        assert.doesNotThrow(() => this.plugin._sendPrepare(this.from, {}))
+
+        this.getStub.onCall(1).resolves(this.account._clientPaychan)
+        this.getStub.onCall(2).resolves(Object.assign({}, this.account._clientPaychan, {
+          expiration: this.expiration
+        }))
+        assert.deepEqual(await this.plugin.sendAdminInfo({
+          command: 'close_client_channel',
+          account: this.account.getAccount()
+        }), {
+          clientChannel: this.channelId,
+          expiration: this.expiration
+        })
+        assert.isTrue(this.account.isClientChannelClosing())
+      })
+
+      it('should close the client channel of a blocked account', async function () {
+        this.account.block(true, 'blocked by test')
+
+        assert.deepEqual(await this.plugin.sendAdminInfo({
+          command: 'close_client_channel',
+          account: this.account.getAccount()
+        }), {
+          clientChannel: this.channelId,
+          expiration: this.expiration
+        })
+        assert.isTrue(this.account.isClientChannelClosing())
+        assert.isTrue(this.account.isBlocked())
+      })
+
+      it('should not close a client channel which is already closing', async function () {
+        await this.plugin.sendAdminInfo({
+          command: 'close_client_channel',
+          account: this.account.getAccount()
+        })
+
+        await assert.isRejected(this.plugin.sendAdminInfo({
+          command: 'close_client_channel',
+          account: this.account.getAccount()
+        }), /client channel is already closing/)
+      })
+    })
+
+    describe('idle client channels', function () {
+      beforeEach(function () {
+        this.plugin._clientChannelIdleTimeout = 1000
+        this.account.setLastSettlement(Date.now() - 2000)
+        this.closeStub = this.sinon.stub(this.plugin, '_closeClientChannel').resolves()
+      })
+
+      it('should close a client channel which has been idle for too long', async function () {
+        const spy = this.sinon.spy()
+        this.plugin.on('client_channel.reclaimed', spy)
+
+        await this.plugin._reclaimIdleClientChannels()
+        assert.isTrue(this.closeStub.calledWith(this.account))
+        assert.deepEqual(spy.firstCall.args[0], {
+          account: this.account.getAccount(),
+          clientChannel: this.channelId,
+          lastSettlement: new Date(this.account.getLastSettlement()).toISOString()
+        })
+      })
+
+      it('should not close a client channel which was settled recently', async function () {
+        this.account.setLastSettlement(Date.now())
+        await this.plugin._reclaimIdleClientChannels()
+        assert.isFalse(this.closeStub.called)
+      })
+
+      it('should not close a client channel which is being funded', async function () {
+        this.account.setFunding(true)
+        await this.plugin._reclaimIdleClientChannels()
+        assert.isFalse(this.closeStub.called)
+      })
+
+      it('should settle the owed balance before closing', async function () {
+        this.account.setOwedBalance('10')
+        this.sinon.stub(util, '_requestId').resolves(12345)
+        const sendStub = this.sinon.stub(this.plugin, '_sendMoneyToAccount').returns([])
+        const callStub = this.sinon.stub(this.plugin, '_call').resolves(null)
+
+        await this.plugin._reclaimIdleClientChannels()
+        assert.deepEqual(sendStub.firstCall.args, [ '10', this.from, { cause: 'settlement' } ])
+        assert.isTrue(callStub.calledBefore(this.closeStub))
+        assert.equal(this.account.getOwedBalance().toString(), '0')
+      })
+
+      it('should not close the client channel if the owed balance cannot be settled', async function () {
+        this.account.setOwedBalance('10')
+        this.sinon.stub(util, '_requestId').resolves(12345)
+        this.sinon.stub(this.plugin, '_sendMoneyToAccount').throws(new Error('no capacity'))
+
+        await this.plugin._reclaimIdleClientChannels()
+        assert.isFalse(this.closeStub.called)
+        assert.equal(this.account.getOwedBalance().toString(), '10')
+      })
+    })
+
+    describe('reconcile', function () {
+      beforeEach(function () {
+        this.ledgerPaychan = Object.assign({}, this.account._paychan)
+        this.getStub = this.sinon.stub(this.plugin._api, 'getPaymentChannel')
+          .callsFake(() => Promise.resolve(this.ledgerPaychan))
+      })
+
+      it('should report nothing if the account matches the ledger', async function () {
+        const report = await this.plugin.reconcile()
+        assert.equal(report.accounts, 1)
+        assert.isFalse(report.repair)
+        assert.deepEqual(report.discrepancies, [])
+        assert.deepEqual(report.errors, [])
+      })
+
+      it('should report values which lag behind the ledger', async function () {
+        this.ledgerPaychan.balance = '0.01'
+
+        const report = await this.plugin.reconcile()
+        assert.deepEqual(report.discrepancies.map(d => [ d.type, d.stored, d.ledger, d.repaired ]), [
+          [ 'paychan_stale', JSON.stringify(this.account._paychan), JSON.stringify(this.ledgerPaychan), false ],
+          [ 'last_claimed_behind', '0', '10000', false ],
+          [ 'client_paychan_stale', JSON.stringify(this.account._paychan), JSON.stringify(this.ledgerPaychan), false ],
+          [ 'outgoing_balance_behind', '0', '10000', false ]
+        ])
+        assert.equal(this.account.getLastClaimedAmount(), '0')
+        assert.equal(this.account.getOutgoingBalance().toString(), '0')
+      })
+
+      it('should repair values which lag behind the ledger', async function () {
+        this.ledgerPaychan.balance = '0.01'
+
+        const report = await this.plugin.reconcile(true)
+        assert.isTrue(report.discrepancies.every(d => d.repaired))
+        assert.equal(this.account.getLastClaimedAmount(), '10000')
+        assert.equal(this.account.getOutgoingBalance().toString(), '10000')
+        assert.strictEqual(this.account.getPaychan(), this.ledgerPaychan)
+        assert.strictEqual(this.account.getClientPaychan(), this.ledgerPaychan)
+      })
+
+      it('should not repair values which are ahead of the ledger', async function () {
+        this.account.setLastClaimedAmount('20000')
+        this.account.setOutgoingBalance('2000000')
+        this.plugin._store.setCache(this.account.getAccount() + ':claim', {
+          amount: '2000000',
+          signature: 'foo'
+        })
+
+        const report = await this.plugin.reconcile(true)
+        assert.deepEqual(report.discrepancies.map(d => [ d.type, d.stored, d.ledger, d.repaired ]), [
+          [ 'last_claimed_ahead', '20000', '0', false ],
+          [ 'claim_exceeds_channel', '2000000', '1000000', false ],
+          [ 'outgoing_balance_exceeds_channel', '2000000', '1000000', false ]
+        ])
+        assert.equal(this.account.getLastClaimedAmount(), '20000')
+      })
+
+      it('should report channels which are gone from the ledger', async function () {
+        const e = new Error('entryNotFound')
+        e.name = 'RippledError'
+        this.getStub.callsFake(() => Promise.reject(e))
+
+        const report = await this.plugin.reconcile(true)
+        assert.deepEqual(report.discrepancies.map(d => d.type), [
+          'channel_not_found',
+          'client_channel_not_found'
+        ])
+        assert.isTrue(this.account.hasChannel())
+      })
+
+      it('should report accounts which cannot be loaded from the ledger', async function () {
+        this.getStub.callsFake(() => Promise.reject(new Error('timed out')))
+
+        const report = await this.plugin.reconcile()
+        assert.deepEqual(report.errors, [{
+          account: this.account.getAccount(),
+          error: 'timed out'
+        }])
+      })
+
+      it('should share a run which is in progress and emit its report', async function () {
+        const spy = this.sinon.spy()
+        this.plugin.on('reconciliation.completed', spy)
+
+        const [ first, second ] = await Promise.all([
+          this.plugin.reconcile(),
+          this.plugin.reconcile()
+        ])
+        assert.strictEqual(first, second)
+        assert.isTrue(spy.calledOnce)
+        assert.strictEqual(spy.firstCall.args[0], first)
+      })
+
+      it('should not share a run with a caller asking for a different repair flag', async function () {
+        this.ledgerPaychan.balance = '0.01'
+        const spy = this.sinon.spy()
+        this.plugin.on('reconciliation.completed', spy)
+
+        const [ first, second, third ] = await Promise.all([
+          this.plugin.reconcile(false),
+          this.plugin.reconcile(true),
+          this.plugin.reconcile(true)
+        ])
+        assert.isFalse(first.repair)
+        assert.isTrue(second.repair)
+        assert.strictEqual(second, third)
+        assert.deepEqual(spy.args.map(args => args[0]), [ first, second ])
+        assert.equal(this.account.getLastClaimedAmount(), '10000')
+      })
+
+      it('should apply a "reconcile" command to one account', async function () {
+        this.ledgerPaychan.balance = '0.01'
+
+        const report = await this.plugin.sendAdminInfo({
+          command: 'reconcile',
+          account: this.account.getAccount(),
+          repair: true
+        })
+        assert.equal(report.accounts, 1)
+        assert.equal(this.account.getLastClaimedAmount(), '10000')
+      })
+    })
+
+    describe('snapshot', function () {
+      beforeEach(function () {
+        this.account.setBalance('-1000')
+        this.account.setOwedBalance('500')
+        this.plugin._store.setCache('channel:' + this.channelId, this.account.getAccount())
+        this.sinon.stub(this.plugin._api, 'getPaymentChannel')
+          .callsFake(() => Promise.resolve(Object.assign({}, this.account._paychan)))
+
+        this.target = createPlugin({ _store: new Store(null, 'test.example.'), api: this.plugin._api })
+      })
+
+      it('should export the stored state of the loaded accounts', async function () {
+        const snapshot = await this.plugin.exportSnapshot()
+        assert.equal(snapshot.version, 1)
+        assert.equal(snapshot.xrpAddress, 'r9Ggkrw4VCfRzSqgrkJTeyfZvBvaG9z3hg')
+        assert.equal(snapshot.currencyScale, 6)
+        assert.deepEqual(snapshot.channels, { [this.channelId]: this.account.getAccount() })
+        assert.deepEqual(snapshot.accounts, [{
+          account: this.account.getAccount(),
+          balance: '-1000',
+          incomingClaim: { amount: '12345', signature: 'foo' },
+          lastClaimedAmount: '0',
+          lastClaimTime: null,
+          channel: this.channelId,
+          clientChannel: this.channelId,
+          clientChannelClosing: false,
+          outgoingBalance: '0',
+          owedBalance: '500',
+          lastSettlement: null,
+          blocked: false,
+          blockReason: null,
+          limits: {
+            maxBalance: null,
+            maxPacketAmount: null,
+            minIncomingChannelAmount: null,
+            maxPacketsPerSecond: null,
+            maxThroughput: null,
+            maxOutgoingChannelAmount: null,
+            maxOwedBalance: null
+          }
+        }])
+      })
+
+      it('should export the stored state of a disconnected account', async function () {
+        await this.plugin._store.flush()
+        this.account.disconnect()
+
+        const { accounts: [ accountSnapshot ] } = await this.plugin.exportSnapshot([ this.account.getAccount() ])
+        assert.equal(accountSnapshot.balance, '-1000')
+        assert.equal(accountSnapshot.owedBalance, '500')
+      })
+
+      it('should not unload the keys of a loaded account', async function () {
+        this.account._state = ReadyState.INITIAL
+        await this.plugin.exportSnapshot([ this.account.getAccount() ])
+        assert.equal(this.account.getBalance().toString(), '-1000')
+        assert.equal(this.account.getOwedBalance().toString(), '500')
+      })
+
+      it('should export accounts which are not loaded from the store', async function () {
+        await this.plugin._store.flush()
+        const snapshot = await this.target.exportSnapshot([ 'foo' ])
+        assert.deepEqual(snapshot.accounts.map(a => [ a.account, a.balance ]), [ [ 'foo', '0' ] ])
+        assert.deepEqual(snapshot.channels, {})
+      })
+
+      it('should refuse a snapshot for another xrp address', async function () {
+        const snapshot = await this.plugin.exportSnapshot()
+        snapshot.xrpAddress = 'rPbVxek7Bovu4pWyCfGCVtgGbhwL6D55ot'
+        await assert.isRejected(this.target.importSnapshot(snapshot),
+          /snapshot is for a different xrp address/)
+      })
+
+      it('should refuse a claim with an invalid signature', async function () {
+        const snapshot = await this.plugin.exportSnapshot()
+        await assert.isRejected(this.target.importSnapshot(snapshot),
+          /incoming claim has an invalid signature/)
+        assert.deepEqual(this.target._store._store.store, {})
+      })
+
+      it('should refuse a channel which is not on the ledger', async function () {
+        const snapshot = await this.plugin.exportSnapshot()
+        snapshot.accounts[0].incomingClaim = null
+        const e = new Error('entryNotFound')
+        e.name = 'RippledError'
+        this.plugin._api.getPaymentChannel.callsFake(() => Promise.reject(e))
+
+        await assert.isRejected(this.target.importSnapshot(snapshot),
+          /channel does not exist on the ledger/)
+      })
+
+      it('should refuse a channel which is missing from the index', async function () {
+        const snapshot = await this.plugin.exportSnapshot()
+        snapshot.accounts[0].incomingClaim = null
+        snapshot.channels = {}
+        await assert.isRejected(this.target.importSnapshot(snapshot),
+          /channel is missing from the channel index/)
+      })
+
+      it('should import a valid snapshot', async function () {
+        const snapshot = await this.plugin.exportSnapshot()
+        snapshot.accounts[0].incomingClaim = null
+        snapshot.accounts[0].clientChannel = null
+
+        const report = await this.target.importSnapshot(snapshot)
+        assert.deepEqual(report, { accounts: 1, channels: 1 })
+
+        const store = this.target._store._store.store
+        const name = this.account.getAccount()
+        assert.equal(store[name], '-1000')
+        assert.equal(store[name + ':owed_balance'], '500')
+        assert.equal(store[name + ':channel'], this.channelId)
+        assert.equal(store['channel:' + this.channelId], name)
+        assert.equal(store[name + ':journal'], '2')
+      })
+
+      it('should export and import the time of the last claim', async function () {
+        this.account.setLastClaimTime(1527850800000)
+        const snapshot = await this.plugin.exportSnapshot()
+        assert.equal(snapshot.accounts[0].lastClaimTime, 1527850800000)
+        snapshot.accounts[0].incomingClaim = null
+        snapshot.accounts[0].clientChannel = null
+
+        await this.target.importSnapshot(snapshot)
+        assert.equal(this.target._store._store.store[this.account.getAccount() + ':last_claim_time'],
+          '1527850800000')
+      })
+
+      it('should import a snapshot from before the time of the last claim was exported', async function () {
+        const snapshot = await this.plugin.exportSnapshot()
+        delete snapshot.accounts[0].lastClaimTime
+        snapshot.accounts[0].incomingClaim = null
+        snapshot.accounts[0].clientChannel = null
+
+        assert.deepEqual(await this.target.importSnapshot(snapshot), { accounts: 1, channels: 1 })
+        assert.notProperty(this.target._store._store.store, this.account.getAccount() + ':last_claim_time')
+      })
+    })
+
+    describe('journal', function () {
+      beforeEach(function () {
+        this.account.setBalance('10', { cause: 'prepare', reference: 'abc' })
+        this.account.setOutgoingBalance('20', { cause: 'settlement' })
+        this.account.setOwedBalance('30', { cause: 't04' })
+        this.account.setIncomingClaim({ amount: '12400', signature: 'bar' }, { cause: 'claim' })
+      })
+
+      it('should page through an account\'s journal', async function () {
+        const page = await this.plugin.sendAdminInfo({
+          command: 'journal',
+          account: this.account.getAccount(),
+          offset: 1,
+          limit: 2
+        })
+
+        assert.equal(page.total, 4)
+        assert.deepEqual(page.entries.map(e => [ e.index, e.field, e.oldValue, e.newValue, e.cause ]), [
+          [ 1, 'outgoing_balance', '0', '20', 'settlement' ],
+          [ 2, 'owed_balance', '0', '30', 't04' ]
+        ])
+        assert.isString(page.entries[0].timestamp)
+      })
+
+      it('should record the stored claim amount', async function () {
+        const { entries } = await this.account.getJournal(3)
+        assert.deepInclude(entries[0], {
+          field: 'incoming_claim',
+          oldValue: '12345',
+          newValue: '12400'
+        })
+      })
+
+      it('should not record a write which does not change the value', async function () {
+        this.account.setBalance('10', { cause: 'admin' })
+        assert.equal((await this.account.getJournal()).total, 4)
+      })
+
+      it('should keep the journal when an account is reset', async function () {
+        this.account.setOwedBalance('0', { cause: 'settlement' })
+        this.account.setIncomingClaim({ amount: '0' }, { cause: 'claim' })
+        this.account.deleteClientChannel({ cause: 'ledger' })
+        await this.plugin._resetAccount(this.account)
+
+        const { total, entries } = await this.account.getJournal(6)
+        assert.equal(total, 8)
+        assert.deepEqual(entries.map(e => [ e.field, e.newValue, e.cause ]), [
+          [ 'outgoing_balance', '0', 'ledger' ],
+          [ 'balance', '0', 'admin' ]
+        ])
+      })
+
+      it('should reject an invalid page', async function () {
+        await assert.isRejected(this.plugin.sendAdminInfo({
+          command: 'journal',
+          account: this.account.getAccount(),
+          offset: -1
+        }), /offset must be a non-negative integer/)
+      })
+    })
   })
 })
@@ -0,0 +1,153 @@
+'use strict' /* eslint-env mocha */
+
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+chai.use(chaiAsPromised)
+const assert = chai.assert
+const sinon = require('sinon')
+const debug = require('debug')
+
+const { RippleAPI } = require('ripple-lib')
+const ServerFailover = require('../src/server-failover').default
+
+const SERVERS = [ 'wss://s1.example', 'wss://s2.example', 'wss://s3.example' ]
+
+function createApi () {
+  return {
+    connection: { _url: SERVERS[0] },
+    connect: sinon.stub().resolves(),
+    disconnect: sinon.stub().resolves(),
+    getServerInfo: sinon.stub().resolves({})
+  }
+}
+
+function createLog () {
+  return {
+    info: debug('test:info'),
+    warn: debug('test:warn'),
+    error: debug('test:error')
+  }
+}
+
+describe('ServerFailover', () => {
+  beforeEach(function () {
+    this.api = createApi()
+    this.failover = new ServerFailover({
+      api: this.api,
+      servers: SERVERS,
+      log: createLog()
+    })
+  })
+
+  it('should require at least one server', function () {
+    assert.throws(() => new ServerFailover({ api: this.api, servers: [], log: createLog() }),
+      'at least one xrp server must be specified')
+  })
+
+  describe('connect', () => {
+    it('should connect to the first server', async function () {
+      await this.failover.connect()
+      assert.equal(this.failover.getActiveServer(), SERVERS[0])
+      assert.equal(this.api.connection._url, SERVERS[0])
+      assert.isTrue(this.api.connect.calledOnce)
+    })
+
+    it('should try the next server if one fails to connect', async function () {
+      this.api.connect.onFirstCall().rejects(new Error('connection refused'))
+      await this.failover.connect()
+
+      assert.equal(this.failover.getActiveServer(), SERVERS[1])
+      assert.equal(this.api.connection._url, SERVERS[1])
+      assert.equal(this.failover.getStatus().servers[0].lastError, 'connection refused')
+    })
+
+    it('should fail if no server connects', async function () {
+      this.api.connect.rejects(new Error('connection refused'))
+      await assert.isRejected(this.failover.connect(), /connection refused/)
+      assert.equal(this.api.connect.callCount, 3)
+    })
+  })
+
+  describe('check', () => {
+    it('should stay on a healthy server', async function () {
+      await this.failover.check()
+      await this.failover.check()
+      assert.equal(this.failover.getActiveServer(), SERVERS[0])
+    })
+
+    it('should switch after repeated failures', async function () {
+      const spy = sinon.spy()
+      this.failover.on('switch', spy)
+      this.api.getServerInfo.rejects(new Error('no response'))
+
+      await this.failover.check()
+      assert.equal(this.failover.getActiveServer(), SERVERS[0])
+
+      await this.failover.check()
+      assert.equal(this.failover.getActiveServer(), SERVERS[1])
+      assert.equal(this.api.connection._url, SERVERS[1])
+      assert.isTrue(this.api.disconnect.calledOnce)
+      assert.deepEqual(spy.firstCall.args, [ SERVERS[0], SERVERS[1] ])
+
+      const status = this.failover.getStatus()
+      assert.equal(status.active, SERVERS[1])
+      assert.isString(status.lastSwitch)
+      assert.deepEqual(status.servers.map(s => s.active), [ false, true, false ])
+    })
+
+    it('should move on after a failed switch', async function () {
+      const spy = sinon.spy()
+      this.failover.on('switch', spy)
+      this.api.getServerInfo.rejects(new Error('no response'))
+      this.api.connect.onFirstCall().rejects(new Error('connection refused'))
+
+      await this.failover.check()
+      await this.failover.check()
+      assert.equal(this.failover.getActiveServer(), SERVERS[1])
+      assert.isFalse(spy.called)
+
+      await this.failover.check()
+      assert.equal(this.failover.getActiveServer(), SERVERS[2])
+      assert.deepEqual(spy.firstCall.args, [ SERVERS[1], SERVERS[2] ])
+    })
+  })
+
+  describe('with ripple-lib', () => {
+    // the failover sets the private field which ripple-lib connects to
+    it('should point the connection at the next server', async function () {
+      const api = new RippleAPI({ server: SERVERS[0] })
+      sinon.stub(api, 'connect').resolves()
+      assert.equal(api.connection._url, SERVERS[0])
+
+      const failover = new ServerFailover({ api, servers: SERVERS, log: createLog() })
+      await failover.switchServer()
+      assert.equal(api.connection._url, SERVERS[1])
+    })
+  })
+
+  describe('start', () => {
+    beforeEach(function () {
+      this.clock = sinon.useFakeTimers()
+    })
+
+    afterEach(function () {
+      this.failover.stop()
+      this.clock.restore()
+    })
+
+    it('should check the server periodically', function () {
+      const stub = sinon.stub(this.failover, 'check').resolves()
+      this.failover.start()
+      this.clock.tick(30 * 1000)
+      assert.isTrue(stub.calledOnce)
+    })
+
+    it('should not check a single server', function () {
+      const failover = new ServerFailover({ api: this.api, servers: [ SERVERS[0] ], log: createLog() })
+      const stub = sinon.stub(failover, 'check').resolves()
+      failover.start()
+      this.clock.tick(30 * 1000)
+      assert.isFalse(stub.called)
+    })
+  })
+})
@@ -0,0 +1,120 @@
+'use strict' /* eslint-env mocha */
+
+const chai = require('chai')
+const assert = chai.assert
+const sinon = require('sinon')
+
+const StoreWrapper = require('../src/store-wrapper').default
+const Store = require('./util/memStore')
+
+describe('StoreWrapper', () => {
+  beforeEach(function () {
+    this.store = new Store(null, 'test.example.')
+    this.wrapper = new StoreWrapper(this.store)
+  })
+
+  describe('batch', () => {
+    it('should commit through the store\'s batch method if it has one', async function () {
+      this.store.batch = sinon.stub().resolves()
+      const putSpy = sinon.spy(this.store, 'put')
+
+      this.wrapper.batch(() => {
+        this.wrapper.set('a', '1')
+        this.wrapper.set('b', { c: 2 })
+        this.wrapper.delete('d')
+      })
+      await this.wrapper.flush()
+
+      assert.isFalse(putSpy.called)
+      assert.deepEqual(this.store.batch.firstCall.args, [[
+        { type: 'put', key: 'a', value: '1' },
+        { type: 'put', key: 'b', value: '{"c":2}' },
+        { type: 'del', key: 'd' }
+      ]])
+    })
+
+    it('should return the result of the function', function () {
+      assert.equal(this.wrapper.batch(() => 'foo'), 'foo')
+    })
+
+    it('should write a record of the batch before its keys', async function () {
+      const putSpy = sinon.spy(this.store, 'put')
+      this.store.store.d = 'old'
+
+      this.wrapper.batch(() => {
+        this.wrapper.set('a', '1')
+        this.wrapper.delete('d')
+      })
+      await this.wrapper.flush()
+
+      assert.deepEqual(putSpy.args, [
+        [ 'store_wrapper:batch', '[{"type":"put","key":"a","value":"1"},{"type":"del","key":"d"}]' ],
+        [ 'a', '1' ]
+      ])
+      assert.deepEqual(this.store.store, { a: '1' })
+    })
+
+    it('should join a batch which is already open', async function () {
+      this.store.batch = sinon.stub().resolves()
+
+      this.wrapper.batch(() => {
+        this.wrapper.set('a', '1')
+        this.wrapper.batch(() => this.wrapper.set('b', '2'))
+      })
+      await this.wrapper.flush()
+
+      assert.isTrue(this.store.batch.calledOnce)
+      assert.lengthOf(this.store.batch.firstCall.args[0], 2)
+    })
+
+    it('should commit what was set before the function threw', async function () {
+      assert.throws(() => this.wrapper.batch(() => {
+        this.wrapper.set('a', '1')
+        throw new Error('oops')
+      }), 'oops')
+      await this.wrapper.flush()
+
+      assert.equal(this.wrapper.get('a'), '1')
+      assert.deepEqual(this.store.store, { a: '1' })
+    })
+
+    it('should finish an interrupted batch before loading', async function () {
+      this.store.store = {
+        'a': 'old',
+        'd': 'old',
+        'store_wrapper:batch': '[{"type":"put","key":"a","value":"1"},{"type":"del","key":"d"}]'
+      }
+
+      await this.wrapper.load('a')
+      await this.wrapper.load('d')
+
+      assert.equal(this.wrapper.get('a'), '1')
+      assert.isUndefined(this.wrapper.get('d'))
+      assert.deepEqual(this.store.store, { a: '1' })
+    })
+  })
+
+  describe('prefix', () => {
+    beforeEach(function () {
+      this.wrapper = new StoreWrapper(this.store, 'plugin1:')
+    })
+
+    it('should prefix the keys written to the store', async function () {
+      this.wrapper.set('a', '1')
+      this.wrapper.batch(() => {
+        this.wrapper.set('b', '2')
+        this.wrapper.delete('a')
+      })
+      await this.wrapper.flush()
+
+      assert.deepEqual(this.store.store, { 'plugin1:b': '2' })
+      assert.equal(this.wrapper.get('b'), '2')
+    })
+
+    it('should load the prefixed key', async function () {
+      this.store.store = { 'a': '1', 'plugin1:a': '2' }
+      await this.wrapper.load('a')
+      assert.equal(this.wrapper.get('a'), '2')
+    })
+  })
+})